@@ -0,0 +1,315 @@
+import { decodeLZMA, decodeLZMA2 } from './lzma.js'
+
+const SIGNATURE_HEADER_SIZE = 32
+
+const ID = {
+    END: 0x00,
+    HEADER: 0x01,
+    ARCHIVE_PROPERTIES: 0x02,
+    ADDITIONAL_STREAMS_INFO: 0x03,
+    MAIN_STREAMS_INFO: 0x04,
+    FILES_INFO: 0x05,
+    PACK_INFO: 0x06,
+    UNPACK_INFO: 0x07,
+    SUBSTREAMS_INFO: 0x08,
+    SIZE: 0x09,
+    CRC: 0x0a,
+    FOLDER: 0x0b,
+    CODERS_UNPACK_SIZE: 0x0c,
+    NUM_UNPACK_STREAM: 0x0d,
+    EMPTY_STREAM: 0x0e,
+    EMPTY_FILE: 0x0f,
+    NAME: 0x11,
+    ENCODED_HEADER: 0x17,
+}
+
+const CODER = {
+    COPY: '00',
+    LZMA: '030101',
+    LZMA2: '21',
+    AES: '06f10701',
+}
+
+class Reader {
+    pos = 0
+    constructor(bytes) {
+        this.bytes = bytes
+    }
+    byte() {
+        if (this.pos >= this.bytes.length) throw new Error('Unexpected end of 7z header')
+        return this.bytes[this.pos++]
+    }
+    read(n) {
+        return this.bytes.subarray(this.pos, this.pos += n)
+    }
+    // variable length integer; the number of leading 1 bits
+    // in the first byte is the number of extra bytes
+    number() {
+        const first = this.byte()
+        let mask = 0x80, value = 0
+        for (let i = 0; i < 8; i++) {
+            if (!(first & mask)) return value + (first & (mask - 1)) * 2 ** (8 * i)
+            value += this.byte() * 2 ** (8 * i)
+            mask >>>= 1
+        }
+        return value
+    }
+    bits(n) {
+        const arr = []
+        let byte = 0, mask = 0
+        for (let i = 0; i < n; i++) {
+            if (!mask) {
+                byte = this.byte()
+                mask = 0x80
+            }
+            arr.push(!!(byte & mask))
+            mask >>>= 1
+        }
+        return arr
+    }
+    // either an "all defined" byte, or a bit vector
+    defined(n) {
+        return this.byte() ? new Array(n).fill(true) : this.bits(n)
+    }
+    digests(n) {
+        const defined = this.defined(n)
+        for (const x of defined) if (x) this.read(4)
+        return defined
+    }
+    expect(id) {
+        if (this.byte() !== id) throw new Error('Invalid 7z header')
+    }
+}
+
+const toHex = bytes => Array.from(bytes, x => x.toString(16).padStart(2, '0')).join('')
+
+const readFolder = r => {
+    const coders = []
+    const numCoders = r.number()
+    let numInStreams = 0, numOutStreams = 0
+    for (let i = 0; i < numCoders; i++) {
+        const flags = r.byte()
+        const id = toHex(r.read(flags & 0xf))
+        const isComplex = flags & 0x10
+        const coder = {
+            id,
+            numInStreams: isComplex ? r.number() : 1,
+            numOutStreams: isComplex ? r.number() : 1,
+        }
+        if (flags & 0x20) coder.props = r.read(r.number())
+        numInStreams += coder.numInStreams
+        numOutStreams += coder.numOutStreams
+        coders.push(coder)
+    }
+    const bindPairs = []
+    for (let i = 0; i < numOutStreams - 1; i++)
+        bindPairs.push({ inIndex: r.number(), outIndex: r.number() })
+    const numPackedStreams = numInStreams - bindPairs.length
+    const packedStreams = numPackedStreams === 1 ? [0]
+        : Array.from({ length: numPackedStreams }, () => r.number())
+    return { coders, bindPairs, packedStreams, numOutStreams }
+}
+
+const readStreamsInfo = r => {
+    const info = { packPos: 0, packSizes: [], folders: [] }
+    let id = r.byte()
+    if (id === ID.PACK_INFO) {
+        info.packPos = r.number()
+        const n = r.number()
+        while ((id = r.byte()) !== ID.END) {
+            if (id === ID.SIZE) info.packSizes = Array.from({ length: n }, () => r.number())
+            else if (id === ID.CRC) r.digests(n)
+            else throw new Error('Invalid 7z header')
+        }
+        id = r.byte()
+    }
+    if (id === ID.UNPACK_INFO) {
+        r.expect(ID.FOLDER)
+        const n = r.number()
+        if (r.byte()) throw new Error('External 7z headers are not supported')
+        info.folders = Array.from({ length: n }, () => readFolder(r))
+        r.expect(ID.CODERS_UNPACK_SIZE)
+        for (const folder of info.folders) {
+            folder.unpackSizes = Array.from({ length: folder.numOutStreams }, () => r.number())
+            // the final output is the one that isn't bound to another coder's input
+            const i = folder.unpackSizes.findIndex((_, i) =>
+                !folder.bindPairs.some(pair => pair.outIndex === i))
+            folder.size = folder.unpackSizes[i]
+            folder.numSubstreams = 1
+        }
+        while ((id = r.byte()) !== ID.END) {
+            if (id === ID.CRC) r.digests(n).forEach((x, i) => info.folders[i].hasCRC = x)
+            else throw new Error('Invalid 7z header')
+        }
+        id = r.byte()
+    }
+    if (id === ID.SUBSTREAMS_INFO) {
+        const { folders } = info
+        let sizesRead = false
+        while ((id = r.byte()) !== ID.END) {
+            if (id === ID.NUM_UNPACK_STREAM)
+                for (const folder of folders) folder.numSubstreams = r.number()
+            else if (id === ID.SIZE) {
+                sizesRead = true
+                for (const folder of folders) {
+                    if (!folder.numSubstreams) continue
+                    folder.substreamSizes = []
+                    let sum = 0
+                    for (let i = 1; i < folder.numSubstreams; i++) {
+                        const size = r.number()
+                        folder.substreamSizes.push(size)
+                        sum += size
+                    }
+                    folder.substreamSizes.push(folder.size - sum)
+                }
+            }
+            else if (id === ID.CRC) r.digests(folders.reduce((n, folder) =>
+                n + (folder.numSubstreams === 1 && folder.hasCRC ? 0 : folder.numSubstreams), 0))
+            else throw new Error('Invalid 7z header')
+        }
+        if (!sizesRead) for (const folder of folders)
+            if (folder.numSubstreams === 1) folder.substreamSizes = [folder.size]
+        id = r.byte()
+    }
+    for (const folder of info.folders)
+        folder.substreamSizes ??= folder.numSubstreams ? [folder.size] : []
+    if (id !== ID.END) throw new Error('Invalid 7z header')
+    return info
+}
+
+const readFilesInfo = r => {
+    const n = r.number()
+    const files = Array.from({ length: n }, () => ({}))
+    let emptyStreams = []
+    while (true) {
+        const id = r.byte()
+        if (id === ID.END) break
+        const size = r.number()
+        const end = r.pos + size
+        if (id === ID.EMPTY_STREAM) {
+            emptyStreams = r.bits(n)
+            emptyStreams.forEach((x, i) => files[i].isEmptyStream = x)
+        }
+        else if (id === ID.EMPTY_FILE) {
+            const emptyFiles = r.bits(emptyStreams.filter(x => x).length)
+            files.filter(file => file.isEmptyStream)
+                .forEach((file, i) => file.isEmptyFile = emptyFiles[i])
+        }
+        else if (id === ID.NAME) {
+            if (r.byte()) throw new Error('External 7z headers are not supported')
+            const names = new TextDecoder('utf-16le').decode(r.bytes.subarray(r.pos, end))
+                .split('\0')
+            files.forEach((file, i) => file.name = names[i])
+        }
+        r.pos = end
+    }
+    return files
+}
+
+// get the offset of each folder's first packed stream
+const getPackOffsets = ({ packPos, packSizes, folders }) => {
+    const offsets = []
+    let offset = SIGNATURE_HEADER_SIZE + packPos
+    let index = 0
+    for (const folder of folders) {
+        const sizes = packSizes.slice(index, index + folder.packedStreams.length)
+        offsets.push({ offset, size: sizes.reduce((a, b) => a + b, 0) })
+        offset += offsets[offsets.length - 1].size
+        index += folder.packedStreams.length
+    }
+    return offsets
+}
+
+const decodeFolder = (folder, data) => {
+    if (folder.coders.length !== 1)
+        throw new Error('Unsupported 7z compression method')
+    const [{ id, props }] = folder.coders
+    switch (id) {
+        case CODER.COPY: return data.slice(0, folder.size)
+        case CODER.LZMA: return decodeLZMA(props, data, folder.size)
+        case CODER.LZMA2: return decodeLZMA2(data, folder.size)
+        case CODER.AES: throw new Error('Encrypted 7z archives are not supported')
+        default: throw new Error('Unsupported 7z compression method')
+    }
+}
+
+/**
+ * Read a 7z archive. Supports the copy, LZMA, and LZMA2 methods.
+ * Each folder (a solid block, possibly containing many files)
+ * is decompressed on demand, with the last one being cached.
+ * @param {Blob} file
+ */
+export const make7zLoader = async file => {
+    const read = async (start, size) =>
+        new Uint8Array(await file.slice(start, start + size).arrayBuffer())
+    const readStreams = async info => {
+        const offsets = getPackOffsets(info)
+        return Promise.all(info.folders.map(async (folder, i) =>
+            decodeFolder(folder, await read(offsets[i].offset, offsets[i].size))))
+    }
+
+    const start = new DataView((await read(0, SIGNATURE_HEADER_SIZE)).buffer)
+    const nextHeaderOffset = Number(start.getBigUint64(12, true))
+    const nextHeaderSize = Number(start.getBigUint64(20, true))
+    let r = new Reader(await read(SIGNATURE_HEADER_SIZE + nextHeaderOffset, nextHeaderSize))
+
+    // the header itself may be compressed
+    while (r.bytes.length && r.bytes[0] === ID.ENCODED_HEADER) {
+        r.pos++
+        const [bytes] = await readStreams(readStreamsInfo(r))
+        r = new Reader(bytes)
+    }
+
+    let info = { folders: [] }, files = []
+    if (r.bytes.length) {
+        r.expect(ID.HEADER)
+        let id
+        while ((id = r.byte()) !== ID.END) {
+            if (id === ID.ARCHIVE_PROPERTIES)
+                while (r.byte() !== ID.END) r.read(r.number())
+            else if (id === ID.ADDITIONAL_STREAMS_INFO) readStreamsInfo(r)
+            else if (id === ID.MAIN_STREAMS_INFO) info = readStreamsInfo(r)
+            else if (id === ID.FILES_INFO) files = readFilesInfo(r)
+            else throw new Error('Invalid 7z header')
+        }
+    }
+
+    // map files with data to substreams in folders
+    const map = new Map()
+    const substreams = info.folders.flatMap((folder, index) => {
+        let offset = 0
+        return folder.substreamSizes.map(size => {
+            const substream = { folder: index, offset, size }
+            offset += size
+            return substream
+        })
+    })
+    for (const file of files) {
+        if (!file.isEmptyStream) map.set(file.name, substreams.shift())
+        else if (file.isEmptyFile) map.set(file.name, { size: 0 })
+    }
+
+    const offsets = getPackOffsets(info)
+    let cache = {}
+    const getFolder = index => {
+        if (cache.index !== index) {
+            const promise = read(offsets[index].offset, offsets[index].size)
+                .then(data => decodeFolder(info.folders[index], data))
+            promise.catch(() => cache = {})
+            cache = { index, promise }
+        }
+        return cache.promise
+    }
+
+    const entries = Array.from(map.keys(), filename => ({ filename }))
+    const loadBlob = async (name, type) => {
+        const entry = map.get(name)
+        if (!entry) return null
+        if (entry.folder == null) return new Blob([], { type })
+        const data = await getFolder(entry.folder)
+        return new Blob([data.subarray(entry.offset, entry.offset + entry.size)], { type })
+    }
+    const loadText = async name => (await loadBlob(name))?.text() ?? null
+    const getSize = name => map.get(name)?.size ?? 0
+    return { entries, loadText, loadBlob, getSize }
+}
@@ -1,4 +1,244 @@
-export const makeComicBook = ({ entries, loadBlob, getSize }, file) => {
+const normalizeWhitespace = str => str ? str
+    .replace(/[\t\n\f\r ]+/g, ' ')
+    .replace(/^[\t\n\f\r ]+/, '')
+    .replace(/[\t\n\f\r ]+$/, '') : ''
+const getElementText = el => normalizeWhitespace(el?.textContent) || undefined
+
+const $ = (el, name) => el?.getElementsByTagNameNS('*', name)?.[0]
+const $$ = (el, name) => el ? Array.from(el.getElementsByTagNameNS('*', name)) : []
+const getChild = (el, name) => Array.from(el?.children ?? [])
+    .find(child => child.localName === name)
+
+const splitList = str => str?.split(',')?.map(x => x.trim())?.filter(x => x) ?? []
+
+const getDate = (year, month, day) => year
+    ? [year, month, day].filter(x => x).map(x => x.padStart(2, '0')).join('-')
+    : undefined
+
+const dirname = path => path.slice(0, path.lastIndexOf('/') + 1)
+const resolvePath = (href, base) => {
+    const parts = (dirname(base) + href).split('/')
+    const resolved = []
+    for (const part of parts) {
+        if (part === '..') resolved.pop()
+        else if (part !== '.') resolved.push(part)
+    }
+    return resolved.join('/')
+}
+
+// remove empty values, so that the metadata object is tidy
+const tidy = obj => {
+    for (const [key, val] of Object.entries(obj)) {
+        if (val == null || val === '' || Array.isArray(val) && !val.length)
+            delete obj[key]
+        else if (typeof val === 'object' && !Array.isArray(val)) {
+            tidy(val)
+            if (!Object.keys(val).length) delete obj[key]
+        }
+    }
+    return obj
+}
+
+// https://anansi-project.github.io/docs/comicinfo/documentation
+const parseComicInfo = (doc, files) => {
+    const root = doc.documentElement
+    const get = name => getElementText(getChild(root, name))
+    const getList = name => splitList(get(name))
+    const series = get('Series')
+    const number = get('Number')
+    const metadata = {
+        title: get('Title') ?? (series && number ? `${series} #${number}` : series),
+        identifier: get('GTIN'),
+        language: get('LanguageISO'),
+        description: get('Summary'),
+        publisher: get('Publisher'),
+        imprint: get('Imprint'),
+        published: getDate(get('Year'), get('Month'), get('Day')),
+        subject: getList('Genre').concat(getList('Tags')),
+        author: getList('Writer'),
+        penciler: getList('Penciller'),
+        inker: getList('Inker'),
+        colorist: getList('Colorist'),
+        letterer: getList('Letterer'),
+        editor: getList('Editor'),
+        translator: getList('Translator'),
+        contributor: getList('CoverArtist').map(name => ({ name, role: 'cov' })),
+        belongsTo: { series: series ? { name: series, position: number } : null },
+    }
+    // `Image` is the index of the file in the archive
+    const pages = $$(getChild(root, 'Pages'), 'Page').map(el => {
+        const types = el.getAttribute('Type')?.split(/\s+/) ?? []
+        return {
+            name: files[parseInt(el.getAttribute('Image'))],
+            isCover: types.includes('FrontCover'),
+            isDeleted: types.includes('Deleted'),
+            isDoublePage: el.getAttribute('DoublePage') === 'true',
+            bookmark: el.getAttribute('Bookmark') || undefined,
+        }
+    }).filter(page => page.name)
+    return {
+        metadata,
+        dir: get('Manga') === 'YesAndRightToLeft' ? 'rtl' : undefined,
+        pages,
+        cover: pages.find(page => page.isCover)?.name,
+    }
+}
+
+// https://acbf.fandom.com/wiki/Advanced_Comic_Book_Format_Wiki
+const ACBF_ROLES = {
+    Writer: 'author',
+    Artist: 'artist',
+    Penciller: 'penciler',
+    Inker: 'inker',
+    Colorist: 'colorist',
+    Letterer: 'letterer',
+    Editor: 'editor',
+    Translator: 'translator',
+}
+
+const parseACBF = (doc, files, path) => {
+    const info = $(doc, 'book-info')
+    const publishInfo = $(doc, 'publish-info')
+    const getName = el => getElementText($(el, 'nickname'))
+        ?? ['first-name', 'middle-name', 'last-name']
+            .map(name => getElementText($(el, name))).filter(x => x).join(' ')
+    const metadata = {
+        title: getElementText($(info, 'book-title')),
+        language: $$($(info, 'languages'), 'text-layer')[0]?.getAttribute('lang'),
+        description: $$($(info, 'annotation'), 'p').map(getElementText).join('\n'),
+        publisher: getElementText($(publishInfo, 'publisher')),
+        published: $(publishInfo, 'publish-date')?.getAttribute('value')
+            ?? getElementText($(publishInfo, 'publish-date')),
+        subject: $$(info, 'genre').map(getElementText)
+            .concat(splitList(getElementText($(info, 'keywords')))),
+        belongsTo: {
+            series: $(info, 'sequence') ? {
+                name: $(info, 'sequence').getAttribute('title'),
+                position: getElementText($(info, 'sequence')),
+            } : null,
+        },
+    }
+    for (const el of $$(info, 'author')) {
+        const activity = el.getAttribute('activity')
+        const key = ACBF_ROLES[activity]
+        const name = getName(el)
+        if (!name) continue
+        if (key) (metadata[key] ??= []).push(name)
+        else (metadata.contributor ??= []).push(activity === 'CoverArtist'
+            ? { name, role: 'cov' } : { name })
+    }
+    const getPage = el => {
+        const href = $(el, 'image')?.getAttribute('href')
+        return {
+            name: href ? resolvePath(href, path) : undefined,
+            bookmark: getElementText(getChild(el, 'title')),
+        }
+    }
+    const cover = getPage($(info, 'coverpage'))
+    const pages = [cover].concat($$($(doc, 'body'), 'page').map(getPage))
+        .filter(page => files.includes(page.name))
+    return { metadata, pages, cover: cover.name }
+}
+
+// https://www.denvog.com/comet/comet-specification/
+const COMET_ROLES = {
+    writer: 'author',
+    penciller: 'penciler',
+    inker: 'inker',
+    colorist: 'colorist',
+    letterer: 'letterer',
+    editor: 'editor',
+}
+
+const parseCoMet = (doc, files, path) => {
+    const root = doc.documentElement
+    const get = name => getElementText(getChild(root, name))
+    const getAll = name => Array.from(root.children)
+        .filter(el => el.localName === name).map(getElementText).filter(x => x)
+    const series = get('series')
+    const metadata = {
+        title: get('title'),
+        identifier: get('identifier'),
+        language: get('language'),
+        description: get('description'),
+        publisher: get('publisher'),
+        published: get('date'),
+        subject: getAll('genre'),
+        contributor: getAll('creator').map(name => ({ name }))
+            .concat(getAll('coverDesigner').map(name => ({ name, role: 'cov' }))),
+        belongsTo: { series: series ? { name: series, position: get('issue') } : null },
+    }
+    for (const [name, key] of Object.entries(COMET_ROLES)) metadata[key] = getAll(name)
+    const coverImage = get('coverImage')
+    const cover = coverImage ? resolvePath(coverImage, path) : undefined
+    return {
+        metadata,
+        dir: get('readingDirection')?.toLowerCase() === 'rtl' ? 'rtl' : undefined,
+        cover: files.includes(cover) ? cover : undefined,
+    }
+}
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' })
+
+// compare paths one component at a time, with files before folders,
+// so that e.g. "p2.jpg" comes before "p10.jpg"
+const comparePaths = (a, b) => {
+    const x = a.split('/'), y = b.split('/')
+    for (let i = 0; ; i++) {
+        const isFileX = i === x.length - 1, isFileY = i === y.length - 1
+        if (isFileX !== isFileY) return isFileX ? -1 : 1
+        const result = collator.compare(x[i], y[i])
+        if (result || isFileX) return result
+    }
+}
+
+// make a TOC from the folders, linking to the first page in each folder;
+// folders containing all of the pages are skipped
+const getFolderTOC = names => {
+    const dirs = names.map(name => name.split('/').slice(0, -1))
+    let common = 0
+    while (dirs.every(dir => dir.length > common && dir[common] === dirs[0][common]))
+        common++
+    const root = { subitems: [] }
+    for (const [i, dir] of dirs.entries()) {
+        let node = root
+        for (const label of dir.slice(common)) {
+            let item = node.subitems.find(item => item.label === label)
+            if (!item) node.subitems.push(item = { label, href: names[i], subitems: [] })
+            node = item
+        }
+    }
+    const clean = items => items.map(({ label, href, subitems }) =>
+        ({ label, href, subitems: subitems.length ? clean(subitems) : null }))
+    return root.subitems.length ? clean(root.subitems) : null
+}
+
+const METADATA_FILES = [
+    [name => /(?:^|\/)comicinfo\.xml$/i.test(name), parseComicInfo],
+    [name => /\.acbf$/i.test(name), parseACBF],
+    [name => /(?:^|\/)comet\.xml$/i.test(name), parseCoMet],
+]
+
+// find the first of the supported metadata files, preferring those closest to the root
+const getInfo = async ({ entries, loadText }, files) => {
+    const names = entries.map(entry => entry.filename)
+        .sort((a, b) => a.split('/').length - b.split('/').length)
+    for (const [test, parse] of METADATA_FILES) {
+        const name = names.find(test)
+        if (!name) continue
+        try {
+            const str = await loadText(name)
+            const doc = new DOMParser().parseFromString(str, 'application/xml')
+            if (doc.querySelector('parsererror')) continue
+            return parse(doc, files, name)
+        } catch (e) {
+            console.warn(e)
+        }
+    }
+}
+
+export const makeComicBook = async (loader, file) => {
+    const { entries, loadBlob, getSize } = loader
     const cache = new Map()
     const urls = new Map()
     const load = async name => {
@@ -20,19 +260,37 @@ export const makeComicBook = ({ entries, loadBlob, getSize }, file) => {
     const files = entries
         .map(entry => entry.filename)
         .filter(name => exts.some(ext => name.endsWith(ext)))
-        .sort()
+        .sort(comparePaths)
     if (!files.length) throw new Error('No supported image files in archive')
 
+    const info = loader.loadText ? await getInfo(loader, files) : null
+
+    // use the order of pages in the metadata file, if any;
+    // pages missing from the list are kept and appended at the end
+    const listed = new Set()
+    const pages = (info?.pages ?? [])
+        .filter(page => !listed.has(page.name) && listed.add(page.name))
+        .filter(page => !page.isDeleted)
+        .concat(files.filter(name => !listed.has(name)).map(name => ({ name })))
+
     const book = {}
-    book.getCover = () => loadBlob(files[0])
-    book.metadata = { title: file.name }
-    book.sections = files.map(name => ({
+    const cover = info?.cover ?? pages[0].name
+    book.getCover = () => loadBlob(cover)
+    book.metadata = tidy({ ...info?.metadata })
+    book.metadata.title ??= file.name
+    if (info?.dir) book.dir = info.dir
+    book.sections = pages.map(({ name, isDoublePage }) => ({
         id: name,
         load: () => load(name),
         unload: () => unload(name),
         size: getSize(name),
+        pageSpread: isDoublePage ? 'center' : undefined,
     }))
-    book.toc = files.map(name => ({ label: name, href: name }))
+    const bookmarks = pages.filter(page => page.bookmark)
+        .map(({ name, bookmark }) => ({ label: bookmark, href: name }))
+    book.toc = bookmarks.length ? bookmarks
+        : getFolderTOC(pages.map(page => page.name))
+        ?? pages.map(({ name }) => ({ label: name, href: name }))
     book.rendition = { layout: 'pre-paginated' }
     book.resolveHref = href => ({ index: book.sections.findIndex(s => s.id === href) })
     book.splitTOCHref = href => [href, null]
@@ -0,0 +1,618 @@
+export const NS = {
+    XHTML: 'http://www.w3.org/1999/xhtml',
+    EPUB: 'http://www.idpf.org/2007/ops',
+    DC: 'http://purl.org/dc/elements/1.1/',
+    DCTERMS: 'http://purl.org/dc/terms/',
+}
+
+const MIME = {
+    XML: 'application/xml',
+    XHTML: 'application/xhtml+xml',
+}
+
+const normalizeWhitespace = str => str ? str
+    .replace(/[\t\n\f\r ]+/g, ' ')
+    .replace(/^[\t\n\f\r ]+/, '')
+    .replace(/[\t\n\f\r ]+$/, '') : ''
+export const getElementText = el => normalizeWhitespace(el?.textContent)
+
+// WordprocessingML comes in two flavors ("transitional" and "strict") with
+// different namespaces, so elements and attributes are matched by local name;
+// the same goes for ODF, where the namespaces differ between versions
+export const $ = (el, name) => el ? Array.from(el.children).find(x => x.localName === name) : null
+export const $$ = (el, name) => el ? Array.from(el.children).filter(x => x.localName === name) : []
+export const $$$ = (el, name) => el
+    ? Array.from(el.getElementsByTagName('*')).filter(x => x.localName === name) : []
+export const attr = (el, name) => {
+    if (!el) return null
+    for (const a of el.attributes) if (a.localName === name) return a.value
+    return null
+}
+const val = el => attr(el, 'val')
+
+// toggle properties like `<w:b/>` or `<w:b w:val="false"/>`
+const isOn = el => {
+    if (!el) return false
+    const v = val(el)
+    return v == null || !['0', 'false', 'off', 'none'].includes(v)
+}
+
+// English Metric Units, used for image sizes
+const emuToPx = emu => Math.round(parseInt(emu) / 9525)
+
+const pathDirname = str => str.slice(0, str.lastIndexOf('/') + 1)
+
+const resolvePath = (path, relativeTo) => {
+    if (path.startsWith('/')) return path.slice(1)
+    const resolved = []
+    for (const part of (pathDirname(relativeTo) + path).split('/')) {
+        if (part === '..') resolved.pop()
+        else if (part !== '.') resolved.push(part)
+    }
+    return resolved.join('/')
+}
+
+export const parseXML = str => str
+    ? new DOMParser().parseFromString(str, MIME.XML) : null
+
+// relationships of a part are in `_rels/[name].rels` next to the part
+const loadRels = async (loader, path) => {
+    const dir = pathDirname(path)
+    const name = path.slice(dir.length)
+    const doc = parseXML(await loader.loadText(`${dir}_rels/${name}.rels`))
+    return new Map($$$(doc, 'Relationship').map(el => [el.getAttribute('Id'), {
+        type: el.getAttribute('Type'),
+        external: el.getAttribute('TargetMode') === 'External',
+        target: el.getAttribute('TargetMode') === 'External'
+            ? el.getAttribute('Target')
+            : resolvePath(el.getAttribute('Target'), path),
+    }]))
+}
+
+const LIST_TYPES = {
+    lowerRoman: 'i',
+    upperRoman: 'I',
+    lowerLetter: 'a',
+    upperLetter: 'A',
+}
+
+const ALIGN = {
+    left: 'left',
+    start: 'start',
+    right: 'right',
+    end: 'end',
+    center: 'center',
+    both: 'justify',
+    distribute: 'justify',
+}
+
+// path of the image as placeholder for `src`, to be replaced when loading
+export const MEDIA_ATTRIBUTE = 'data-foliate-media'
+
+class DOCXConverter {
+    notes = []
+    #noteNumbers = new Map()
+    #headingCount = 0
+    constructor({ styles, numbering }) {
+        this.doc = document.implementation.createDocument(NS.XHTML, 'html')
+        this.styles = new Map($$$(styles, 'style').map(el => [attr(el, 'styleId'), {
+            name: val($(el, 'name')) ?? '',
+            basedOn: val($(el, 'basedOn')),
+            outlineLevel: val($$$(el, 'outlineLvl')[0]),
+        }]))
+        const abstracts = new Map($$$(numbering, 'abstractNum').map(el =>
+            [attr(el, 'abstractNumId'), new Map($$(el, 'lvl').map(lvl =>
+                [attr(lvl, 'ilvl'), {
+                    format: val($(lvl, 'numFmt')) ?? 'decimal',
+                    start: parseInt(val($(lvl, 'start')) ?? '1'),
+                }]))]))
+        this.numbering = new Map($$$(numbering, 'num').map(el =>
+            [attr(el, 'numId'), abstracts.get(val($(el, 'abstractNumId')))]))
+    }
+    getHeadingLevel(styleID) {
+        for (let id = styleID, i = 0; id && i < 10; i++) {
+            const style = this.styles.get(id)
+            if (!style) break
+            if (style.outlineLevel != null) {
+                const level = parseInt(style.outlineLevel) + 1
+                return level <= 6 ? level : null
+            }
+            const match = style.name.match(/^heading\s*(\d)$/i)
+            if (match) return Math.min(6, parseInt(match[1]))
+            id = style.basedOn
+        }
+        return null
+    }
+    isTitle(styleID) {
+        return /^(?:title|subtitle)$/i.test(this.styles.get(styleID)?.name ?? '')
+    }
+    getNoteNumber(type, id) {
+        const key = `${type}-${id}`
+        if (!this.#noteNumbers.has(key)) {
+            const n = [...this.#noteNumbers.keys()]
+                .filter(k => k.startsWith(type)).length + 1
+            this.#noteNumbers.set(key, n)
+            this.notes.push({ type, id })
+        }
+        return this.#noteNumbers.get(key)
+    }
+    // convert the children of a paragraph, hyperlink, etc. into inline content
+    inline(node, parent, state) {
+        for (const child of node.children) {
+            switch (child.localName) {
+                case 'r':
+                    this.run(child, parent, state)
+                    break
+                case 'hyperlink': {
+                    const a = this.doc.createElement('a')
+                    const rel = this.rels?.get(attr(child, 'id'))
+                    const anchor = attr(child, 'anchor')
+                    if (rel) a.setAttribute('href', rel.target
+                        + (anchor ? `#${anchor}` : ''))
+                    else if (anchor) a.setAttribute('href', `#${anchor}`)
+                    this.inline(child, a, state)
+                    parent.append(a)
+                    break
+                }
+                case 'bookmarkStart': {
+                    const name = attr(child, 'name')
+                    if (name && name !== '_GoBack') {
+                        const a = this.doc.createElement('a')
+                        a.id = name
+                        parent.append(a)
+                    }
+                    break
+                }
+                case 'ins': case 'smartTag': case 'fldSimple': case 'customXml':
+                    this.inline(child, parent, state)
+                    break
+                case 'sdt':
+                    this.inline($(child, 'sdtContent') ?? child, parent, state)
+                    break
+            }
+        }
+    }
+    run(r, parent, state) {
+        const rPr = $(r, 'rPr')
+        let el = parent
+        const wrap = name => {
+            const x = this.doc.createElement(name)
+            el.append(x)
+            el = x
+        }
+        if (isOn($(rPr, 'b'))) wrap('strong')
+        if (isOn($(rPr, 'i'))) wrap('em')
+        if (isOn($(rPr, 'u'))) wrap('u')
+        if (isOn($(rPr, 'strike')) || isOn($(rPr, 'dstrike'))) wrap('s')
+        const vertAlign = val($(rPr, 'vertAlign'))
+        if (vertAlign === 'superscript') wrap('sup')
+        else if (vertAlign === 'subscript') wrap('sub')
+        if (isOn($(rPr, 'smallCaps'))) {
+            wrap('span')
+            el.setAttribute('style', 'font-variant: small-caps')
+        }
+        for (const child of r.children) {
+            switch (child.localName) {
+                case 't':
+                    el.append(child.textContent)
+                    state.hasContent ||= !!child.textContent.trim()
+                    break
+                case 'tab':
+                    el.append('\t')
+                    break
+                case 'noBreakHyphen':
+                    el.append('\u2011')
+                    break
+                case 'softHyphen':
+                    el.append('\u00ad')
+                    break
+                case 'sym': {
+                    const code = parseInt(attr(child, 'char'), 16)
+                    // symbol fonts use the private use area
+                    if (code) el.append(String.fromCodePoint(code >= 0xf000 ? code - 0xf000 : code))
+                    break
+                }
+                case 'br':
+                case 'cr':
+                    if (attr(child, 'type') === 'page') {
+                        if (state.hasContent) state.pageBreakAfter = true
+                        else state.pageBreakBefore = true
+                    }
+                    else el.append(this.doc.createElement('br'))
+                    break
+                case 'drawing':
+                case 'pict':
+                case 'object':
+                    for (const img of this.images(child)) el.append(img)
+                    state.hasContent = true
+                    break
+                case 'footnoteReference':
+                case 'endnoteReference': {
+                    const type = child.localName === 'footnoteReference' ? 'footnote' : 'endnote'
+                    const id = attr(child, 'id')
+                    const n = this.getNoteNumber(type, id)
+                    const a = this.doc.createElement('a')
+                    a.setAttribute('href', `#${type}-${id}`)
+                    a.setAttributeNS(NS.EPUB, 'epub:type', 'noteref')
+                    a.id = `${type}-ref-${id}`
+                    a.textContent = type === 'endnote' ? toRoman(n) : n
+                    if (vertAlign === 'superscript') el.append(a)
+                    else {
+                        const sup = this.doc.createElement('sup')
+                        sup.append(a)
+                        el.append(sup)
+                    }
+                    break
+                }
+                case 'footnoteRef':
+                case 'endnoteRef':
+                    if (state.note) el.append(state.note)
+                    break
+            }
+        }
+    }
+    images(node) {
+        const imgs = []
+        for (const blip of [...$$$(node, 'blip'), ...$$$(node, 'imagedata')]) {
+            const rel = this.rels?.get(attr(blip, 'embed') ?? attr(blip, 'id'))
+            if (!rel || rel.external) continue
+            const img = this.doc.createElement('img')
+            img.setAttribute(MEDIA_ATTRIBUTE, rel.target)
+            img.setAttribute('src', 'data:,')
+            const docPr = $$$(node, 'docPr')[0]
+            img.setAttribute('alt', attr(docPr, 'descr') ?? attr(docPr, 'title') ?? '')
+            const extent = $$$(node, 'extent')[0]
+            const cx = attr(extent, 'cx')
+            if (cx) img.setAttribute('style', `width: ${emuToPx(cx)}px`)
+            imgs.push(img)
+        }
+        return imgs
+    }
+    // returns `{ el, level, pageBreakBefore, pageBreakAfter, list }`
+    paragraph(p, state = {}) {
+        const pPr = $(p, 'pPr')
+        const styleID = val($(pPr, 'pStyle'))
+        const outline = val($(pPr, 'outlineLvl'))
+        const level = outline != null && parseInt(outline) < 6
+            ? parseInt(outline) + 1
+            : this.getHeadingLevel(styleID)
+        const el = this.doc.createElement(level ? `h${level}` : 'p')
+        if (!level && this.isTitle(styleID)) el.classList.add(
+            this.styles.get(styleID).name.toLowerCase())
+        const align = ALIGN[val($(pPr, 'jc'))]
+        if (align) el.setAttribute('style', `text-align: ${align}`)
+        if (level) el.id = `heading-${++this.#headingCount}`
+
+        this.inline(p, el, state)
+
+        const numPr = $(pPr, 'numPr')
+        const numID = val($(numPr, 'numId'))
+        const list = numID && numID !== '0' ? {
+            id: numID,
+            level: parseInt(val($(numPr, 'ilvl')) ?? '0'),
+        } : null
+        return {
+            el, level, list: level ? null : list,
+            pageBreakBefore: state.pageBreakBefore || isOn($(pPr, 'pageBreakBefore')),
+            pageBreakAfter: state.pageBreakAfter,
+        }
+    }
+    table(tbl) {
+        const table = this.doc.createElement('table')
+        const rows = $$(tbl, 'tr').map(tr => {
+            let col = 0
+            return $$(tr, 'tc').map(tc => {
+                const tcPr = $(tc, 'tcPr')
+                const span = parseInt(val($(tcPr, 'gridSpan')) ?? '1')
+                const vMerge = $(tcPr, 'vMerge')
+                const cell = {
+                    tc, col, span,
+                    merge: vMerge ? (val(vMerge) === 'restart' ? 'restart' : 'continue') : null,
+                }
+                col += span
+                return cell
+            })
+        })
+        for (const [i, row] of rows.entries()) {
+            const tr = this.doc.createElement('tr')
+            for (const { tc, col, span, merge } of row) {
+                if (merge === 'continue') continue
+                const td = this.doc.createElement('td')
+                if (span > 1) td.setAttribute('colspan', span)
+                if (merge === 'restart') {
+                    let rowspan = 1
+                    while (rows[i + rowspan]?.find(c => c.col === col)?.merge === 'continue')
+                        rowspan++
+                    if (rowspan > 1) td.setAttribute('rowspan', rowspan)
+                }
+                for (const { el } of this.blocks(tc)) td.append(el)
+                tr.append(td)
+            }
+            table.append(tr)
+        }
+        return table
+    }
+    // convert block level content, grouping numbered paragraphs into lists
+    // `note` is a link back to the reference, replacing the reference mark in the note
+    blocks(node, note) {
+        const blocks = []
+        let lists = []
+        for (const child of node.children) {
+            let block
+            if (child.localName === 'p') block = this.paragraph(child, { note })
+            else if (child.localName === 'tbl') block = { el: this.table(child) }
+            else if (child.localName === 'sdt') {
+                blocks.push(...this.blocks($(child, 'sdtContent') ?? child, note))
+                lists = []
+                continue
+            }
+            else continue
+            note = null
+
+            const { list } = block
+            if (!list) {
+                lists = []
+                blocks.push(block)
+                continue
+            }
+            // find or create the list for this level
+            const levels = this.numbering.get(list.id)
+            const format = levels?.get(String(list.level))?.format ?? 'decimal'
+            while (lists.length > list.level + 1
+                || lists.length && lists[lists.length - 1].id !== list.id
+                && lists.length > list.level) lists.pop()
+            while (lists.length < list.level + 1) {
+                const el = this.doc.createElement(format === 'bullet' ? 'ul' : 'ol')
+                if (LIST_TYPES[format]) el.setAttribute('type', LIST_TYPES[format])
+                const start = levels?.get(String(lists.length))?.start
+                if (start > 1) el.setAttribute('start', start)
+                const parent = lists[lists.length - 1]
+                if (parent) (parent.el.lastElementChild ?? parent.el).append(el)
+                else blocks.push({ ...block, el })
+                lists.push({ el, id: list.id })
+            }
+            const li = this.doc.createElement('li')
+            li.append(...block.el.childNodes)
+            for (const a of block.el.attributes) li.setAttribute(a.name, a.value)
+            lists[lists.length - 1].el.append(li)
+        }
+        return blocks
+    }
+    note(el, type, id) {
+        const n = this.getNoteNumber(type, id)
+        const aside = this.doc.createElement('aside')
+        aside.id = `${type}-${id}`
+        aside.setAttributeNS(NS.EPUB, 'epub:type', type)
+        const a = this.doc.createElement('a')
+        a.setAttribute('href', `#${type}-ref-${id}`)
+        a.setAttributeNS(NS.EPUB, 'epub:type', 'backlink')
+        a.textContent = type === 'endnote' ? toRoman(n) : n
+        for (const { el: x } of this.blocks(el, a)) aside.append(x)
+        // add the number if the note doesn't have a reference mark
+        if (!a.parentNode) aside.prepend(a)
+        return aside
+    }
+}
+
+const toRoman = n => {
+    const numerals = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'],
+        [90, 'xc'], [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']]
+    let str = ''
+    for (const [value, numeral] of numerals)
+        while (n >= value) str += numeral, n -= value
+    return str
+}
+
+const style = URL.createObjectURL(new Blob([`
+@namespace epub "http://www.idpf.org/2007/ops";
+p {
+    margin: 0 0 .5em 0;
+}
+p.title {
+    font-size: 2em;
+    font-weight: bold;
+    text-align: center;
+    margin: 1em 0;
+}
+p.subtitle {
+    font-size: 1.25em;
+    text-align: center;
+}
+table {
+    border-collapse: collapse;
+}
+td {
+    border: 1px solid;
+    padding: .25em;
+    vertical-align: top;
+}
+img {
+    max-width: 100%;
+}
+a[epub|type~="noteref"] {
+    text-decoration: none;
+}
+`], { type: 'text/css' }))
+
+const template = html => `<?xml version="1.0" encoding="utf-8"?>
+<html xmlns="http://www.w3.org/1999/xhtml">
+    <head><link href="${style}" rel="stylesheet" type="text/css"/></head>
+    <body>${html}</body>
+</html>`
+
+const getMetadata = (core, styles) => {
+    const get = (ns, name) => getElementText(core?.getElementsByTagNameNS(ns, name)[0])
+        || undefined
+    const keywords = getElementText(core?.getElementsByTagNameNS('*', 'keywords')[0])
+    const language = get(NS.DC, 'language')
+        ?? attr($$$($$$(styles, 'docDefaults')[0], 'lang')[0], 'val') ?? undefined
+    return {
+        title: get(NS.DC, 'title'),
+        author: get(NS.DC, 'creator'),
+        description: get(NS.DC, 'description'),
+        subject: [get(NS.DC, 'subject'), ...keywords.split(/[,;]/)]
+            .map(x => x?.trim()).filter(x => x),
+        language,
+        published: get(NS.DCTERMS, 'created'),
+        modified: get(NS.DCTERMS, 'modified'),
+    }
+}
+
+/**
+ * Make a book from converted blocks, split into sections at level 1 headings
+ * and page breaks, with a TOC built from the headings. Also used for ODT.
+ * @param {object} options
+ * @param {Document} options.doc the document that the blocks were created in
+ * @param {Array<{ el: Element, level?: number,
+ * pageBreakBefore?: boolean, pageBreakAfter?: boolean }>} options.blocks
+ * @param {Array<Element>} options.notes put in a separate, non-linear section
+ * @param {(path: string) => Promise<Blob | string>} options.loadMedia
+ * loads an image, or gives the URL to use instead
+ */
+export const makeBook = ({ doc, blocks, notes, loadMedia }) => {
+    const parts = [[]]
+    const newPart = () => {
+        if (parts[parts.length - 1].length) parts.push([])
+    }
+    for (const block of blocks) {
+        if (block.level === 1 || block.pageBreakBefore) newPart()
+        parts[parts.length - 1].push(block.el)
+        if (block.pageBreakAfter) newPart()
+    }
+    if (!parts[parts.length - 1].length) parts.pop()
+
+    const sectionData = parts.map(els => {
+        const el = doc.createElement('section')
+        el.append(...els)
+        return { el }
+    })
+    if (notes.length) {
+        const el = doc.createElement('section')
+        el.append(...notes)
+        sectionData.push({ el, linear: 'no' })
+    }
+
+    const mediaURLs = new Map()
+    const getMediaURL = async path => {
+        if (mediaURLs.has(path)) return mediaURLs.get(path)
+        const media = await loadMedia(path)
+        const url = media instanceof Blob ? URL.createObjectURL(media) : media
+        mediaURLs.set(path, url)
+        return url
+    }
+
+    const urls = new Map()
+    const idMap = new Map()
+    const book = {}
+    book.sections = sectionData.map(({ el, linear }, index) => {
+        for (const x of el.querySelectorAll('[id]')) idMap.set(x.id, index)
+        const str = template(el.outerHTML)
+        return {
+            id: index,
+            load: async () => {
+                if (urls.has(index)) return urls.get(index)
+                for (const img of el.querySelectorAll(`[${MEDIA_ATTRIBUTE}]`))
+                    img.setAttribute('src', await getMediaURL(img.getAttribute(MEDIA_ATTRIBUTE)))
+                const url = URL.createObjectURL(
+                    new Blob([template(el.outerHTML)], { type: MIME.XHTML }))
+                urls.set(index, url)
+                return url
+            },
+            unload: () => {
+                URL.revokeObjectURL(urls.get(index))
+                urls.delete(index)
+            },
+            createDocument: () => new DOMParser().parseFromString(str, MIME.XHTML),
+            size: new Blob([str]).size,
+            linear,
+        }
+    })
+
+    // build a TOC from headings
+    const root = { subitems: [] }
+    const stack = [{ level: 0, item: root }]
+    for (const [index, { el }] of sectionData.entries()) {
+        for (const h of el.querySelectorAll('h1, h2, h3, h4, h5, h6')) {
+            const label = getElementText(h)
+            if (!label) continue
+            const level = parseInt(h.localName[1])
+            while (stack[stack.length - 1].level >= level) stack.pop()
+            const item = { label, href: `${index}#${h.id}`, subitems: [] }
+            stack[stack.length - 1].item.subitems.push(item)
+            stack.push({ level, item })
+        }
+    }
+    const clean = items => items.map(item => ({
+        ...item, subitems: item.subitems.length ? clean(item.subitems) : null,
+    }))
+    book.toc = clean(root.subitems)
+
+    book.isExternal = uri => /^\w+:/i.test(uri)
+    book.resolveHref = href => {
+        const [a, b] = href.split('#')
+        return a
+            // the link is from the TOC
+            ? { index: Number(a), anchor: b ? doc => doc.getElementById(b) : null }
+            // link from within the page
+            : { index: idMap.get(b), anchor: doc => doc.getElementById(b) }
+    }
+    book.splitTOCHref = href => {
+        const [a, b] = href?.split('#') ?? []
+        return [Number(a), b]
+    }
+    book.getTOCFragment = (doc, id) => id
+        ? doc.getElementById(id) : doc.documentElement
+    book.getCover = () => null
+    book.destroy = () => {
+        for (const url of urls.values()) URL.revokeObjectURL(url)
+        for (const url of mediaURLs.values()) URL.revokeObjectURL(url)
+    }
+    return book
+}
+
+// find the main document part from the package relationships
+const getDocumentPath = async loader => {
+    const rels = await loadRels(loader, '')
+    for (const { type, target } of rels.values())
+        if (type.endsWith('/officeDocument')) return target
+    return 'word/document.xml'
+}
+
+export const makeDOCX = async (loader, file) => {
+    const path = await getDocumentPath(loader)
+    const load = async name => parseXML(await loader.loadText(name))
+    const doc = await load(path)
+    const body = $$$(doc, 'body')[0]
+    if (!body) throw new Error('Invalid DOCX file')
+    const rels = await loadRels(loader, path)
+    const getPart = type => [...rels.values()]
+        .find(rel => rel.type.endsWith('/' + type))?.target
+    const [styles, numbering, footnotes, endnotes] = await Promise.all(
+        ['styles', 'numbering', 'footnotes', 'endnotes'].map(async type => {
+            const target = getPart(type)
+            return target ? { doc: await load(target), path: target } : null
+        }))
+
+    const converter = new DOCXConverter({ styles: styles?.doc, numbering: numbering?.doc })
+    converter.rels = rels
+
+    const blocks = converter.blocks(body)
+
+    // notes are put in a separate, non-linear section
+    const notes = []
+    for (const [type, part] of [['footnote', footnotes], ['endnote', endnotes]]) {
+        if (!part) continue
+        converter.rels = await loadRels(loader, part.path)
+        const map = new Map($$$(part.doc, type).map(el => [attr(el, 'id'), el]))
+        for (const { type: t, id } of converter.notes)
+            if (t === type && map.has(id)) notes.push(converter.note(map.get(id), type, id))
+    }
+
+    const book = makeBook({
+        doc: converter.doc, blocks, notes,
+        loadMedia: async path => await loader.loadBlob(path) ?? 'data:,',
+    })
+    book.metadata = getMetadata(await load('docProps/core.xml'), styles?.doc)
+    book.metadata.title ||= file?.name?.replace(/\.docx$/i, '') ?? ''
+    return book
+}
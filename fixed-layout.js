@@ -1,3 +1,6 @@
+import { detectPanels } from './panels.js'
+import { PageTurn, effects, prefersReducedMotion } from './page-turn.js'
+
 const parseViewport = str => str
     ?.split(/[,;\s]/) // NOTE: technically, only the comma is valid
     ?.filter(x => x)
@@ -29,8 +32,52 @@ const getViewport = (doc, viewport) => {
     return { width: 1000, height: 2000 }
 }
 
+// the size to assume for pages that haven't been loaded
+const getDefaultSize = viewport => {
+    const { width, height } = typeof viewport === 'string'
+        ? Object.fromEntries(parseViewport(viewport)) : viewport ?? {}
+    return width && height
+        ? { width: parseFloat(width), height: parseFloat(height) }
+        : { width: 1000, height: 1400 }
+}
+
+const transformFrame = (frame, scale, blankWidth, blankHeight) => {
+    const { element, iframe, width, height, blank, onZoom } = frame
+    if (onZoom) onZoom({ doc: iframe.contentDocument, scale })
+    const iframeScale = onZoom ? scale : 1
+    Object.assign(iframe.style, {
+        width: `${width * iframeScale}px`,
+        height: `${height * iframeScale}px`,
+        transform: onZoom ? 'none' : `scale(${scale})`,
+        transformOrigin: 'top left',
+        display: blank ? 'none' : 'block',
+    })
+    Object.assign(element.style, {
+        width: `${(width ?? blankWidth) * scale}px`,
+        height: `${(height ?? blankHeight) * scale}px`,
+        overflow: 'hidden',
+        display: 'block',
+        flexShrink: '0',
+        marginBlock: 'auto',
+        position: 'relative',
+        transform: '',
+    })
+    // the overlayer covers the iframe, drawing in the iframe's coordinates
+    if (frame.overlayer) {
+        const { width, height, transform } = iframe.style
+        Object.assign(frame.overlayer.element.style, {
+            width, height, transform,
+            transformOrigin: 'top left',
+        })
+        frame.overlayer.redraw()
+    }
+}
+
+// leave some space around panels in guided view
+const PANEL_FIT = 0.95
+
 export class FixedLayout extends HTMLElement {
-    static observedAttributes = ['zoom']
+    static observedAttributes = ['zoom', 'guided', 'flow']
     #root = this.attachShadow({ mode: 'closed' })
     #observer = new ResizeObserver(() => this.#render())
     #spreads
@@ -43,6 +90,16 @@ export class FixedLayout extends HTMLElement {
     #center
     #side
     #zoom
+    #guided = false
+    #panels = new Map()
+    #panelIndex = 0
+    #scrolled = false
+    // in scrolled mode, the placeholder elements for all pages,
+    // with only the pages near the viewport being loaded
+    #pages
+    #pageSize
+    #location
+    #scrollPending = false
     constructor() {
         super()
 
@@ -55,9 +112,31 @@ export class FixedLayout extends HTMLElement {
             justify-content: center;
             align-items: center;
             overflow: auto;
+        }
+        :host([guided]) {
+            overflow: hidden;
+        }
+        :host([guided]) > div {
+            transition: transform 300ms ease;
+        }
+        @media (prefers-reduced-motion: reduce) {
+            :host([guided]) > div {
+                transition: none;
+            }
+        }
+        :host([flow="scrolled"]) {
+            display: block;
         }`)
 
         this.#observer.observe(this)
+        this.addEventListener('scroll', () => {
+            if (!this.#pages || this.#scrollPending) return
+            this.#scrollPending = true
+            requestAnimationFrame(() => {
+                this.#scrollPending = false
+                this.#updateScrolled('scroll')
+            })
+        })
     }
     attributeChangedCallback(name, _, value) {
         switch (name) {
@@ -66,11 +145,30 @@ export class FixedLayout extends HTMLElement {
                     ? parseFloat(value) : value
                 this.#render()
                 break
+            case 'guided':
+                this.#guided = value != null
+                this.#panelIndex = 0
+                if (this.#guided) this.#detectPanels()
+                this.#render()
+                break
+            case 'flow': {
+                const scrolled = value === 'scrolled'
+                if (scrolled === this.#scrolled) break
+                const index = this.#pages || this.#index >= 0 ? this.index : -1
+                this.#scrolled = scrolled
+                if (!scrolled) {
+                    this.#teardownScrolled()
+                    this.#index = -1
+                }
+                if (index >= 0) this.goTo({ index })
+                break
+            }
         }
     }
-    async #createFrame({ index, src: srcOption }) {
+    async #createFrame({ index, src: srcOption }, parent = this.#root) {
         const srcOptionIsString = typeof srcOption === 'string'
         const src = srcOptionIsString ? srcOption : srcOption?.src
+        const onLoad = srcOptionIsString ? null : srcOption?.onLoad
         const onZoom = srcOptionIsString ? null : srcOption?.onZoom
         const element = document.createElement('div')
         element.setAttribute('dir', 'ltr')
@@ -86,15 +184,16 @@ export class FixedLayout extends HTMLElement {
         iframe.setAttribute('sandbox', 'allow-same-origin allow-scripts')
         iframe.setAttribute('scrolling', 'no')
         iframe.setAttribute('part', 'filter')
-        this.#root.append(element)
+        parent.append(element)
         if (!src) return { blank: true, element, iframe }
         return new Promise(resolve => {
-            iframe.addEventListener('load', () => {
+            iframe.addEventListener('load', async () => {
                 const doc = iframe.contentDocument
+                await onLoad?.({ doc, index })
                 this.dispatchEvent(new CustomEvent('load', { detail: { doc, index } }))
                 const { width, height } = getViewport(doc, this.defaultViewport)
                 resolve({
-                    element, iframe,
+                    index, element, iframe,
                     width: parseFloat(width),
                     height: parseFloat(height),
                     onZoom,
@@ -103,21 +202,36 @@ export class FixedLayout extends HTMLElement {
             iframe.src = src
         })
     }
+    #createOverlayer(frame) {
+        if (frame.blank) return
+        this.dispatchEvent(new CustomEvent('create-overlayer', {
+            detail: {
+                doc: frame.iframe.contentDocument, index: frame.index,
+                attach: overlayer => {
+                    frame.overlayer = overlayer
+                    frame.element.append(overlayer.element)
+                },
+            },
+        }))
+    }
     #render(side = this.#side) {
+        if (this.#pages) return this.#layoutScrolled()
         if (!side) return
         const left = this.#left ?? {}
         const right = this.#center ?? this.#right ?? {}
         const target = side === 'left' ? left : right
         const { width, height } = this.getBoundingClientRect()
-        const portrait = this.spread !== 'both' && this.spread !== 'portrait'
-            && height > width
+        // guided view always shows one page at a time
+        const portrait = this.#guided || this.spread !== 'both'
+            && this.spread !== 'portrait' && height > width
         this.#portrait = portrait
+        const zoom = this.#guided ? 'fit-page' : this.#zoom
         const blankWidth = left.width ?? right.width ?? 0
         const blankHeight = left.height ?? right.height ?? 0
 
-        const scale = typeof this.#zoom === 'number' && !isNaN(this.#zoom)
-            ? this.#zoom
-            : (this.#zoom === 'fit-width'
+        const scale = typeof zoom === 'number' && !isNaN(zoom)
+            ? zoom
+            : (zoom === 'fit-width'
                 ? (portrait || this.#center
                     ? width / (target.width ?? blankWidth)
                     : width / ((left.width ?? blankWidth) + (right.width ?? blankWidth)))
@@ -133,27 +247,10 @@ export class FixedLayout extends HTMLElement {
             ) || 1
 
         const transform = frame => {
-            let { element, iframe, width, height, blank, onZoom } = frame
-            if (!iframe) return
-            if (onZoom) onZoom({ doc: frame.iframe.contentDocument, scale })
-            const iframeScale = onZoom ? scale : 1
-            Object.assign(iframe.style, {
-                width: `${width * iframeScale}px`,
-                height: `${height * iframeScale}px`,
-                transform: onZoom ? 'none' : `scale(${scale})`,
-                transformOrigin: 'top left',
-                display: blank ? 'none' : 'block',
-            })
-            Object.assign(element.style, {
-                width: `${(width ?? blankWidth) * scale}px`,
-                height: `${(height ?? blankHeight) * scale}px`,
-                overflow: 'hidden',
-                display: 'block',
-                flexShrink: '0',
-                marginBlock: 'auto',
-            })
+            if (!frame.iframe) return
+            transformFrame(frame, scale, blankWidth, blankHeight)
             if (portrait && frame !== target) {
-                element.style.display = 'none'
+                frame.element.style.display = 'none'
             }
         }
         if (this.#center) {
@@ -162,6 +259,44 @@ export class FixedLayout extends HTMLElement {
             transform(left)
             transform(right)
         }
+
+        // zoom in on the current panel, with the page centered in the view
+        if (!target.element) return
+        const panels = this.#guided ? this.#panels.get(target.index) : null
+        if (!panels?.length) {
+            target.element.style.transform = ''
+            return
+        }
+        this.#panelIndex = Math.max(0, Math.min(this.#panelIndex, panels.length - 1))
+        const panel = panels[this.#panelIndex]
+        const pageWidth = (target.width ?? blankWidth) * scale
+        const pageHeight = (target.height ?? blankHeight) * scale
+        const panelScale = PANEL_FIT * Math.min(
+            width / (panel.width * pageWidth),
+            height / (panel.height * pageHeight))
+        const x = (panel.x + panel.width / 2 - 0.5) * pageWidth * panelScale
+        const y = (panel.y + panel.height / 2 - 0.5) * pageHeight * panelScale
+        target.element.style.transform =
+            `translate(${-x}px, ${-y}px) scale(${panelScale})`
+    }
+    #detectPanels() {
+        for (const frame of [this.#left, this.#right, this.#center]) {
+            if (!frame?.iframe || frame.blank || this.#panels.has(frame.index)) continue
+            const doc = frame.iframe.contentDocument
+            const img = doc?.querySelector('img')
+            // only for pages consisting of a single image
+            if (!img || doc.body?.textContent?.trim()
+                || doc.querySelectorAll('img, svg, video, canvas').length > 1) continue
+            try {
+                const panels = detectPanels(img, { rtl: this.rtl })
+                this.#panels.set(frame.index, panels)
+                this.dispatchEvent(new CustomEvent('panels', {
+                    detail: { index: frame.index, panels },
+                }))
+            } catch (e) {
+                console.warn(e)
+            }
+        }
     }
     async #showSpread({ left, right, center, side }) {
         this.#root.replaceChildren()
@@ -171,12 +306,17 @@ export class FixedLayout extends HTMLElement {
         if (center) {
             this.#center = await this.#createFrame(center)
             this.#side = 'center'
+            this.#createOverlayer(this.#center)
+            if (this.#guided) this.#detectPanels()
             this.#render()
         } else {
             this.#left = await this.#createFrame(left)
             this.#right = await this.#createFrame(right)
             this.#side = this.#left.blank ? 'right'
                 : this.#right.blank ? 'left' : side
+            this.#createOverlayer(this.#left)
+            this.#createOverlayer(this.#right)
+            if (this.#guided) this.#detectPanels()
             this.#render()
         }
     }
@@ -243,7 +383,132 @@ export class FixedLayout extends HTMLElement {
             return arr
         }, [{}])
     }
+    #setupScrolled() {
+        this.#root.replaceChildren()
+        this.#left = null
+        this.#right = null
+        this.#center = null
+        this.#side = null
+        this.#index = -1
+        this.#location = null
+        this.#pages = this.book.sections.map((_, index) => {
+            const element = document.createElement('div')
+            element.style.marginInline = 'auto'
+            element.style.overflow = 'hidden'
+            this.#root.append(element)
+            return { index, element, top: 0, height: 0 }
+        })
+        this.#layoutScrolled(false)
+    }
+    #teardownScrolled() {
+        if (!this.#pages) return
+        for (const page of this.#pages) this.#unloadPage(page)
+        this.#pages = null
+        this.#root.replaceChildren()
+    }
+    #getPageScale(width, height) {
+        const zoom = this.#zoom
+        if (typeof zoom === 'number' && !isNaN(zoom)) return zoom
+        const { clientWidth, clientHeight } = this
+        return (zoom === 'fit-page'
+            ? Math.min(clientWidth / width, clientHeight / height)
+            : clientWidth / width) || 1
+    }
+    // stack pages vertically, keeping the current location in view
+    #layoutScrolled(keepLocation = true) {
+        const location = keepLocation ? this.#getScrolledLocation() : null
+        const defaultSize = this.#pageSize ?? getDefaultSize(this.defaultViewport)
+        let top = 0
+        for (const page of this.#pages) {
+            const { width, height } = page.size ?? defaultSize
+            const scale = this.#getPageScale(width, height)
+            page.top = top
+            page.height = height * scale
+            top += page.height
+            Object.assign(page.element.style, {
+                width: `${width * scale}px`,
+                height: `${page.height}px`,
+            })
+            if (page.frame) transformFrame(page.frame, scale, width, height)
+        }
+        if (location) {
+            const page = this.#pages[location.index]
+            this.scrollTop = page.top + location.fraction * page.height
+            // the pages in view may have changed with their sizes
+            this.#updateScrolled('anchor')
+        }
+    }
+    #getScrolledLocation() {
+        const pages = this.#pages
+        if (!pages?.length) return null
+        const { scrollTop } = this
+        const page = pages.findLast(page => page.top <= scrollTop) ?? pages[0]
+        const fraction = page.height
+            ? Math.max(0, Math.min(1, (scrollTop - page.top) / page.height)) : 0
+        return { index: page.index, fraction }
+    }
+    async #loadPage(page) {
+        if (page.frame) return
+        // if the page is still loading, keep it, even if it was to be unloaded
+        if (page.loading) {
+            page.cancelled = false
+            return
+        }
+        page.loading = true
+        page.cancelled = false
+        const section = this.book.sections[page.index]
+        let loaded = false
+        try {
+            const src = await section.load?.()
+            loaded = true
+            if (page.cancelled) return
+            const frame = await this.#createFrame({ index: page.index, src }, page.element)
+            if (page.cancelled) return frame.element.remove()
+            page.frame = frame
+            if (!frame.blank) {
+                page.size = { width: frame.width, height: frame.height }
+                this.#pageSize ??= page.size
+            }
+            this.#createOverlayer(frame)
+            this.#layoutScrolled()
+        } catch (e) {
+            console.error(e)
+        } finally {
+            page.loading = false
+            // unload here if the page was unloaded while loading, or failed,
+            // as the section can only be unloaded after it's loaded
+            if (loaded && !page.frame) section.unload?.()
+        }
+    }
+    #unloadPage(page) {
+        if (page.loading) page.cancelled = true
+        if (!page.frame) return
+        page.frame.element?.remove()
+        page.frame = null
+        this.book.sections[page.index]?.unload?.()
+    }
+    // load pages within one screen of the viewport, and unload the rest
+    #updateScrolled(reason) {
+        const { scrollTop, clientHeight } = this
+        const start = scrollTop - clientHeight
+        const end = scrollTop + clientHeight * 2
+        for (const page of this.#pages) {
+            if (page.top + page.height > start && page.top < end) this.#loadPage(page)
+            else this.#unloadPage(page)
+        }
+        const location = this.#getScrolledLocation()
+        if (!location) return
+        const { index, fraction } = location
+        if ((reason === 'scroll' || reason === 'anchor') && index === this.#location?.index
+            && fraction === this.#location?.fraction) return
+        this.#location = location
+        const { height } = this.#pages[index]
+        const size = height ? Math.min(1 - fraction, clientHeight / height) : 1
+        this.dispatchEvent(new CustomEvent('relocate', { detail:
+            { reason, range: null, index, fraction, size } }))
+    }
     get index() {
+        if (this.#pages) return this.#location?.index ?? 0
         const spread = this.#spreads[this.#index]
         const section = spread?.center ?? (this.#side === 'left'
             ? spread.left ?? spread.right : spread.right ?? spread.left)
@@ -294,25 +559,127 @@ export class FixedLayout extends HTMLElement {
         const resolved = await target
         const section = book.sections[resolved.index]
         if (!section) return
+        if (this.#scrolled) {
+            if (!this.#pages) this.#setupScrolled()
+            const page = this.#pages[resolved.index]
+            const fraction = typeof resolved.anchor === 'number' ? resolved.anchor : 0
+            this.scrollTop = page.top + fraction * page.height
+            this.#updateScrolled()
+            return
+        }
         const { index, side } = this.getSpreadOf(section)
+        this.#panelIndex = 0
         await this.goToSpread(index, side)
     }
+    get panels() {
+        return this.#panels.get(this.index) ?? null
+    }
+    get panelIndex() {
+        return this.#guided && this.panels ? this.#panelIndex : -1
+    }
+    getPanels(index) {
+        return this.#panels.get(index) ?? null
+    }
+    // for overriding detected panels, e.g. with corrections saved by the user
+    setPanels(index, panels) {
+        if (panels) this.#panels.set(index, panels)
+        else this.#panels.delete(index)
+        if (index !== this.index) return
+        if (!panels && this.#guided) this.#detectPanels()
+        this.#render()
+    }
+    goToPanel(index) {
+        this.#panelIndex = index
+        this.#render()
+    }
+    // when turning pages in guided view, start from the first or the last panel,
+    // but keep the current panel if it's already the first or the last page
+    async #turnPage(f, panelIndex, dir) {
+        const { index } = this
+        const oldPanelIndex = this.#panelIndex
+        this.#panelIndex = panelIndex
+        const effect = this.#pageTurnEffect
+        if (effect) await new PageTurn(this, effect, {
+            forward: dir > 0,
+            rtl: this.rtl,
+            parent: this.#root,
+        }).run(async () => {
+            await f()
+            return this.index !== index
+        })
+        else await f()
+        if (this.index === index) this.#panelIndex = oldPanelIndex
+    }
+    get #pageTurnEffect() {
+        const name = this.getAttribute('page-turn')
+        if (!name || prefersReducedMotion() || !PageTurn.supported) return null
+        return effects[name] ?? null
+    }
     async next() {
-        const s = this.rtl ? this.#goLeft() : this.#goRight()
-        if (!s) return this.goToSpread(this.#index + 1, this.rtl ? 'right' : 'left', 'page')
+        if (this.#pages) {
+            this.scrollTop += this.clientHeight
+            return
+        }
+        const panels = this.#guided ? this.panels : null
+        if (panels && this.#panelIndex < panels.length - 1)
+            return this.goToPanel(this.#panelIndex + 1)
+        return this.#turnPage(() => {
+            const s = this.rtl ? this.#goLeft() : this.#goRight()
+            if (!s) return this.goToSpread(this.#index + 1, this.rtl ? 'right' : 'left', 'page')
+        }, 0, 1)
     }
     async prev() {
-        const s = this.rtl ? this.#goRight() : this.#goLeft()
-        if (!s) return this.goToSpread(this.#index - 1, this.rtl ? 'left' : 'right', 'page')
+        if (this.#pages) {
+            this.scrollTop -= this.clientHeight
+            return
+        }
+        const panels = this.#guided ? this.panels : null
+        if (panels && this.#panelIndex > 0)
+            return this.goToPanel(this.#panelIndex - 1)
+        return this.#turnPage(() => {
+            const s = this.rtl ? this.#goRight() : this.#goLeft()
+            if (!s) return this.goToSpread(this.#index - 1, this.rtl ? 'left' : 'right', 'page')
+        }, Infinity, -1)
+    }
+    #getFrames() {
+        const frames = this.#pages
+            ? this.#pages.map(page => page.frame)
+            : [this.#left, this.#right, this.#center]
+        return frames.filter(frame => frame && !frame.blank)
+    }
+    // show the page containing the range, e.g. for TTS
+    scrollToAnchor(range) {
+        const doc = range?.startContainer?.ownerDocument
+        const frame = this.#getFrames().find(frame => frame.iframe.contentDocument === doc)
+        if (!frame) return
+        if (this.#pages) {
+            const { iframe } = frame
+            const rect = range.getBoundingClientRect()
+            const iframeRect = iframe.getBoundingClientRect()
+            const scale = iframeRect.width / iframe.clientWidth || 1
+            const top = iframeRect.top + rect.top * scale - this.getBoundingClientRect().top
+            if (top < 0 || top + rect.height * scale > this.clientHeight)
+                this.scrollTop += top - this.clientHeight / 3
+        }
+        else if (frame.element.style.display === 'none') {
+            this.#side = frame === this.#left ? 'left' : 'right'
+            this.#render()
+            this.#reportLocation('selection')
+        }
     }
     getContents() {
-        return Array.from(this.#root.querySelectorAll('iframe'), frame => ({
-            doc: frame.contentDocument,
-            // TODO: index, overlayer
-        }))
+        // the current page comes first
+        const { index } = this
+        return this.#getFrames()
+            .sort((a, b) => (b.index === index) - (a.index === index))
+            .map(({ index, iframe, overlayer }) => ({
+                index, overlayer,
+                doc: iframe.contentDocument,
+            }))
     }
     destroy() {
         this.#observer.unobserve(this)
+        this.#teardownScrolled()
     }
 }
 
@@ -0,0 +1,353 @@
+const MIME = {
+    HTML: 'text/html',
+    CSS: 'text/css',
+}
+
+const normalizeWhitespace = str => str ? str
+    .replace(/[\t\n\f\r ]+/g, ' ')
+    .replace(/^[\t\n\f\r ]+/, '')
+    .replace(/[\t\n\f\r ]+$/, '') : ''
+const getElementText = el => normalizeWhitespace(el?.textContent)
+
+// documents longer than this are split into sections at headings
+const MAX_SECTION_LENGTH = 150_000
+
+const resolveURL = (url, base) => {
+    try {
+        return base ? new URL(url, base).href : url
+    } catch {
+        return url
+    }
+}
+
+// replace asynchronously and sequentially
+// same technique as https://stackoverflow.com/a/48032528
+const replaceSeries = async (str, regex, f) => {
+    const matches = []
+    str.replace(regex, (...args) => (matches.push(args), null))
+    const results = []
+    for (const args of matches) results.push(await f(...args))
+    return str.replace(regex, () => results.shift())
+}
+
+const replaceCSSURLs = (str, f) => replaceSeries(str,
+    /url\(\s*["']?([^'"\n]*?)\s*["']?\s*\)|@import\s*["']([^"'\n]*?)["']/gi,
+    async (match, url, importURL) => {
+        const replaced = await f(url ?? importURL)
+        return url != null ? `url("${replaced}")` : `@import "${replaced}"`
+    })
+
+// convert bytes to a string where each character represents one byte,
+// so that MIME headers can be parsed without knowing the encoding
+const toBinaryString = bytes => {
+    let str = ''
+    for (let i = 0; i < bytes.length; i += 0x8000)
+        str += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+    return str
+}
+const fromBinaryString = str => Uint8Array.from(str, c => c.charCodeAt(0))
+
+const decodeQuotedPrintable = str => fromBinaryString(str
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))))
+
+const decodeBase64 = str => fromBinaryString(atob(str.replace(/\s/g, '')))
+
+const parseHeaders = str => {
+    const headers = new Map()
+    // unfold continuation lines
+    for (const line of str.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+        const i = line.indexOf(':')
+        if (i > 0) headers.set(line.slice(0, i).trim().toLowerCase(), line.slice(i + 1).trim())
+    }
+    return headers
+}
+
+const getParam = (header, name) => header
+    ?.match(new RegExp(`;\\s*${name}\\s*=\\s*(?:"([^"]*)"|([^;\\s]*))`, 'i'))
+    ?.slice(1)?.find(x => x != null)
+
+const splitHeaders = str => {
+    const match = str.match(/\r?\n\r?\n/)
+    return match
+        ? [str.slice(0, match.index), str.slice(match.index + match[0].length)]
+        : [str, '']
+}
+
+export const parseMHTML = bytes => {
+    const str = toBinaryString(bytes)
+    const [head] = splitHeaders(str)
+    const headers = parseHeaders(head)
+    const contentType = headers.get('content-type')
+    const boundary = getParam(contentType, 'boundary')
+    if (!boundary) throw new Error('Invalid MHTML file')
+    return str.split(`--${boundary}`).slice(1)
+        .filter(part => !part.startsWith('--'))
+        .map(part => {
+            const [head, body] = splitHeaders(part.replace(/^\r?\n/, ''))
+            const headers = parseHeaders(head)
+            const type = headers.get('content-type') ?? 'text/plain'
+            const encoding = headers.get('content-transfer-encoding')?.toLowerCase()
+            const data = encoding === 'base64' ? decodeBase64(body)
+                : encoding === 'quoted-printable' ? decodeQuotedPrintable(body)
+                : fromBinaryString(body.replace(/\r?\n$/, ''))
+            return {
+                type: type.split(';')[0].trim().toLowerCase(),
+                charset: getParam(type, 'charset') ?? 'utf-8',
+                location: headers.get('content-location'),
+                id: headers.get('content-id')?.replace(/^<|>$/g, ''),
+                data,
+            }
+        })
+}
+
+const decode = (bytes, charset) => {
+    try {
+        return new TextDecoder(charset).decode(bytes)
+    } catch {
+        return new TextDecoder().decode(bytes)
+    }
+}
+
+// decode HTML, taking into account the `charset` declared in the document
+const decodeHTML = bytes => {
+    const str = decode(bytes)
+    const charset = str.slice(0, 1024)
+        .match(/<meta[^>]+charset\s*=\s*["']?([\w-]+)/i)?.[1]
+    return charset && charset.toLowerCase() !== 'utf-8' ? decode(bytes, charset) : str
+}
+
+// create blob URLs for the resources in the archive,
+// like `Loader` in `epub.js`, but resolved by `Content-Location`
+class Resources {
+    urls = new Map()
+    #parts
+    constructor(parts) {
+        this.#parts = parts
+    }
+    get(url, base) {
+        if (!url || url.startsWith('data:') || url.startsWith('#')) return url
+        const resolved = resolveURL(url, base)
+        return this.urls.get(resolved) ?? this.urls.get(resolved.split('#')[0])
+            ?? this.urls.get(url) ?? resolved
+    }
+    async init() {
+        const css = []
+        for (const part of this.#parts) {
+            if (part.type === MIME.CSS) css.push(part)
+            else this.#add(part, new Blob([part.data], { type: part.type }))
+        }
+        // stylesheets can reference other resources, including other stylesheets;
+        // assume they're in order of appearance, so process them in reverse
+        for (const part of css.reverse()) {
+            const str = await replaceCSSURLs(decode(part.data, part.charset),
+                url => this.get(url, part.location))
+            this.#add(part, new Blob([str], { type: MIME.CSS }))
+        }
+        return this
+    }
+    #add({ location, id }, blob) {
+        const url = URL.createObjectURL(blob)
+        if (location) this.urls.set(location, url)
+        if (id) this.urls.set(`cid:${id}`, url)
+    }
+    destroy() {
+        for (const url of new Set(this.urls.values())) URL.revokeObjectURL(url)
+    }
+}
+
+const URL_ATTRIBUTES = [
+    ['img', 'src'], ['image', 'href'], ['video', 'src'], ['video', 'poster'],
+    ['audio', 'src'], ['source', 'src'], ['link', 'href'], ['iframe', 'src'],
+    ['embed', 'src'], ['object', 'data'], ['input', 'src'], ['track', 'src'],
+]
+
+// rewrite URLs to point to resources in the archive, and make links absolute
+const replaceURLs = async (doc, base, resources) => {
+    const get = url => resources?.get(url, base) ?? resolveURL(url, base)
+    for (const [tag, attr] of URL_ATTRIBUTES)
+        for (const el of doc.querySelectorAll(`${tag}[${attr}]`))
+            el.setAttribute(attr, get(el.getAttribute(attr)))
+    for (const el of doc.querySelectorAll('[srcset]'))
+        el.setAttribute('srcset', el.getAttribute('srcset').split(',').map(src => {
+            const [url, ...rest] = src.trim().split(/\s+/)
+            return [get(url), ...rest].join(' ')
+        }).join(', '))
+    for (const el of doc.querySelectorAll('style'))
+        el.textContent = await replaceCSSURLs(el.textContent, get)
+    for (const el of doc.querySelectorAll('[style]'))
+        el.setAttribute('style', await replaceCSSURLs(el.getAttribute('style'), get))
+    for (const a of doc.querySelectorAll('a[href]')) {
+        const href = a.getAttribute('href')
+        if (href.startsWith('#')) continue
+        const resolved = resolveURL(href, base)
+        // links to the document itself
+        if (base && resolved.split('#')[0] === base.split('#')[0])
+            a.setAttribute('href', '#' + (resolved.split('#')[1] ?? ''))
+        else a.setAttribute('href', resolved)
+    }
+}
+
+// move everything from `el` onwards out of `body` into a copy of it,
+// cloning the ancestors of `el` so that the structure is preserved
+const splitAt = (body, el) => {
+    let node = el, clone = null
+    while (node !== body) {
+        const parent = node.parentNode
+        const parentClone = parent.cloneNode(false)
+        if (parent !== body) parentClone.removeAttribute('id')
+        const siblings = []
+        for (let x = node.nextSibling; x; x = x.nextSibling) siblings.push(x)
+        parentClone.append(clone ?? node, ...siblings)
+        node = parent
+        clone = parentClone
+    }
+    return clone
+}
+
+const hasContent = el => getElementText(el) || el.querySelector('img, svg, video')
+
+// split the body into bodies starting at each heading of the given level
+const splitDocument = (doc, selector) => {
+    const bodies = Array.from(doc.body.querySelectorAll(selector))
+        .reverse().map(el => splitAt(doc.body, el)).reverse()
+    return hasContent(doc.body) ? [doc.body, ...bodies] : bodies
+}
+
+const getMetadata = doc => {
+    const meta = name => doc.querySelector(`meta[name="${name}" i], meta[property="${name}" i]`)
+        ?.getAttribute('content') || undefined
+    return {
+        title: meta('og:title') ?? (getElementText(doc.querySelector('title')) || undefined),
+        author: meta('author') ?? meta('article:author'),
+        description: meta('description') ?? meta('og:description'),
+        publisher: meta('og:site_name'),
+        published: meta('article:published_time') ?? meta('date'),
+        modified: meta('article:modified_time'),
+        language: doc.documentElement.lang || undefined,
+        subject: meta('keywords')?.split(',')?.map(x => x.trim())?.filter(x => x),
+    }
+}
+
+// name of custom ID attribute for headings without IDs
+const dataID = 'data-foliate-id'
+
+/**
+ * Make a book from a single HTML file or an MHTML web archive.
+ * @param {Blob} file
+ * @param {{ mhtml: boolean }} [options]
+ */
+export const makeHTML = async (file, { mhtml } = {}) => {
+    const bytes = new Uint8Array(await file.arrayBuffer())
+    let str, base, resources
+    if (mhtml) {
+        const parts = parseMHTML(bytes)
+        const main = parts.find(part => part.type === MIME.HTML)
+        if (!main) throw new Error('No HTML document in archive')
+        str = decode(main.data, main.charset)
+        base = main.location
+        resources = await new Resources(parts.filter(part => part !== main)).init()
+    } else str = decodeHTML(bytes)
+
+    const doc = new DOMParser().parseFromString(str, MIME.HTML)
+    base = doc.querySelector('base[href]')?.getAttribute('href') ?? base
+    for (const el of doc.querySelectorAll('script, base')) el.remove()
+    await replaceURLs(doc, base, resources)
+
+    let headingCount = 0
+    for (const h of doc.body.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+        if (!h.id) h.setAttribute(dataID, headingCount++)
+
+    // split long documents at the highest level of heading that occurs more than once
+    const level = doc.body.innerHTML.length > MAX_SECTION_LENGTH
+        ? ['h1', 'h2'].find(x => doc.body.querySelectorAll(x).length > 1) : null
+    const bodies = level ? splitDocument(doc, level) : [doc.body]
+
+    const head = doc.head.outerHTML
+    const htmlAttrs = Array.from(doc.documentElement.attributes,
+        ({ name, value }) => [name, value])
+    const makeSection = body => {
+        const section = document.implementation.createHTMLDocument()
+        for (const [name, value] of htmlAttrs) section.documentElement.setAttribute(name, value)
+        section.documentElement.replaceChildren()
+        section.documentElement.insertAdjacentHTML('afterbegin', head)
+        section.documentElement.append(section.importNode(body, true))
+        return '<!DOCTYPE html>\n' + section.documentElement.outerHTML
+    }
+    const strs = bodies.map(makeSection)
+
+    const sectionDocs = strs.map(str => new DOMParser().parseFromString(str, MIME.HTML))
+    const idMap = new Map()
+    for (const [index, doc] of sectionDocs.entries())
+        for (const el of doc.querySelectorAll('[id]'))
+            if (!idMap.has(el.id)) idMap.set(el.id, index)
+
+    const urls = new Map()
+    const book = {}
+    book.metadata = getMetadata(doc)
+    book.metadata.title ??= file.name?.replace(/\.(?:html?|xhtml|mht(?:ml)?)$/i, '') ?? ''
+    book.sections = strs.map((str, index) => ({
+        id: index,
+        load: () => {
+            if (urls.has(index)) return urls.get(index)
+            const url = URL.createObjectURL(new Blob([str], { type: MIME.HTML }))
+            urls.set(index, url)
+            return url
+        },
+        unload: () => {
+            URL.revokeObjectURL(urls.get(index))
+            urls.delete(index)
+        },
+        createDocument: () => new DOMParser().parseFromString(str, MIME.HTML),
+        size: new Blob([str]).size,
+    }))
+
+    // build a TOC from headings
+    const getHref = (index, h) => h.id
+        ? `${index}#${h.id}` : `${index}#${dataID}:${h.getAttribute(dataID)}`
+    const root = { subitems: [] }
+    const stack = [{ level: 0, item: root }]
+    for (const [index, doc] of sectionDocs.entries()) {
+        for (const h of doc.body.querySelectorAll('h1, h2, h3')) {
+            const label = getElementText(h)
+            if (!label) continue
+            const level = parseInt(h.localName[1])
+            while (stack[stack.length - 1].level >= level) stack.pop()
+            const item = { label, href: getHref(index, h), subitems: [] }
+            stack[stack.length - 1].item.subitems.push(item)
+            stack.push({ level, item })
+        }
+    }
+    const clean = items => items.map(item => ({
+        ...item, subitems: item.subitems.length ? clean(item.subitems) : null,
+    }))
+    book.toc = clean(root.subitems)
+
+    const getFragment = (doc, id) => id?.startsWith(dataID + ':')
+        ? doc.querySelector(`[${dataID}="${id.slice(dataID.length + 1)}"]`)
+        : id ? doc.getElementById(id) : doc.documentElement
+
+    // hrefs in the TOC are the index of the section and the fragment; links
+    // in the page are either to the page itself, or external, including
+    // relative ones, which are left as they are when there's no base URL
+    const isTOCHref = href => /^\d+(#|$)/.test(href)
+    book.isExternal = uri => !(uri.startsWith('#') || isTOCHref(uri))
+    book.resolveHref = href => {
+        const i = href.indexOf('#')
+        const a = i < 0 ? href : href.slice(0, i)
+        const b = i < 0 ? null : href.slice(i + 1)
+        if (isTOCHref(href)) return { index: Number(a), anchor: doc => getFragment(doc, b) }
+        if (a) return null
+        return { index: idMap.get(b), anchor: doc => doc.getElementById(b) }
+    }
+    book.splitTOCHref = href => {
+        const i = href?.indexOf('#') ?? -1
+        return i < 0 ? [Number(href), null] : [Number(href.slice(0, i)), href.slice(i + 1)]
+    }
+    book.getTOCFragment = getFragment
+    book.destroy = () => {
+        for (const url of urls.values()) URL.revokeObjectURL(url)
+        resources?.destroy()
+    }
+    return book
+}
@@ -0,0 +1,361 @@
+import * as CFI from './epubcfi.js'
+
+// client for KOReader's progress sync server (kosync), which stores the
+// position of a document, identified by a partial MD5 digest of the file, as
+// an xPointer for reflowable documents, or as a page number for PDFs and comics
+// see https://github.com/koreader/koreader-sync-server
+
+const ACCEPT = 'application/vnd.koreader.v1+json'
+const DEFAULT_DELAY = 5000
+const DEFAULT_TIMEOUT = 10000
+
+// MD5, as that's what the server expects, and it isn't in Web Crypto
+const S = [
+    7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+    5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+    4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+    6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21,
+]
+const K = Array.from({ length: 64 }, (_, i) =>
+    Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0)
+
+const md5 = data => {
+    if (typeof data === 'string') data = new TextEncoder().encode(data)
+    const length = ((data.length + 8) >>> 6) + 1 << 6
+    const bytes = new Uint8Array(length)
+    bytes.set(data)
+    bytes[data.length] = 0x80
+    const view = new DataView(bytes.buffer)
+    view.setUint32(length - 8, data.length * 8 >>> 0, true)
+    view.setUint32(length - 4, Math.floor(data.length / 2 ** 29), true)
+
+    const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476]
+    const M = new Uint32Array(16)
+    for (let offset = 0; offset < length; offset += 64) {
+        for (let i = 0; i < 16; i++) M[i] = view.getUint32(offset + i * 4, true)
+        let [a, b, c, d] = h
+        for (let i = 0; i < 64; i++) {
+            let f, g
+            if (i < 16) [f, g] = [(b & c) | (~b & d), i]
+            else if (i < 32) [f, g] = [(d & b) | (~d & c), (5 * i + 1) % 16]
+            else if (i < 48) [f, g] = [b ^ c ^ d, (3 * i + 5) % 16]
+            else [f, g] = [c ^ (b | ~d), (7 * i) % 16]
+            const x = (a + f + K[i] + M[g]) >>> 0
+            a = d
+            d = c
+            c = b
+            b = (b + (x << S[i] | x >>> 32 - S[i])) >>> 0
+        }
+        h[0] = (h[0] + a) >>> 0
+        h[1] = (h[1] + b) >>> 0
+        h[2] = (h[2] + c) >>> 0
+        h[3] = (h[3] + d) >>> 0
+    }
+    const result = new DataView(new ArrayBuffer(16))
+    h.forEach((x, i) => result.setUint32(i * 4, x, true))
+    return Array.from(new Uint8Array(result.buffer),
+        x => x.toString(16).padStart(2, '0')).join('')
+}
+
+// the digest KOReader uses to identify documents: the MD5 of 1 KiB samples
+// at increasing offsets; in KOReader the first offset is `lshift(1024, -2)`,
+// which wraps around to 0 in LuaJIT
+export const partialMD5 = async blob => {
+    const step = 1024
+    const size = 1024
+    const chunks = []
+    for (let i = -1; i <= 10; i++) {
+        const offset = i < 0 ? 0 : step * 4 ** i
+        if (offset >= blob.size) break
+        chunks.push(new Uint8Array(await blob.slice(offset, offset + size).arrayBuffer()))
+    }
+    const data = new Uint8Array(chunks.reduce((a, b) => a + b.length, 0))
+    let offset = 0
+    for (const chunk of chunks) {
+        data.set(chunk, offset)
+        offset += chunk.length
+    }
+    return md5(data)
+}
+
+// PDFs and comics are synced by page, as KOReader doesn't render them as HTML
+const isPaged = book => book.rendition?.layout === 'pre-paginated'
+    && !book.sections.some(section => section.cfi)
+
+// xPointers are paths in the document built by CREngine, in which the bodies
+// of the sections are put in `DocFragment` elements, like
+// `/body/DocFragment[3]/body/div/p[4]/text().120`;
+// steps are counted among siblings of the same name, from 1, and the index is
+// omitted if there's only one; text offsets are in code points
+
+// elements inserted by CREngine that aren't in the source document
+const INTERNAL_ELEMENTS = ['autoBoxing', 'floatBox', 'inlineBox', 'rubyBox', 'pseudoElem']
+
+const isText = node => node.nodeType === Node.TEXT_NODE
+    || node.nodeType === Node.CDATA_SECTION_NODE
+const isBlankText = node => isText(node) && !/\S/.test(node.nodeValue)
+
+const getTextNodes = parent => Array.from(parent.childNodes)
+    .filter(node => isText(node) && !isBlankText(node))
+
+const getSameNameElements = (parent, name) => Array.from(parent.children)
+    .filter(el => el.localName.toLowerCase() === name.toLowerCase())
+
+const toCodePoints = (str, offset) => [...str.slice(0, offset)].length
+const fromCodePoints = (str, offset) => [...str].slice(0, offset).join('').length
+
+const getElementPath = el => {
+    const body = el.ownerDocument.body
+    const steps = []
+    for (let node = el; node && node !== body; node = node.parentElement) {
+        const { parentElement } = node
+        if (!parentElement) return []
+        const name = node.localName
+        const siblings = getSameNameElements(parentElement, name)
+        steps.unshift(siblings.length > 1 ? `${name}[${siblings.indexOf(node) + 1}]` : name)
+    }
+    return steps
+}
+
+// get the xPointer of the start of a range in a section
+export const toXPointer = (index, range) => {
+    const base = `/body/DocFragment[${index + 1}]/body`
+    let node = range?.startContainer
+    let offset = range?.startOffset ?? 0
+    const body = node?.ownerDocument?.body
+    if (!node || !body?.contains(node)) return base
+    if (!isText(node) && node.childNodes[offset]) {
+        node = node.childNodes[offset]
+        offset = 0
+    }
+    if (isBlankText(node)) node = node.nextElementSibling ?? node.parentElement
+    else if (!isText(node) && node.nodeType !== Node.ELEMENT_NODE) node = node.parentElement
+    if (!isText(node)) {
+        const path = getElementPath(node)
+        return path.length ? `${base}/${path.join('/')}` : base
+    }
+    const parent = node.parentElement
+    const path = parent === body ? [] : getElementPath(parent)
+    const texts = getTextNodes(parent)
+    const text = texts.length > 1 ? `text()[${texts.indexOf(node) + 1}]` : 'text()'
+    return [base, ...path, text].join('/')
+        + `.${toCodePoints(node.nodeValue, offset)}`
+}
+
+const parseStep = str => {
+    const [, name, n, offset] = str.match(/^([^[.]+)(?:\[(\d+)\])?(?:\.(\d+))?$/) ?? []
+    return { name, n: n ? parseInt(n) : 1, offset: offset ? parseInt(offset) : null }
+}
+
+// get the section index of an xPointer, or, for PDFs and comics, of a page
+export const getXPointerIndex = xpointer => {
+    if (/^\d+$/.test(xpointer)) return parseInt(xpointer) - 1
+    const match = xpointer.match(/^\/body\/DocFragment(?:\[(\d+)\])?/)
+    return match ? parseInt(match[1] ?? 1) - 1 : null
+}
+
+// get the range of an xPointer in a section; when the path can't be followed
+// to the end, the range is at the deepest element found
+export const fromXPointer = (doc, xpointer) => {
+    const steps = xpointer.split('/').filter(x => x).map(parseStep)
+    const start = steps.findIndex(step => step.name === 'DocFragment')
+    let node = doc.body
+    const range = doc.createRange()
+    for (const { name, n, offset } of steps.slice(start + 2)) {
+        if (name === 'text()') {
+            const text = getTextNodes(node)[n - 1]
+            if (!text) break
+            range.setStart(text, Math.min(text.nodeValue.length,
+                fromCodePoints(text.nodeValue, offset ?? 0)))
+            range.collapse(true)
+            return range
+        }
+        if (!name) break
+        const el = getSameNameElements(node, name)[n - 1]
+        if (el) node = el
+        else if (!INTERNAL_ELEMENTS.includes(name)) break
+    }
+    range.selectNodeContents(node)
+    range.collapse(true)
+    return range
+}
+
+const resolveCFI = (book, cfi) => {
+    if (book.resolveCFI) return book.resolveCFI(cfi)
+    const parts = CFI.parse(cfi)
+    const index = CFI.fake.toIndex((parts.parent ?? parts).shift())
+    return { index, anchor: doc => CFI.toRange(doc, parts) }
+}
+
+const getBaseCFI = (book, index) => book.sections[index]?.cfi ?? CFI.fake.fromIndex(index)
+
+// convert the position of a KOReader progress to a CFI
+export const xPointerToCFI = async (book, xpointer) => {
+    const index = getXPointerIndex(xpointer)
+    const section = book.sections[index]
+    if (!section) return null
+    if (/^\d+$/.test(xpointer) || !section.createDocument) return getBaseCFI(book, index)
+    const doc = await section.createDocument()
+    return CFI.joinIndir(getBaseCFI(book, index),
+        CFI.fromRange(fromXPointer(doc, xpointer)))
+}
+
+// convert a CFI to the position of a KOReader progress
+export const cfiToXPointer = async (book, cfi) => {
+    const { index, anchor } = resolveCFI(book, cfi)
+    const section = book.sections[index]
+    if (!section) return null
+    if (isPaged(book)) return String(index + 1)
+    if (!section.createDocument) return toXPointer(index)
+    const doc = await section.createDocument()
+    const range = anchor(doc)
+    return toXPointer(index, range?.startContainer ? range : null)
+}
+
+export class KOSyncError extends Error {
+    constructor(message, { status, code } = {}) {
+        super(message)
+        this.status = status
+        this.code = code
+    }
+}
+
+const makeDeviceId = () => Array.from(crypto.getRandomValues(new Uint8Array(16)),
+    x => x.toString(16).padStart(2, '0')).join('').toUpperCase()
+
+export class KOSync {
+    #server
+    #username
+    #userkey
+    #timeout
+    #delay
+    #timer
+    #pending
+    /**
+     * @param {object} options
+     * @param {string} options.server the URL of the server
+     * @param {string} options.username
+     * @param {string} [options.password]
+     * @param {string} [options.userkey] the MD5 of the password, if already hashed
+     * @param {string} options.document the digest of the file, from `partialMD5()`
+     * @param {string} [options.device] the name of the device, shown in KOReader
+     * @param {string} [options.deviceId] should be kept the same across sessions,
+     * as progress pushed from the same device isn't pulled
+     * @param {number} [options.delay] how long to wait, in milliseconds, before
+     * pushing the progress after a relocation
+     * @param {number} [options.timeout] the timeout of requests, in milliseconds
+     */
+    constructor({
+        server, username, password, userkey, document,
+        device = 'foliate-js', deviceId = makeDeviceId(),
+        delay = DEFAULT_DELAY, timeout = DEFAULT_TIMEOUT,
+    }) {
+        this.#server = server.replace(/\/+$/, '')
+        this.#username = username
+        this.#userkey = userkey ?? md5(password ?? '')
+        this.document = document
+        this.device = device
+        this.deviceId = deviceId
+        this.#delay = delay
+        this.#timeout = timeout
+    }
+    async #fetch(path, { method = 'GET', body, auth = true } = {}) {
+        const headers = { 'Accept': ACCEPT }
+        if (body) headers['Content-Type'] = 'application/json'
+        if (auth) Object.assign(headers, {
+            'x-auth-user': this.#username,
+            'x-auth-key': this.#userkey,
+        })
+        const res = await fetch(this.#server + path, {
+            method, headers,
+            body: body ? JSON.stringify(body) : undefined,
+            signal: AbortSignal.timeout(this.#timeout),
+        })
+        const json = await res.json().catch(() => ({}))
+        if (!res.ok) throw new KOSyncError(json.message ?? res.statusText,
+            { status: res.status, code: json.code })
+        return json
+    }
+    register() {
+        return this.#fetch('/users/create', {
+            method: 'POST', auth: false,
+            body: { username: this.#username, password: this.#userkey },
+        })
+    }
+    async authorize() {
+        const { authorized } = await this.#fetch('/users/auth')
+        return authorized === 'OK'
+    }
+    // the raw progress on the server, or `null` if there's none
+    async getProgress() {
+        const json = await this.#fetch(`/syncs/progress/${encodeURIComponent(this.document)}`)
+        return json?.progress != null ? json : null
+    }
+    updateProgress({ progress, percentage }) {
+        return this.#fetch('/syncs/progress', {
+            method: 'PUT',
+            body: {
+                document: this.document,
+                progress, percentage,
+                device: this.device,
+                device_id: this.deviceId,
+            },
+        })
+    }
+    /**
+     * Get the progress on the server, with the position as a CFI if it can be
+     * converted, and otherwise as a fraction of the book.
+     */
+    async pull(book) {
+        const json = await this.getProgress()
+        if (!json) return null
+        let cfi = null
+        try {
+            cfi = await xPointerToCFI(book, String(json.progress))
+        } catch (e) {
+            console.warn(e)
+        }
+        return {
+            cfi,
+            fraction: json.percentage,
+            device: json.device,
+            deviceId: json.device_id,
+            timestamp: json.timestamp,
+            self: json.device_id === this.deviceId,
+        }
+    }
+    #toProgress(book, { index, range, fraction }) {
+        return {
+            progress: isPaged(book) ? String(index + 1) : toXPointer(index, range),
+            percentage: fraction ?? index / book.sections.length,
+        }
+    }
+    // push the progress now
+    push(book, location) {
+        this.cancel()
+        return this.updateProgress(this.#toProgress(book, location))
+    }
+    // push the progress after a delay, replacing any that's pending; the
+    // position is converted now, so it's fine if the document is unloaded
+    schedulePush(book, location) {
+        this.#pending = this.#toProgress(book, location)
+        clearTimeout(this.#timer)
+        this.#timer = setTimeout(() => this.flush(), this.#delay)
+    }
+    // push the pending progress, if any, without waiting
+    async flush() {
+        const pending = this.#pending
+        this.cancel()
+        if (!pending) return
+        try {
+            await this.updateProgress(pending)
+        } catch (e) {
+            console.warn(e)
+        }
+    }
+    cancel() {
+        clearTimeout(this.#timer)
+        this.#timer = null
+        this.#pending = null
+    }
+}
@@ -0,0 +1,207 @@
+import { textWalker } from './text-walker.js'
+
+// divides the text of each section into blocks of a fixed number of
+// characters, numbered across the book, so that a location is the same
+// regardless of the layout, and can be shared between devices
+
+const DEFAULT_SIZE = 1500
+
+// bump this when the way characters are counted changes
+const VERSION = 1
+
+const memoryCache = new Map()
+
+const isSpace = char => /\s/.test(char)
+
+// count characters with each run of whitespace counted as one, so that only
+// the text matters, and not how the markup is formatted;
+// `space` is whether the text before ends with whitespace
+export const countChars = (str, space) => {
+    const collapsed = str.replace(/\s+/g, ' ')
+    const count = collapsed.length - (space && collapsed.startsWith(' ') ? 1 : 0)
+    return [count, collapsed ? collapsed.endsWith(' ') : space]
+}
+
+// the text nodes of a document, with the number of characters before each
+export const indexDocument = doc => {
+    let count = 0
+    let space = false
+    const entries = [...textWalker(doc, function* (strs, makeRange) {
+        for (const [i, str] of strs.entries()) {
+            const node = makeRange(i, 0, i, 0).startContainer
+            yield { node, str, start: count, space }
+            const [n, endsWithSpace] = countChars(str, space)
+            count += n
+            space = endsWithSpace
+        }
+    })]
+    const map = new Map(entries.map(entry => [entry.node, entry]))
+    return { entries, map, count }
+}
+
+// the number of characters before a point in the document
+export const getOffset = ({ entries, map, count }, container, offset) => {
+    const entry = map.get(container)
+    if (entry) return entry.start + countChars(entry.str.slice(0, offset), entry.space)[0]
+    // otherwise, it's the start of the next text node
+    const range = container.ownerDocument.createRange()
+    range.setStart(container, offset)
+    let low = 0
+    let high = entries.length
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2)
+        if (range.comparePoint(entries[mid].node, 0) < 0) low = mid + 1
+        else high = mid
+    }
+    return entries[low]?.start ?? count
+}
+
+// the point in the document after a number of characters
+export const getPoint = ({ entries }, offset) => {
+    let low = 0
+    let high = entries.length - 1
+    if (high < 0) return
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2)
+        if (entries[mid].start <= offset) low = mid
+        else high = mid - 1
+    }
+    const { node, str, start } = entries[low]
+    let { space } = entries[low]
+    let count = start
+    for (let i = 0; i < str.length; i++) {
+        if (count >= offset) return [node, i]
+        if (!isSpace(str[i])) {
+            count++
+            space = false
+        } else if (!space) {
+            count++
+            space = true
+        }
+    }
+    return [node, str.length]
+}
+
+export class Locations {
+    #book
+    #size
+    #cache
+    #counts
+    #starts
+    #indexes = new WeakMap()
+    total = 0
+    /**
+     * @param {object} book
+     * @param {object} [options]
+     * @param {number} [options.size] the number of characters in a location
+     * @param {Map|Storage} [options.cache] where to cache the character counts
+     * of the sections, keyed by the book's identifier; defaults to memory
+     */
+    constructor(book, { size = DEFAULT_SIZE, cache = memoryCache } = {}) {
+        this.#book = book
+        this.#size = size
+        this.#cache = cache
+    }
+    #getKey() {
+        const id = this.#book.metadata?.identifier
+        return id ? `foliate-locations:${VERSION}:${this.#size}:${id}` : null
+    }
+    async #getCached(key) {
+        if (!key) return
+        const cache = this.#cache
+        try {
+            const value = await (cache.getItem ? cache.getItem(key) : cache.get(key))
+            const counts = value ? JSON.parse(value) : null
+            if (counts?.length === this.#book.sections.length) return counts
+        } catch (e) {
+            console.warn(e)
+        }
+    }
+    async #setCached(key, counts) {
+        if (!key) return
+        const cache = this.#cache
+        const value = JSON.stringify(counts)
+        try {
+            await (cache.setItem ? cache.setItem(key, value) : cache.set(key, value))
+        } catch (e) {
+            console.warn(e)
+        }
+    }
+    async init() {
+        const key = this.#getKey()
+        let counts = await this.#getCached(key)
+        if (!counts) {
+            counts = []
+            for (const section of this.#book.sections) {
+                if (section.linear === 'no' || !section.createDocument) {
+                    counts.push(0)
+                    continue
+                }
+                try {
+                    const doc = await section.createDocument()
+                    counts.push(indexDocument(doc).count)
+                } catch (e) {
+                    console.warn(e)
+                    counts.push(0)
+                }
+            }
+            await this.#setCached(key, counts)
+        }
+        this.#counts = counts
+        this.#starts = []
+        let total = 0
+        for (const count of counts) {
+            this.#starts.push(total)
+            total += Math.ceil(count / this.#size)
+        }
+        this.total = total
+        return this
+    }
+    #getIndex(doc) {
+        let index = this.#indexes.get(doc)
+        if (!index) {
+            index = indexDocument(doc)
+            this.#indexes.set(doc, index)
+        }
+        return index
+    }
+    #toLocation(index, offset) {
+        const blocks = Math.ceil(this.#counts[index] / this.#size)
+        return this.#starts[index]
+            + Math.max(0, Math.min(blocks - 1, Math.floor(offset / this.#size)))
+    }
+    // get the locations of the start and the end of a range in a section
+    getLocation(index, range) {
+        const doc = range?.startContainer?.ownerDocument
+        if (!doc || this.#counts?.[index] == null) return null
+        const docIndex = this.#getIndex(doc)
+        const start = getOffset(docIndex, range.startContainer, range.startOffset)
+        const end = getOffset(docIndex, range.endContainer, range.endOffset)
+        return {
+            current: this.#toLocation(index, start),
+            next: this.#toLocation(index, end),
+            total: this.total,
+        }
+    }
+    // get the section index and the anchor of a location
+    resolve(location) {
+        if (!this.#counts) return null
+        location = Math.max(0, Math.min(this.total - 1, Math.floor(location)))
+        const starts = this.#starts
+        const index = starts.findLastIndex((start, i) =>
+            start <= location && this.#counts[i] > 0)
+        if (index < 0) return null
+        const offset = (location - starts[index]) * this.#size
+        return {
+            index,
+            anchor: doc => {
+                const point = getPoint(this.#getIndex(doc), offset)
+                if (!point) return 0
+                const range = doc.createRange()
+                range.setStart(...point)
+                range.collapse(true)
+                return range
+            },
+        }
+    }
+}
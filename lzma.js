@@ -0,0 +1,266 @@
+// LZMA and LZMA2 decoders
+// based on the reference decoder in the LZMA SDK (`LzmaSpec.cpp`)
+
+const NUM_STATES = 12
+const NUM_POS_BITS_MAX = 4
+const NUM_LEN_TO_POS_STATES = 4
+const NUM_ALIGN_BITS = 4
+const START_POS_MODEL_INDEX = 4
+const END_POS_MODEL_INDEX = 14
+const NUM_FULL_DISTANCES = 1 << (END_POS_MODEL_INDEX >> 1)
+const MATCH_MIN_LEN = 2
+
+const PROB_INIT = 1024
+const makeProbs = n => new Uint16Array(n).fill(PROB_INIT)
+
+class RangeDecoder {
+    range = 0xffffffff
+    code = 0
+    constructor(data, pos = 0) {
+        this.data = data
+        this.pos = pos + 1
+        for (let i = 0; i < 4; i++)
+            this.code = ((this.code << 8) | this.data[this.pos++]) >>> 0
+        if (this.code === this.range) throw new Error('Corrupted LZMA data')
+    }
+    #normalize() {
+        if (this.range < 0x1000000) {
+            this.range = (this.range << 8) >>> 0
+            this.code = ((this.code << 8) | this.data[this.pos++]) >>> 0
+        }
+    }
+    decodeDirect(numBits) {
+        let result = 0
+        for (let i = 0; i < numBits; i++) {
+            this.range >>>= 1
+            let bit = 0
+            if (this.code >= this.range) {
+                this.code -= this.range
+                bit = 1
+            }
+            result = result * 2 + bit
+            this.#normalize()
+        }
+        return result
+    }
+    decodeBit(probs, i) {
+        const prob = probs[i]
+        const bound = (this.range >>> 11) * prob
+        let bit
+        if (this.code < bound) {
+            this.range = bound
+            probs[i] = prob + ((2048 - prob) >>> 5)
+            bit = 0
+        } else {
+            this.range -= bound
+            this.code -= bound
+            probs[i] = prob - (prob >>> 5)
+            bit = 1
+        }
+        this.#normalize()
+        return bit
+    }
+    decodeTree(probs, numBits, offset = 0) {
+        let m = 1
+        for (let i = 0; i < numBits; i++) m = (m << 1) | this.decodeBit(probs, offset + m)
+        return m - (1 << numBits)
+    }
+    decodeReverseTree(probs, numBits, offset = 0) {
+        let m = 1, symbol = 0
+        for (let i = 0; i < numBits; i++) {
+            const bit = this.decodeBit(probs, offset + m)
+            m = (m << 1) | bit
+            symbol |= bit << i
+        }
+        return symbol
+    }
+}
+
+class LenDecoder {
+    choice = makeProbs(2)
+    low = makeProbs(1 << NUM_POS_BITS_MAX << 3)
+    mid = makeProbs(1 << NUM_POS_BITS_MAX << 3)
+    high = makeProbs(1 << 8)
+    decode(rc, posState) {
+        if (!rc.decodeBit(this.choice, 0)) return rc.decodeTree(this.low, 3, posState << 3)
+        if (!rc.decodeBit(this.choice, 1)) return 8 + rc.decodeTree(this.mid, 3, posState << 3)
+        return 16 + rc.decodeTree(this.high, 8)
+    }
+}
+
+class LZMADecoder {
+    // the output buffer doubles as the dictionary;
+    // `dictStart` is where the dictionary was last reset
+    dictStart = 0
+    setProps(byte) {
+        if (byte >= 9 * 5 * 5) throw new Error('Invalid LZMA properties')
+        this.lc = byte % 9
+        this.lp = Math.floor(byte / 9) % 5
+        this.pb = Math.floor(byte / 45)
+    }
+    reset() {
+        this.literalProbs = makeProbs(0x300 << (this.lc + this.lp))
+        this.posSlot = makeProbs(NUM_LEN_TO_POS_STATES << 6)
+        this.posDecoders = makeProbs(1 + NUM_FULL_DISTANCES - END_POS_MODEL_INDEX)
+        this.align = makeProbs(1 << NUM_ALIGN_BITS)
+        this.isMatch = makeProbs(NUM_STATES << NUM_POS_BITS_MAX)
+        this.isRep = makeProbs(NUM_STATES)
+        this.isRepG0 = makeProbs(NUM_STATES)
+        this.isRepG1 = makeProbs(NUM_STATES)
+        this.isRepG2 = makeProbs(NUM_STATES)
+        this.isRep0Long = makeProbs(NUM_STATES << NUM_POS_BITS_MAX)
+        this.lenDecoder = new LenDecoder()
+        this.repLenDecoder = new LenDecoder()
+        this.state = 0
+        this.reps = [0, 0, 0, 0]
+    }
+    #decodeLiteral(rc, out, pos) {
+        const { lc, lp } = this
+        const prevByte = pos > this.dictStart ? out[pos - 1] : 0
+        const litState = (((pos - this.dictStart) & ((1 << lp) - 1)) << lc) + (prevByte >>> (8 - lc))
+        const probs = this.literalProbs
+        const offset = 0x300 * litState
+        let symbol = 1
+        if (this.state >= 7) {
+            let matchByte = out[pos - this.reps[0] - 1]
+            do {
+                const matchBit = (matchByte >>> 7) & 1
+                matchByte <<= 1
+                const bit = rc.decodeBit(probs, offset + ((1 + matchBit) << 8) + symbol)
+                symbol = (symbol << 1) | bit
+                if (matchBit !== bit) break
+            } while (symbol < 0x100)
+        }
+        while (symbol < 0x100) symbol = (symbol << 1) | rc.decodeBit(probs, offset + symbol)
+        out[pos] = symbol - 0x100
+    }
+    #decodeDistance(rc, len) {
+        const lenState = Math.min(len, NUM_LEN_TO_POS_STATES - 1)
+        const posSlot = rc.decodeTree(this.posSlot, 6, lenState << 6)
+        if (posSlot < START_POS_MODEL_INDEX) return posSlot
+        const numDirectBits = (posSlot >>> 1) - 1
+        let dist = (2 | (posSlot & 1)) * 2 ** numDirectBits
+        if (posSlot < END_POS_MODEL_INDEX)
+            return dist + rc.decodeReverseTree(this.posDecoders, numDirectBits, dist - posSlot)
+        dist += rc.decodeDirect(numDirectBits - NUM_ALIGN_BITS) * 2 ** NUM_ALIGN_BITS
+        return dist + rc.decodeReverseTree(this.align, NUM_ALIGN_BITS)
+    }
+    // decode into `out` from `pos` to `end`; returns the position reached,
+    // which is less than `end` if an end marker was found
+    decode(rc, out, pos, end) {
+        const pbMask = (1 << this.pb) - 1
+        const { reps } = this
+        while (pos < end) {
+            const posState = (pos - this.dictStart) & pbMask
+            const { state } = this
+            if (!rc.decodeBit(this.isMatch, (state << NUM_POS_BITS_MAX) + posState)) {
+                this.#decodeLiteral(rc, out, pos++)
+                this.state = state < 4 ? 0 : state < 10 ? state - 3 : state - 6
+                continue
+            }
+            let len
+            if (rc.decodeBit(this.isRep, state)) {
+                if (pos === this.dictStart) throw new Error('Corrupted LZMA data')
+                if (!rc.decodeBit(this.isRepG0, state)) {
+                    if (!rc.decodeBit(this.isRep0Long, (state << NUM_POS_BITS_MAX) + posState)) {
+                        this.state = state < 7 ? 9 : 11
+                        out[pos] = out[pos - reps[0] - 1]
+                        pos++
+                        continue
+                    }
+                } else {
+                    let dist
+                    if (!rc.decodeBit(this.isRepG1, state)) dist = reps[1]
+                    else {
+                        if (!rc.decodeBit(this.isRepG2, state)) dist = reps[2]
+                        else {
+                            dist = reps[3]
+                            reps[3] = reps[2]
+                        }
+                        reps[2] = reps[1]
+                    }
+                    reps[1] = reps[0]
+                    reps[0] = dist
+                }
+                len = this.repLenDecoder.decode(rc, posState)
+                this.state = state < 7 ? 8 : 11
+            } else {
+                reps[3] = reps[2]
+                reps[2] = reps[1]
+                reps[1] = reps[0]
+                len = this.lenDecoder.decode(rc, posState)
+                this.state = state < 7 ? 7 : 10
+                reps[0] = this.#decodeDistance(rc, len)
+                // end marker
+                if (reps[0] === 0xffffffff) return pos
+                if (reps[0] >= pos - this.dictStart) throw new Error('Corrupted LZMA data')
+            }
+            len += MATCH_MIN_LEN
+            const from = pos - reps[0] - 1
+            const n = Math.min(len, end - pos)
+            for (let i = 0; i < n; i++) out[pos + i] = out[from + i]
+            pos += n
+        }
+        return pos
+    }
+}
+
+/**
+ * Decode a raw LZMA stream, as used in 7z, where the properties
+ * are stored separately and the size is known.
+ * @param {Uint8Array} props the 5 byte properties (the dictionary size is ignored)
+ * @param {Uint8Array} data
+ * @param {number} size uncompressed size
+ */
+export const decodeLZMA = (props, data, size) => {
+    const decoder = new LZMADecoder()
+    decoder.setProps(props[0])
+    decoder.reset()
+    const out = new Uint8Array(size)
+    decoder.decode(new RangeDecoder(data), out, 0, size)
+    return out
+}
+
+/**
+ * Decode an LZMA2 stream.
+ * @param {Uint8Array} data
+ * @param {number} size uncompressed size
+ */
+export const decodeLZMA2 = (data, size) => {
+    const decoder = new LZMADecoder()
+    const out = new Uint8Array(size)
+    let pos = 0, outPos = 0
+    let needProps = true
+    while (pos < data.length) {
+        const control = data[pos++]
+        if (control === 0) break
+        // uncompressed chunk; 1 resets the dictionary
+        if (control === 1 || control === 2) {
+            const chunkSize = ((data[pos] << 8) | data[pos + 1]) + 1
+            pos += 2
+            if (control === 1) decoder.dictStart = outPos
+            out.set(data.subarray(pos, pos + chunkSize), outPos)
+            pos += chunkSize
+            outPos += chunkSize
+            continue
+        }
+        if (control < 0x80) throw new Error('Invalid LZMA2 control byte')
+        const unpackSize = ((control & 0x1f) << 16) + ((data[pos] << 8) | data[pos + 1]) + 1
+        const packSize = ((data[pos + 2] << 8) | data[pos + 3]) + 1
+        pos += 4
+        // 0: nothing reset, 1: state reset,
+        // 2: state reset and new properties, 3: everything reset, including the dictionary
+        const reset = (control >>> 5) & 3
+        if (reset === 3) decoder.dictStart = outPos
+        if (reset >= 2) {
+            decoder.setProps(data[pos++])
+            needProps = false
+        } else if (needProps) throw new Error('Missing LZMA2 properties')
+        if (reset >= 1) decoder.reset()
+        const end = Math.min(outPos + unpackSize, size)
+        decoder.decode(new RangeDecoder(data, pos), out, outPos, end)
+        pos += packSize
+        outPos = end
+    }
+    return out
+}
@@ -0,0 +1,544 @@
+const MIME = {
+    HTML: 'text/html',
+}
+
+const escapeHTML = str => str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+const isExternal = uri => /^\w+:/i.test(uri)
+
+const pathDirname = str => str.slice(0, str.lastIndexOf('/') + 1)
+
+const resolvePath = (path, relativeTo) => {
+    if (!path) return relativeTo
+    const parts = (pathDirname(relativeTo) + path).split('/')
+    const resolved = []
+    for (const part of parts) {
+        if (part === '..') resolved.pop()
+        else if (part !== '.') resolved.push(part)
+    }
+    return resolved.join('/')
+}
+
+const splitHref = href => {
+    const i = href.indexOf('#')
+    return i < 0 ? [href, null] : [href.slice(0, i), decodeURIComponent(href.slice(i + 1))]
+}
+
+export const isMarkdownFile = name => /\.(?:md|markdown|mdown|mkd)$/i.test(name)
+
+// GitHub-style heading IDs
+const slugify = str => str.trim().toLowerCase()
+    .replace(/<[^>]*>/g, '')
+    .replace(/&\w+;/g, '')
+    .replace(/[^\p{L}\p{N}\p{M}\s_-]/gu, '')
+    .replace(/\s/g, '-')
+
+const RE = {
+    blank: /^[ \t]*$/,
+    fence: /^( {0,3})(`{3,}|~{3,})[ \t]*([^`\s]*)[^`]*$/,
+    atx: /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/,
+    setext: /^ {0,3}(=+|-+)[ \t]*$/,
+    hr: /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/,
+    quote: /^ {0,3}> ?/,
+    list: /^( {0,3})([-+*]|\d{1,9}[.)])([ \t]+|$)/,
+    code: /^(?: {4}|\t)/,
+    html: /^ {0,3}<(?:\/?[a-zA-Z][\w-]*(?:\s|\/?>|$)|!--)/,
+    tableDelimiter: /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/,
+    definition: /^ {0,3}\[([^\]]+)\]:[ \t]*<?([^\s>]+)>?(?:[ \t]+(?:"([^"]*)"|'([^']*)'|\(([^)]*)\)))?[ \t]*$/,
+}
+
+const splitTableRow = line => line.trim()
+    .replace(/^\|/, '').replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'))
+
+// only non-empty bullet lists and ordered lists starting with 1
+// can interrupt a paragraph
+const listInterrupts = line => {
+    const m = line.match(RE.list)
+    return m && (!/^\d/.test(m[2]) || parseInt(m[2]) === 1)
+        && !RE.blank.test(line.slice(m[0].length))
+}
+
+// lines that interrupt a paragraph
+const interrupts = line => RE.fence.test(line) || RE.atx.test(line)
+    || RE.hr.test(line) || RE.quote.test(line) || RE.html.test(line)
+    || listInterrupts(line)
+
+const expandTabs = line => line.replace(/^\t+/, tabs => '    '.repeat(tabs.length))
+
+class MarkdownConverter {
+    constructor(lines) {
+        this.definitions = new Map()
+        this.ids = new Map()
+        // collect link reference definitions in a first pass
+        this.lines = lines.filter(line => {
+            const m = line.match(RE.definition)
+            if (!m) return true
+            const label = m[1].trim().toLowerCase()
+            if (!this.definitions.has(label)) this.definitions.set(label,
+                { href: m[2], title: m[3] ?? m[4] ?? m[5] })
+            return false
+        })
+    }
+    getID(text) {
+        const slug = slugify(text) || 'section'
+        const n = this.ids.get(slug) ?? 0
+        this.ids.set(slug, n + 1)
+        return n ? `${slug}-${n}` : slug
+    }
+    // returns a list of `{ html, heading }`, where `heading` is only set for
+    // headings that are direct children of the container being parsed
+    blocks(lines) {
+        const blocks = []
+        let i = 0
+        const push = (html, heading) => blocks.push({ html, heading })
+        const heading = (level, raw) => {
+            const html = this.inline(raw.trim())
+            const text = html.replace(/<[^>]*>/g, '')
+            const id = this.getID(text)
+            push(`<h${level} id="${escapeHTML(id)}">${html}</h${level}>`,
+                { level, id, label: unescapeHTML(text) })
+        }
+        while (i < lines.length) {
+            const line = lines[i]
+            let m
+            if (RE.blank.test(line)) {
+                i++
+            }
+            else if ((m = line.match(RE.fence))) {
+                const [, indent, fence, info] = m
+                const closing = new RegExp(`^ {0,3}${fence[0]}{${fence.length},}[ \\t]*$`)
+                const body = []
+                i++
+                while (i < lines.length) {
+                    const l = lines[i++]
+                    if (closing.test(l)) break
+                    body.push(l.replace(new RegExp(`^ {0,${indent.length}}`), ''))
+                }
+                const lang = info ? ` class="language-${escapeHTML(info)}"` : ''
+                push(`<pre><code${lang}>${escapeHTML(body.join('\n'))}</code></pre>`)
+            }
+            else if ((m = line.match(RE.atx))) {
+                heading(m[1].length, m[2] ?? '')
+                i++
+            }
+            else if (RE.hr.test(line)) {
+                push('<hr/>')
+                i++
+            }
+            else if (RE.quote.test(line)) {
+                const body = []
+                while (i < lines.length && !RE.blank.test(lines[i])
+                    && (RE.quote.test(lines[i]) || !interrupts(lines[i])))
+                    body.push(lines[i++].replace(RE.quote, ''))
+                push(`<blockquote>${this.html(body)}</blockquote>`)
+            }
+            else if (RE.list.test(line)) {
+                i = this.list(lines, i, push)
+            }
+            else if (RE.code.test(line)) {
+                const body = []
+                while (i < lines.length
+                    && (RE.code.test(lines[i]) || RE.blank.test(lines[i])))
+                    body.push(expandTabs(lines[i++]).slice(4))
+                while (body.length && RE.blank.test(body[body.length - 1])) body.pop()
+                push(`<pre><code>${escapeHTML(body.join('\n'))}</code></pre>`)
+            }
+            else if (RE.html.test(line)) {
+                const body = []
+                while (i < lines.length && !RE.blank.test(lines[i])) body.push(lines[i++])
+                push(body.join('\n'))
+            }
+            else if (line.includes('|') && RE.tableDelimiter.test(lines[i + 1] ?? '')) {
+                const header = splitTableRow(line)
+                const align = splitTableRow(lines[i + 1]).map(cell =>
+                    cell.endsWith(':') ? (cell.startsWith(':') ? 'center' : 'right')
+                    : cell.startsWith(':') ? 'left' : null)
+                const cell = (tag, text, j) => `<${tag}${align[j]
+                    ? ` style="text-align: ${align[j]}"` : ''}>${this.inline(text ?? '')}</${tag}>`
+                const rows = []
+                i += 2
+                while (i < lines.length && !RE.blank.test(lines[i]) && !interrupts(lines[i]))
+                    rows.push(splitTableRow(lines[i++]))
+                push(`<table><thead><tr>${header.map((text, j) => cell('th', text, j)).join('')}</tr></thead>`
+                    + `<tbody>${rows.map(row => `<tr>${header.map((_, j) =>
+                        cell('td', row[j], j)).join('')}</tr>`).join('')}</tbody></table>`)
+            }
+            else {
+                const body = [line]
+                i++
+                let level
+                while (i < lines.length && !RE.blank.test(lines[i])) {
+                    const setext = lines[i].match(RE.setext)
+                    if (setext) {
+                        level = setext[1][0] === '=' ? 1 : 2
+                        i++
+                        break
+                    }
+                    if (interrupts(lines[i])) break
+                    body.push(lines[i++])
+                }
+                const text = body.map(l => l.replace(/^[ \t]+/, '')).join('\n')
+                if (level) heading(level, text)
+                else push(`<p>${this.inline(text)}</p>`)
+            }
+        }
+        return blocks
+    }
+    html(lines) {
+        return this.blocks(lines).map(b => b.html).join('\n')
+    }
+    list(lines, i, push) {
+        const first = lines[i].match(RE.list)
+        const ordered = /^\d/.test(first[2])
+        const delimiter = first[2].slice(-1)
+        const start = ordered ? parseInt(first[2]) : 1
+        const items = []
+        let loose = false
+        while (i < lines.length) {
+            const m = lines[i].match(RE.list)
+            if (!m || /^\d/.test(m[2]) !== ordered || m[2].slice(-1) !== delimiter) break
+            const indent = m[1].length + m[2].length
+                + (m[3].length > 4 || !m[3] ? 1 : m[3].length)
+            const body = [lines[i].slice(m[0].length)]
+            i++
+            let blank = false
+            while (i < lines.length) {
+                const l = expandTabs(lines[i])
+                if (RE.blank.test(l)) {
+                    blank = true
+                    body.push('')
+                    i++
+                    continue
+                }
+                const leading = l.match(/^ */)[0].length
+                if (leading >= indent) body.push(l.slice(indent))
+                // lazy continuation line
+                else if (!blank && !interrupts(l) && !RE.list.test(l)) body.push(l)
+                else break
+                if (blank) loose = true
+                blank = false
+                i++
+            }
+            while (body.length && RE.blank.test(body[body.length - 1])) body.pop()
+            items.push(body)
+            // a blank line between items makes the list loose
+            if (blank && lines[i]?.match(RE.list)) loose = true
+        }
+        const tag = ordered ? 'ol' : 'ul'
+        const startAttr = ordered && start !== 1 ? ` start="${start}"` : ''
+        push(`<${tag}${startAttr}>${items.map(body => {
+            const blocks = this.blocks(body)
+            // tight lists don't wrap paragraphs in `<p>`
+            const html = blocks.map(({ html }) => loose ? html
+                : html.replace(/^<p>([\s\S]*)<\/p>$/, '$1')).join('\n')
+            return `<li>${html}</li>`
+        }).join('')}</${tag}>`)
+        return i
+    }
+    link(text, href, title, image) {
+        const t = title ? ` title="${escapeHTML(title)}"` : ''
+        const h = escapeHTML(href.replace(/\\(.)/g, '$1'))
+        return image
+            ? `<img src="${h}" alt="${escapeHTML(text.replace(/<[^>]*>/g, ''))}"${t}/>`
+            : `<a href="${h}"${t}>${text}</a>`
+    }
+    inline(text) {
+        const tokens = []
+        // use private use characters as placeholders
+        const token = html => `\ue000${tokens.push(html) - 1}\ue001`
+        let out = ''
+        let i = 0
+        while (i < text.length) {
+            const rest = text.slice(i)
+            let m
+            if ((m = rest.match(/^\\([!-/:-@[-`{-~])/))) {
+                out += token(escapeHTML(m[1]))
+            }
+            else if ((m = rest.match(/^&(?:#\d{1,7}|#x[\da-f]{1,6}|[a-z][a-z\d]{1,31});/i))) {
+                out += token(m[0])
+            }
+            else if ((m = rest.match(/^\\\n/))) {
+                out += token('<br/>')
+            }
+            else if ((m = rest.match(/^(`+)([\s\S]*?[^`])\1(?!`)/))) {
+                const code = m[2].replace(/\n/g, ' ').replace(/^ (.*) $/, '$1')
+                out += token(`<code>${escapeHTML(code)}</code>`)
+            }
+            else if ((m = rest.match(/^<([a-zA-Z][\w+.-]{1,31}:[^\s<>]*)>/))) {
+                out += token(this.link(escapeHTML(m[1]), m[1]))
+            }
+            else if ((m = rest.match(/^<([^\s@<>]+@[^\s@<>]+\.[^\s@<>]+)>/))) {
+                out += token(this.link(escapeHTML(m[1]), 'mailto:' + m[1]))
+            }
+            else if ((m = rest.match(/^<\/?[a-zA-Z][\w-]*(?:\s+[a-zA-Z_:][\w.:-]*(?:\s*=\s*(?:[^\s"'=<>`]+|'[^']*'|"[^"]*"))?)*\s*\/?>|^<!--[\s\S]*?-->/))) {
+                out += token(m[0])
+            }
+            else if ((m = this.matchLink(rest))) {
+                out += token(m.html)
+                i += m.length
+                continue
+            }
+            else if ((m = rest.match(/^ {2,}\n/))) {
+                out += token('<br/>')
+            }
+            else {
+                m = [text[i]]
+                out += text[i]
+            }
+            i += m[0].length
+        }
+        return escapeHTML(out)
+            .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+            .replace(/(\*|_)(?=\S)([\s\S]*?\S)\1/g, (m, d, x, offset, str) =>
+                // intraword underscores don't count
+                d === '_' && (/\w/.test(str[offset - 1]) || /\w/.test(str[offset + m.length]))
+                    ? m : `<em>${x}</em>`)
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+            .replace(/\ue000(\d+)\ue001/g, (_, n) => tokens[n])
+    }
+    // match `[text](href "title")`, `[text][ref]`, `[ref]`, and images
+    matchLink(str) {
+        const image = str.startsWith('![')
+        if (!image && !str.startsWith('[')) return
+        const start = image ? 2 : 1
+        // find the matching bracket
+        let depth = 1, j = start
+        for (; j < str.length && depth; j++) {
+            if (str[j] === '\\') j++
+            else if (str[j] === '[') depth++
+            else if (str[j] === ']') depth--
+        }
+        if (depth) return
+        const text = str.slice(start, j - 1)
+        const after = str.slice(j)
+        const render = (href, title, length) => ({
+            html: this.link(image ? text : this.inline(text), href, title, image),
+            length: j + length,
+        })
+        let m
+        if ((m = after.match(/^\(\s*(?:<([^>]*)>|((?:[^\s()\\]|\\.|\([^\s)]*\))*))(?:\s+(?:"([^"]*)"|'([^']*)'|\(([^)]*)\)))?\s*\)/)))
+            return render(m[1] ?? m[2], m[3] ?? m[4] ?? m[5], m[0].length)
+        if ((m = after.match(/^\[([^\]]*)\]/))) {
+            const def = this.definitions.get((m[1] || text).trim().toLowerCase())
+            if (def) return render(def.href, def.title, m[0].length)
+        }
+        const def = this.definitions.get(text.trim().toLowerCase())
+        if (def) return render(def.href, def.title, 0)
+    }
+}
+
+const unescapeHTML = str => str
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"').replace(/&amp;/g, '&')
+
+// parse simple YAML front matter
+const getFrontMatter = lines => {
+    if (lines[0]?.trim() !== '---') return [{}, lines]
+    const end = lines.indexOf('---', 1)
+    if (end < 0) return [{}, lines]
+    const data = {}
+    for (const line of lines.slice(1, end)) {
+        const m = line.match(/^([\w-]+):\s*(.*?)\s*$/)
+        if (m) data[m[1].toLowerCase()] = m[2].replace(/^(["'])(.*)\1$/, '$2')
+    }
+    return [data, lines.slice(end + 1)]
+}
+
+const style = URL.createObjectURL(new Blob([`
+pre {
+    white-space: pre-wrap;
+}
+table {
+    border-collapse: collapse;
+}
+td, th {
+    border: 1px solid;
+    padding: .25em .5em;
+}
+img {
+    max-width: 100%;
+}
+`], { type: 'text/css' }))
+
+const template = (html, title, lang) => `<!DOCTYPE html>
+<html${lang ? ` lang="${escapeHTML(lang)}"` : ''}>
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title ?? '')}</title>
+<link href="${style}" rel="stylesheet">
+</head>
+<body>${html}</body>
+</html>`
+
+// convert a Markdown file into one or more sections,
+// splitting before each of the top-level headings
+const convertFile = (str, path) => {
+    const [frontMatter, lines] = getFrontMatter(str.replace(/\r\n?/g, '\n').split('\n'))
+    const converter = new MarkdownConverter(lines)
+    const blocks = converter.blocks(converter.lines)
+    const levels = blocks.filter(b => b.heading).map(b => b.heading.level)
+    const topLevel = Math.min(...levels)
+    const parts = []
+    for (const block of blocks) {
+        if (!parts.length || block.heading?.level === topLevel)
+            parts.push({ blocks: [], headings: [] })
+        const part = parts[parts.length - 1]
+        part.blocks.push(block.html)
+        if (block.heading) part.headings.push(block.heading)
+    }
+    return {
+        frontMatter,
+        sections: parts.map(({ blocks, headings }) => ({
+            path, headings,
+            html: blocks.join('\n'),
+            ids: headings.map(h => h.id),
+        })),
+    }
+}
+
+// build a TOC tree from a flat list of headings
+const makeTOC = headings => {
+    const root = { subitems: [] }
+    const stack = [{ level: 0, item: root }]
+    for (const { level, label, href } of headings) {
+        while (stack[stack.length - 1].level >= level) stack.pop()
+        const item = { label, href, subitems: [] }
+        stack[stack.length - 1].item.subitems.push(item)
+        stack.push({ level, item })
+    }
+    const clean = items => items.map(item => ({
+        ...item, subitems: item.subitems.length ? clean(item.subitems) : null,
+    }))
+    return clean(root.subitems)
+}
+
+const decode = async blob => {
+    const { decodeText } = await import('./txt.js')
+    return (await decodeText(blob)).text
+}
+
+/**
+ * Make a book from Markdown.
+ * @param {Blob | { entries: { filename: string }[], loadText: Function, loadBlob: Function }} input
+ * either a single file, or a loader for an archive or directory
+ * @param {File} [file]
+ */
+export const makeMarkdown = async (input, file) => {
+    const isLoader = typeof input.loadText === 'function'
+    const loader = isLoader ? input : null
+    const files = isLoader
+        ? input.entries.map(entry => entry.filename).filter(isMarkdownFile)
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        : [input.name ?? 'index.md']
+    if (!files.length) throw new Error('No Markdown files found')
+
+    const converted = []
+    for (const path of files) converted.push(convertFile(isLoader
+        ? await loader.loadText(path) : await decode(input), path))
+
+    const frontMatter = converted[0].frontMatter
+    const sectionData = converted.flatMap(x => x.sections)
+    const language = frontMatter.lang ?? frontMatter.language
+
+    const book = {}
+    const firstHeading = sectionData.find(s => s.headings.length)?.headings[0]?.label
+    const name = (file ?? input).name?.replace(/\.(?:zip|md|markdown|mdown|mkd)$/i, '')
+    book.metadata = {
+        title: frontMatter.title
+            ?? (files.length === 1 ? firstHeading : null) ?? name ?? '',
+        author: frontMatter.author,
+        description: frontMatter.description,
+        published: frontMatter.date,
+        language,
+    }
+
+    // map of `path` to the first section index of the file,
+    // and of `path#id` to the section index of the anchor
+    const indexMap = new Map()
+    for (const [index, { path, ids }] of sectionData.entries()) {
+        if (!indexMap.has(path)) indexMap.set(path, index)
+        for (const id of ids) indexMap.set(`${path}#${id}`, index)
+    }
+
+    const resolve = href => {
+        const [path, id] = splitHref(href)
+        const index = (id != null ? indexMap.get(`${path}#${id}`) : null)
+            ?? indexMap.get(path)
+        return { index, id }
+    }
+
+    const blobURLs = new Map()
+    const loadResource = async (src, base) => {
+        if (!loader || isExternal(src) || src.startsWith('#')) return src
+        const path = resolvePath(splitHref(src)[0], base)
+        if (blobURLs.has(path)) return blobURLs.get(path)
+        const blob = await loader.loadBlob(path)
+        if (!blob) return src
+        const url = URL.createObjectURL(blob)
+        blobURLs.set(path, url)
+        return url
+    }
+
+    const urls = new Map()
+    const toString = async ({ html, path, headings }, resolveResources) => {
+        const doc = new DOMParser().parseFromString(
+            template(html, headings[0]?.label, language), MIME.HTML)
+        if (resolveResources) for (const img of doc.querySelectorAll('img[src]'))
+            img.setAttribute('src', await loadResource(img.getAttribute('src'), path))
+        return '<!DOCTYPE html>\n' + doc.documentElement.outerHTML
+    }
+    const load = async index => {
+        if (urls.has(index)) return urls.get(index)
+        const str = await toString(sectionData[index], true)
+        const url = URL.createObjectURL(new Blob([str], { type: MIME.HTML }))
+        urls.set(index, url)
+        return url
+    }
+    const unload = index => {
+        URL.revokeObjectURL(urls.get(index))
+        urls.delete(index)
+    }
+
+    book.sections = sectionData.map((section, index) => ({
+        id: index,
+        load: () => load(index),
+        unload: () => unload(index),
+        createDocument: async () => new DOMParser()
+            .parseFromString(await toString(section), MIME.HTML),
+        size: section.html.length,
+        resolveHref: href => {
+            if (isExternal(href)) return href
+            const [path, id] = splitHref(href)
+            const resolved = resolvePath(path, section.path)
+            return id != null ? `${resolved}#${id}` : resolved
+        },
+    }))
+
+    book.toc = makeTOC(sectionData.flatMap(({ path, headings }) =>
+        headings.map(({ level, label, id }) => ({ level, label, href: `${path}#${id}` }))))
+
+    book.isExternal = isExternal
+    book.resolveHref = href => {
+        const { index, id } = resolve(href)
+        return {
+            index,
+            anchor: id != null ? doc => doc.getElementById(id) : null,
+        }
+    }
+    book.splitTOCHref = href => {
+        const { index, id } = resolve(href)
+        return [index, id]
+    }
+    book.getTOCFragment = (doc, id) => id != null
+        ? doc.getElementById(id) : doc.documentElement
+    book.destroy = () => {
+        for (const url of urls.values()) URL.revokeObjectURL(url)
+        for (const url of blobURLs.values()) URL.revokeObjectURL(url)
+    }
+    return book
+}
@@ -0,0 +1,347 @@
+import {
+    NS, getElementText, $, $$, $$$, attr, parseXML, MEDIA_ATTRIBUTE, makeBook,
+} from './docx.js'
+
+const ALIGN = {
+    start: 'start',
+    end: 'end',
+    left: 'left',
+    right: 'right',
+    center: 'center',
+    justify: 'justify',
+}
+
+class ODTConverter {
+    #headingCount = 0
+    notes = []
+    constructor(styleRoots) {
+        this.doc = document.implementation.createDocument(NS.XHTML, 'html')
+        this.styles = new Map()
+        this.listStyles = new Map()
+        // automatic styles come last so that they take precedence
+        for (const root of styleRoots) {
+            for (const el of $$$(root, 'style')) {
+                const text = $(el, 'text-properties')
+                const paragraph = $(el, 'paragraph-properties')
+                this.styles.set(attr(el, 'name'), {
+                    parent: attr(el, 'parent-style-name'),
+                    bold: attr(text, 'font-weight'),
+                    italic: attr(text, 'font-style'),
+                    underline: attr(text, 'text-underline-style'),
+                    strike: attr(text, 'text-line-through-style'),
+                    position: attr(text, 'text-position'),
+                    align: attr(paragraph, 'text-align'),
+                    breakBefore: attr(paragraph, 'break-before'),
+                    breakAfter: attr(paragraph, 'break-after'),
+                })
+            }
+            for (const el of $$$(root, 'list-style')) this.listStyles.set(attr(el, 'name'),
+                new Map(Array.from(el.children, x => [attr(x, 'level'), x.localName])))
+        }
+    }
+    // get a style property, following the chain of parent styles
+    getStyle(name, prop) {
+        for (let i = 0; name && i < 10; i++) {
+            const style = this.styles.get(name)
+            if (!style) return null
+            if (style[prop] != null) return style[prop]
+            name = style.parent
+        }
+        return null
+    }
+    inline(node, parent) {
+        for (const child of node.childNodes) {
+            if (child.nodeType === 3) {
+                // whitespace is collapsed in ODF, and spaces are marked up with `text:s`
+                parent.append(child.nodeValue.replace(/[\t\n\r ]+/g, ' '))
+                continue
+            }
+            if (child.nodeType !== 1) continue
+            switch (child.localName) {
+                case 's':
+                    parent.append(' '.repeat(parseInt(attr(child, 'c') ?? '1')))
+                    break
+                case 'tab':
+                    parent.append('\t')
+                    break
+                case 'line-break':
+                    parent.append(this.doc.createElement('br'))
+                    break
+                case 'span':
+                    this.inline(child, this.span(child, parent))
+                    break
+                case 'a': {
+                    const a = this.doc.createElement('a')
+                    const href = attr(child, 'href')
+                    if (href) a.setAttribute('href', href)
+                    this.inline(child, a)
+                    parent.append(a)
+                    break
+                }
+                case 'bookmark':
+                case 'bookmark-start':
+                case 'reference-mark':
+                case 'reference-mark-start': {
+                    const a = this.doc.createElement('a')
+                    a.id = attr(child, 'name')
+                    parent.append(a)
+                    break
+                }
+                case 'note':
+                    parent.append(this.noteref(child))
+                    break
+                case 'frame':
+                    for (const img of this.images(child)) parent.append(img)
+                    break
+                case 'soft-page-break':
+                case 'annotation':
+                case 'annotation-end':
+                case 'bookmark-end':
+                case 'reference-mark-end':
+                    break
+                default:
+                    // fields, `text:ruby`, etc.
+                    this.inline(child, parent)
+            }
+        }
+    }
+    span(node, parent) {
+        const name = attr(node, 'style-name')
+        const get = prop => this.getStyle(name, prop)
+        let el = parent
+        const wrap = tag => {
+            const x = this.doc.createElement(tag)
+            el.append(x)
+            el = x
+        }
+        const bold = get('bold')
+        if (bold === 'bold' || parseInt(bold) >= 600) wrap('strong')
+        if (get('italic') === 'italic' || get('italic') === 'oblique') wrap('em')
+        if (get('underline') && get('underline') !== 'none') wrap('u')
+        if (get('strike') && get('strike') !== 'none') wrap('s')
+        const position = get('position')
+        if (position?.startsWith('super')
+            || parseFloat(position) > 0) wrap('sup')
+        else if (position?.startsWith('sub')
+            || parseFloat(position) < 0) wrap('sub')
+        return el
+    }
+    images(frame) {
+        const imgs = []
+        for (const image of $$(frame, 'image')) {
+            const img = this.doc.createElement('img')
+            const href = attr(image, 'href')
+            const data = $(image, 'binary-data')
+            if (href) {
+                img.setAttribute(MEDIA_ATTRIBUTE, href)
+                img.setAttribute('src', 'data:,')
+            } else if (data) {
+                const type = attr(image, 'mime-type') ?? 'image/png'
+                img.setAttribute('src',
+                    `data:${type};base64,${data.textContent.replace(/\s/g, '')}`)
+            } else continue
+            img.setAttribute('alt', getElementText($(frame, 'desc') ?? $(frame, 'title')))
+            const width = attr(frame, 'width')
+            if (width) img.setAttribute('style', `width: ${width}`)
+            imgs.push(img)
+            // only use the first image, as the rest are fallbacks
+            break
+        }
+        return imgs
+    }
+    noteref(note) {
+        const id = attr(note, 'id') ?? `note-${this.notes.length}`
+        const type = attr(note, 'note-class') === 'endnote' ? 'endnote' : 'footnote'
+        const citation = getElementText($(note, 'note-citation'))
+        this.notes.push({ id, type, citation, body: $(note, 'note-body') })
+        const sup = this.doc.createElement('sup')
+        const a = this.doc.createElement('a')
+        a.setAttribute('href', `#${id}`)
+        a.setAttributeNS(NS.EPUB, 'epub:type', 'noteref')
+        a.id = `${id}-ref`
+        a.textContent = citation
+        sup.append(a)
+        return sup
+    }
+    note({ id, type, citation, body }) {
+        const aside = this.doc.createElement('aside')
+        aside.id = id
+        aside.setAttributeNS(NS.EPUB, 'epub:type', type)
+        const a = this.doc.createElement('a')
+        a.setAttribute('href', `#${id}-ref`)
+        a.setAttributeNS(NS.EPUB, 'epub:type', 'backlink')
+        a.textContent = citation
+        const blocks = this.blocks(body)
+        const first = blocks[0]?.el
+        if (first?.localName === 'p') first.prepend(a, ' ')
+        else aside.append(a)
+        for (const { el } of blocks) aside.append(el)
+        return aside
+    }
+    paragraph(node) {
+        const name = attr(node, 'style-name')
+        const isHeading = node.localName === 'h'
+        const level = isHeading
+            ? Math.min(6, parseInt(attr(node, 'outline-level') ?? '1')) : null
+        const el = this.doc.createElement(level ? `h${level}` : 'p')
+        if (level) el.id = `heading-${++this.#headingCount}`
+        const align = ALIGN[this.getStyle(name, 'align')]
+        if (align) el.setAttribute('style', `text-align: ${align}`)
+        this.inline(node, this.span(node, el))
+        return {
+            el, level,
+            pageBreakBefore: this.getStyle(name, 'breakBefore') === 'page',
+            pageBreakAfter: this.getStyle(name, 'breakAfter') === 'page',
+        }
+    }
+    list(node, styleName, depth = 1) {
+        styleName = attr(node, 'style-name') ?? styleName
+        const type = this.listStyles.get(styleName)?.get(String(depth))
+        const el = this.doc.createElement(type === 'list-level-style-number' ? 'ol' : 'ul')
+        for (const item of node.children) {
+            if (item.localName !== 'list-item' && item.localName !== 'list-header') continue
+            const li = this.doc.createElement('li')
+            for (const child of item.children) {
+                if (child.localName === 'list') li.append(this.list(child, styleName, depth + 1))
+                else for (const { el } of this.blocks({ children: [child] })) {
+                    // unwrap paragraphs, as in tight lists
+                    if (el.localName === 'p') li.append(...el.childNodes)
+                    else li.append(el)
+                }
+            }
+            el.append(li)
+        }
+        return el
+    }
+    table(node) {
+        const table = this.doc.createElement('table')
+        // exclude rows of nested tables
+        const rows = $$$(node, 'table-row')
+            .filter(row => row.parentElement.closest('table') === node)
+        for (const row of rows) {
+            const tr = this.doc.createElement('tr')
+            for (const cell of $$(row, 'table-cell')) {
+                const td = this.doc.createElement('td')
+                const colspan = attr(cell, 'number-columns-spanned')
+                const rowspan = attr(cell, 'number-rows-spanned')
+                if (colspan > 1) td.setAttribute('colspan', colspan)
+                if (rowspan > 1) td.setAttribute('rowspan', rowspan)
+                for (const { el } of this.blocks(cell)) td.append(el)
+                tr.append(td)
+            }
+            table.append(tr)
+        }
+        return table
+    }
+    blocks(node) {
+        const blocks = []
+        for (const child of node.children) {
+            switch (child.localName) {
+                case 'p':
+                case 'h':
+                    blocks.push(this.paragraph(child))
+                    break
+                case 'list':
+                    blocks.push({ el: this.list(child) })
+                    break
+                case 'table':
+                    blocks.push({ el: this.table(child) })
+                    break
+                case 'section':
+                case 'index-body':
+                case 'table-of-content':
+                case 'alphabetical-index':
+                case 'illustration-index':
+                case 'bibliography':
+                    blocks.push(...this.blocks(child))
+                    break
+            }
+        }
+        return blocks
+    }
+}
+
+const getMetadata = meta => {
+    const get = name => getElementText($$$(meta, name)[0]) || undefined
+    return {
+        title: get('title'),
+        author: get('initial-creator') ?? get('creator'),
+        description: get('description'),
+        subject: [get('subject'), ...$$$(meta, 'keyword').map(getElementText)]
+            .filter(x => x),
+        language: get('language'),
+        published: get('creation-date'),
+        modified: get('date'),
+    }
+}
+
+/**
+ * Make a book from an OpenDocument text document.
+ * @param {Blob | object} input either a loader for ODT, or a FODT file
+ * @param {File} [file]
+ */
+export const makeODT = async (input, file) => {
+    const isLoader = typeof input.loadText === 'function'
+    const loader = isLoader ? input : null
+    let content, styles, meta
+    if (isLoader) [content, styles, meta] = await Promise.all(
+        ['content.xml', 'styles.xml', 'meta.xml']
+            .map(async name => parseXML(await loader.loadText(name))))
+    // flat XML documents contain everything in one file
+    else content = styles = meta = parseXML(await input.text())
+
+    const body = $$$(content, 'text').find(el => el.parentElement?.localName === 'body')
+    if (!body) throw new Error('Invalid OpenDocument text document')
+
+    const converter = new ODTConverter([
+        ...$$$(styles, 'styles'),
+        ...$$$(styles, 'automatic-styles'),
+        ...(content !== styles ? $$$(content, 'automatic-styles') : []),
+    ])
+
+    const blocks = converter.blocks(body)
+    // notes can contain notes, so the list may grow while iterating
+    const notes = []
+    for (let i = 0; i < converter.notes.length; i++)
+        notes.push(converter.note(converter.notes[i]))
+
+    const book = makeBook({
+        doc: converter.doc, blocks, notes,
+        loadMedia: async path =>
+            await loader?.loadBlob(path.replace(/^\.\//, '')) ?? path,
+    })
+    book.metadata = getMetadata(meta)
+    book.metadata.title ||= file?.name?.replace(/\.f?odt$/i, '') ?? ''
+
+    // hrefs in the TOC are the index of the section and the ID of the heading;
+    // other links to files can't be resolved, so they're treated as external
+    const isTOCHref = href => /^\d+(#|$)/.test(href)
+    book.isExternal = uri => /^\w+:/i.test(uri) || !(uri.startsWith('#') || isTOCHref(uri))
+
+    // links to headings look like `#1.Introduction|outline`, with the number
+    // of the heading, if any, and its text; the number is part of the text
+    // only if it's cached in the file. The TOC has every heading with text,
+    // in order, so that's where they're looked up
+    const findHeading = (f, items = book.toc) => {
+        for (const item of items ?? []) {
+            if (f(item.label)) return book.resolveHref(item.href)
+            const resolved = findHeading(f, item.subitems)
+            if (resolved) return resolved
+        }
+    }
+    const { resolveHref } = book
+    book.resolveHref = href => {
+        if (isTOCHref(href)) return resolveHref(href)
+        const [a, b] = href.split('#')
+        if (a) return null
+        const outline = b?.match(/^(.*)\|outline$/)?.[1]
+        if (outline) {
+            const text = outline.replace(/^\d+(\.\d+)*\.?\s*/, '')
+            const resolved = findHeading(x => x === outline)
+                ?? (text ? findHeading(x => x === text) : null)
+            if (resolved) return resolved
+        }
+        return resolveHref(href)
+    }
+    return book
+}
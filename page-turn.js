@@ -0,0 +1,318 @@
+// page turn animations, using view transitions to take a snapshot of the old
+// page and animating it against the new page with the Web Animations API
+//
+// an effect is an object with a `frame()` method that takes the turn's state
+// and returns the styles of the old and new pages, and optionally a `draw()`
+// method that paints on a canvas above them; the state is
+// - `progress`: from 0 (the old page) to 1 (the new page)
+// - `forward`: whether going to the next page
+// - `sign`: 1 if the new page comes from the right, -1 if from the left
+// - `width` and `height`: the size of the page in pixels
+// - `y`: where the page was grabbed, as a fraction of the height
+
+const lerp = (min, max, x) => x * (max - min) + min
+const easeOutQuad = x => 1 - (1 - x) * (1 - x)
+
+const animate = (a, b, duration, ease, render) => new Promise(resolve => {
+    let start
+    const step = now => {
+        start ??= now
+        const fraction = duration > 0 ? Math.min(1, (now - start) / duration) : 1
+        render(lerp(a, b, ease(fraction)))
+        if (fraction < 1) requestAnimationFrame(step)
+        else resolve()
+    }
+    requestAnimationFrame(step)
+})
+
+const isTransparent = color => !color || color === 'transparent'
+    || /^rgba\(.*,\s*0\)$/.test(color)
+
+// keep the part of a polygon where `f` is non-negative
+const clipPolygon = (points, f) => {
+    const result = []
+    for (const [i, a] of points.entries()) {
+        const b = points[(i + 1) % points.length]
+        const fa = f(a)
+        const fb = f(b)
+        if (fa >= 0) result.push(a)
+        if (fa >= 0 !== fb >= 0) {
+            const t = fa / (fa - fb)
+            result.push([lerp(a[0], b[0], t), lerp(a[1], b[1], t)])
+        }
+    }
+    return result
+}
+
+const toPolygon = points => points.length
+    ? `polygon(${points.map(([x, y]) => `${x}px ${y}px`).join(', ')})`
+    : 'polygon(0 0, 0 0, 0 0)'
+
+// the page being turned is folded along the perpendicular bisector of the
+// corner being dragged and where it's dragged to; going backward is the same
+// as going forward with the new page on top, turned in reverse
+const getFold = ({ progress, forward, sign, width, height, y = 0.9 }) => {
+    const amount = forward ? progress : 1 - progress
+    const side = forward ? sign : -sign
+    const cx = side > 0 ? width : 0
+    const cy = y * height
+    // lift the corner a little as it's turned
+    const lift = Math.sin(Math.PI * amount) * height * 0.1
+    const fx = cx - side * 2 * width * amount
+    const fy = cy + (y < 0.5 ? lift : -lift)
+    const length = Math.hypot(cx - fx, cy - fy)
+    const page = [[0, 0], [width, 0], [width, height], [0, height]]
+    if (!length) return { front: page, back: [] }
+    const nx = (cx - fx) / length
+    const ny = (cy - fy) / length
+    const px = (cx + fx) / 2
+    const py = (cy + fy) / 2
+    const distance = ([x, y]) => (x - px) * nx + (y - py) * ny
+    const reflect = point => {
+        const d = 2 * distance(point)
+        return [point[0] - d * nx, point[1] - d * ny]
+    }
+    return {
+        front: clipPolygon(page, point => -distance(point)),
+        back: clipPolygon(page, distance).map(reflect),
+        origin: [px, py],
+        normal: [nx, ny],
+        length,
+    }
+}
+
+const slide = {
+    duration: 300,
+    frame: ({ progress, sign, width }) => ({
+        old: { transform: `translateX(${-sign * progress * width}px)` },
+        new: { transform: `translateX(${sign * (1 - progress) * width}px)` },
+    }),
+}
+
+// the new page slides over the old one, or the old one slides away when
+// going backward
+const cover = {
+    duration: 300,
+    frame: ({ progress, forward, sign, width }) => {
+        const shadow = '0 0 16px rgba(0, 0, 0, .3)'
+        return forward ? {
+            new: {
+                zIndex: 1, boxShadow: shadow,
+                transform: `translateX(${sign * (1 - progress) * width}px)`,
+            },
+        } : {
+            old: {
+                zIndex: 1, boxShadow: shadow,
+                transform: `translateX(${-sign * progress * width}px)`,
+            },
+        }
+    },
+}
+
+const fade = {
+    duration: 250,
+    frame: ({ progress }) => ({ old: { zIndex: 1, opacity: 1 - progress } }),
+}
+
+const curl = {
+    duration: 500,
+    frame: state => ({
+        [state.forward ? 'old' : 'new']: {
+            zIndex: 1,
+            clipPath: toPolygon(getFold(state).front),
+        },
+    }),
+    draw: (ctx, state) => {
+        const { back, origin, normal, length } = getFold(state)
+        if (!back.length) return
+        const [px, py] = origin
+        const [nx, ny] = normal
+
+        // shadow cast on the page underneath
+        const size = Math.min(40, length)
+        const shadow = ctx.createLinearGradient(px, py, px + nx * size, py + ny * size)
+        shadow.addColorStop(0, 'rgba(0, 0, 0, .25)')
+        shadow.addColorStop(1, 'rgba(0, 0, 0, 0)')
+        ctx.fillStyle = shadow
+        ctx.fillRect(0, 0, state.width, state.height)
+
+        // the back of the page
+        const path = new Path2D()
+        for (const [x, y] of back) path.lineTo(x, y)
+        path.closePath()
+        ctx.save()
+        ctx.shadowColor = 'rgba(0, 0, 0, .3)'
+        ctx.shadowBlur = 12
+        ctx.fillStyle = state.color
+        ctx.fill(path)
+        ctx.restore()
+        const width = length / 2
+        const shading = ctx.createLinearGradient(px, py, px - nx * width, py - ny * width)
+        shading.addColorStop(0, 'rgba(0, 0, 0, .2)')
+        shading.addColorStop(0.3, 'rgba(255, 255, 255, .1)')
+        shading.addColorStop(1, 'rgba(0, 0, 0, .08)')
+        ctx.fillStyle = shading
+        ctx.fill(path)
+    },
+}
+
+// built-in effects; more can be added by assigning to this object
+export const effects = { slide, cover, fade, curl }
+
+export const prefersReducedMotion = () =>
+    matchMedia('(prefers-reduced-motion: reduce)').matches
+
+let count = 0
+
+export class PageTurn {
+    #element
+    #effect
+    #state
+    #parent
+    #name = `foliate-page-turn-${count++}`
+    #transition
+    #started
+    #animations
+    #canvas
+    #progress = 0
+    static get supported() {
+        return typeof document.startViewTransition === 'function'
+    }
+    /**
+     * @param {HTMLElement} element the element whose contents are turned
+     * @param {object} effect
+     * @param {object} options
+     * @param {boolean} options.forward
+     * @param {boolean} [options.rtl]
+     * @param {number} [options.y] where the page is grabbed, from 0 to 1
+     * @param {string} [options.color] the color of the back of the page
+     * @param {Node} [options.parent] where to put the canvas, if needed
+     */
+    constructor(element, effect, { forward, rtl, y, color, parent } = {}) {
+        this.#element = element
+        this.#effect = effect
+        this.#parent = parent ?? element
+        this.#state = {
+            forward, y,
+            sign: forward !== !!rtl ? 1 : -1,
+            color: isTransparent(color) ? '#fff' : color,
+        }
+    }
+    get progress() {
+        return this.#progress
+    }
+    set progress(progress) {
+        this.#progress = Math.max(0, Math.min(1, progress))
+        this.#render()
+    }
+    /**
+     * Start the transition, with `update` changing to the new page.
+     * If `update` returns `false`, the page hasn't changed and there's nothing
+     * to animate. Resolves to the return value of `update`.
+     */
+    start(update) {
+        this.#started ??= this.#start(update)
+        return this.#started
+    }
+    async #start(update) {
+        const element = this.#element
+        const { width, height } = element.getBoundingClientRect()
+        Object.assign(this.#state, { width, height })
+        element.style.viewTransitionName = this.#name
+        let result
+        this.#transition = document.startViewTransition(async () => {
+            result = await update()
+            if (result === false) this.#transition.skipTransition()
+            else if (this.#effect.draw) this.#createCanvas()
+        })
+        await this.#transition.updateCallbackDone
+        try {
+            await this.#transition.ready
+        } catch {
+            return result
+        }
+        // replace the default cross-fade with the effect
+        const name = `(${this.#name}`
+        for (const animation of document.getAnimations())
+            if (animation.effect?.pseudoElement?.includes(name)) animation.cancel()
+        const animate = pseudoElement => {
+            const animation = document.documentElement.animate([], {
+                pseudoElement, duration: 1, fill: 'both',
+            })
+            animation.pause()
+            return animation
+        }
+        this.#animations = {
+            group: animate(`::view-transition-group(${this.#name})`),
+            old: animate(`::view-transition-old(${this.#name})`),
+            new: animate(`::view-transition-new(${this.#name})`),
+        }
+        this.#render()
+        return result
+    }
+    #createCanvas() {
+        const { width, height } = this.#state
+        const { left, top } = this.#element.getBoundingClientRect()
+        const canvas = document.createElement('canvas')
+        const dpr = devicePixelRatio
+        canvas.width = width * dpr
+        canvas.height = height * dpr
+        Object.assign(canvas.style, {
+            position: 'fixed',
+            left: `${left}px`, top: `${top}px`,
+            width: `${width}px`, height: `${height}px`,
+            zIndex: '2147483647',
+            pointerEvents: 'none',
+            viewTransitionName: `${this.#name}-canvas`,
+        })
+        this.#parent.append(canvas)
+        this.#canvas = canvas
+    }
+    #render() {
+        if (!this.#animations) return
+        const state = { ...this.#state, progress: this.#progress }
+        const frame = this.#effect.frame(state)
+        // the snapshots are blended as in a cross-fade by default
+        const base = { mixBlendMode: 'normal' }
+        const styles = {
+            group: { clipPath: 'inset(0)' },
+            old: { ...base, ...frame.old },
+            new: { ...base, ...frame.new },
+        }
+        for (const [key, animation] of Object.entries(this.#animations))
+            animation.effect.setKeyframes([styles[key], styles[key]])
+        const canvas = this.#canvas
+        if (!canvas) return
+        const ctx = canvas.getContext('2d')
+        ctx.setTransform(devicePixelRatio, 0, 0, devicePixelRatio, 0, 0)
+        ctx.clearRect(0, 0, state.width, state.height)
+        this.#effect.draw(ctx, state)
+    }
+    /**
+     * Animate to the new page, or back to the old one if `commit` is false,
+     * in which case `revert` should change back to the old page.
+     */
+    async finish(commit = true, revert) {
+        try {
+            await this.#started
+        } catch {}
+        const to = commit ? 1 : 0
+        if (this.#animations) await animate(this.#progress, to,
+            this.#effect.duration * Math.abs(to - this.#progress), easeOutQuad,
+            x => this.progress = x)
+        if (!commit) await revert?.()
+        if (this.#animations) for (const animation of Object.values(this.#animations))
+            animation.finish()
+        await this.#transition?.finished.catch(() => {})
+        this.#element.style.viewTransitionName = ''
+        this.#canvas?.remove()
+    }
+    async run(update) {
+        this.#progress = 0
+        try {
+            return await this.start(update)
+        } finally {
+            await this.finish()
+        }
+    }
+}
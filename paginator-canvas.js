@@ -1,129 +1,1621 @@
-import { CoreReader } from '../src/x-canvas/core-reader.js';
-
-// NOTE: everything here assumes the so-called "negative scroll type" for RTL
-// NOTE: 整体的布局 header（标题） container（book） footer（进度）
-
-/**
- * @import { FoliatePaginatorElement } from './paginator'
- */
-
-/**
- * @implements {FoliatePaginatorElement}
- */
-export class Paginator extends HTMLElement {
-  static observedAttributes = [
-    'flow',
-    'gap',
-    'margin',
-    'max-inline-size',
-    'max-block-size',
-    'max-column-count',
-  ];
-  #root = this.attachShadow({ mode: 'open' });
-  /**
-   * @type {CanvasView}
-   */
-  #view;
-  locked = false; // while true, prevent any further navigation
-  /**
-   * 书的章节，或者说目录
-   * @typedef {{id: string, load: () => Promise<SectionLoad>, createDocument: () => Promise<Document>, size: number, linear: string, cfi: string}} EPUBSection
-   * @type {Array<EPUBSection>}
-   */
-  sections = [];
-  constructor() {
-    super();
-    this.#root.innerHTML = `
-        <link rel="stylesheet" href="http://localhost:5173/styles.css">
-        <div class="canvas-wrap">
-            <div id="renderCanvas"></div>
-        </div>
-        `;
-  }
-
-  open(book) {
-    // console.log('🚨🚨🚨👉👉📢', 'book', book);
-    // setTimeout(() => {
-    //   book.sections[0].load().then((s) => {
-    //     fetch(s).then((res) => {
-    //       res.text().then((text) => {
-    //         console.log('🚨🚨🚨👉👉📢', 'text', text);
-    //       });
-    //     });
-    //   });
-    // }, 1000);
-    this.bookDir = book.dir;
-    this.sections = book.sections;
-    book.transformTarget?.addEventListener('data', ({ detail }) => {
-      if (detail.type !== 'text/css') return;
-      const w = innerWidth;
-      const h = innerHeight;
-      detail.data = Promise.resolve(detail.data).then((data) =>
-        data
-          // unprefix as most of the props are (only) supported unprefixed
-          .replace(/(?<=[{\s;])-epub-/gi, '')
-          // replace vw and vh as they cause problems with layout
-          .replace(
-            /(\d*\.?\d+)vw/gi,
-            (_, d) => (parseFloat(d) * w) / 100 + 'px'
-          )
-          .replace(
-            /(\d*\.?\d+)vh/gi,
-            (_, d) => (parseFloat(d) * h) / 100 + 'px'
-          )
-          // `page-break-*` unsupported in columns; replace with `column-break-*`
-          .replace(
-            /page-break-(after|before|inside)\s*:/gi,
-            (_, x) => `-webkit-column-break-${x}:`
-          )
-          .replace(
-            /break-(after|before|inside)\s*:\s*(avoid-)?page/gi,
-            (_, x, y) => `break-${x}: ${y ?? ''}column`
-          )
-      );
-    });
-  }
-
-  render() {}
-  next() {
-    const el = this.#root.getElementById('renderCanvas');
-    const coreReader = new CoreReader({
-      mode: 'vertical',
-      theme: {
-        backgroundColor: '#fff',
-        textColor: '#222',
-        selectionColor: '#007aff',
-        selectionOpacity: 0.2,
-        highlightColor: '#ffeb3b',
-        highlightOpacity: 0.3,
-      },
-    });
-    window.coreReader = coreReader;
-    // TODO: 新增书籍时，在 native 端就解析好，存到 native 的数据库
-    const sections = [
-      {
-        load: async () => {
-          return 'http://localhost:5173/1.html';
+// a paginator that lays out text on a canvas, with its own line breaking;
+// sections are loaded in a hidden iframe, which resolves the styles and
+// provides the `Document` for the rest of the reader, and the geometry of
+// ranges and elements in it is reported from the canvas layout, so that
+// overlayers and anything positioned relative to ranges keep working
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+const debounce = (f, wait, immediate) => {
+    let timeout
+    return (...args) => {
+        const later = () => {
+            timeout = null
+            if (!immediate) f(...args)
+        }
+        const callNow = immediate && !timeout
+        if (timeout) clearTimeout(timeout)
+        timeout = setTimeout(later, wait)
+        if (callNow) f(...args)
+    }
+}
+
+const SVG_NS = 'http://www.w3.org/2000/svg'
+const XLINK_NS = 'http://www.w3.org/1999/xlink'
+
+const SOFT_HYPHEN = '\u00ad'
+const SELECTION_COLOR = 'rgba(0, 120, 215, .3)'
+
+// distance the pointer has to move before it's a drag rather than a click
+const DRAG_THRESHOLD = 5
+const SWIPE_THRESHOLD = 50
+
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+const graphemes = str => Array.from(graphemeSegmenter.segment(str), x => x.segment)
+
+const isCJK = str =>
+    /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(str)
+const isRTLText = str => /[\u0590-\u08ff\ufb1d-\ufdff\ufe70-\ufefc]/.test(str)
+
+// lines can't start with closing punctuation, or end with opening punctuation
+const NO_BREAK_BEFORE = /[、。，．：；？！）」』】〕〉》］｝ー々ぁぃぅぇぉっゃゅょゎァィゥェォッャュョヮヵヶ…‥,.:;?!)\]}”’]/u
+const NO_BREAK_AFTER = /[（「『【〔〈《［｛([{“‘]/u
+const canBreakBetween = (a, b) => (isCJK(a) || isCJK(b))
+    && !NO_BREAK_BEFORE.test(b) && !NO_BREAK_AFTER.test(a)
+
+// split text into pieces at line break opportunities, with whitespace
+// collapsed unless it's preserved; each piece keeps its offsets in the text
+const tokenize = (str, { collapse, newlines }) => {
+    const pieces = []
+    for (const { 0: text, index } of str.matchAll(/[\t\n\f\r ]+|\u00ad|[^\t\n\f\r \u00ad]+/g)) {
+        const end = index + text.length
+        if (text === SOFT_HYPHEN)
+            pieces.push({ type: 'shy', text: '', start: index, end, breakAfter: true })
+        else if (/^[\t\n\f\r ]/.test(text)) {
+            if (newlines && text.includes('\n')) {
+                for (const { 0: part, index: i } of text.matchAll(/\n|[^\n]+/g)) {
+                    const start = index + i
+                    if (part === '\n') pieces.push({ type: 'br', start, end: start + 1 })
+                    else if (!collapse) pieces.push({ type: 'space', text: part,
+                        start, end: start + part.length, breakAfter: true })
+                }
+            }
+            else pieces.push({ type: 'space', text: collapse ? ' ' : text,
+                start: index, end, breakAfter: true, collapsible: collapse })
+        }
+        else {
+            const chars = Array.from(text)
+            let start = 0, pos = 0
+            for (const [i, c] of chars.entries()) {
+                pos += c.length
+                const next = chars[i + 1]
+                if (next == null) break
+                if (canBreakBetween(c, next)
+                || i > 0 && /[-\u2010\u2013\u2014]/.test(c) && /\p{L}/u.test(next)) {
+                    pieces.push({ type: 'text', text: text.slice(start, pos),
+                        start: index + start, end: index + pos, breakAfter: true })
+                    start = pos
+                }
+            }
+            pieces.push({ type: 'text', text: text.slice(start),
+                start: index + start, end, breakAfter: false })
+        }
+    }
+    return pieces
+}
+
+const makeMeasurer = () => {
+    const ctx = document.createElement('canvas').getContext('2d')
+    const widths = new Map()
+    const metrics = new Map()
+    let current
+    const setFont = font => {
+        if (current !== font) ctx.font = current = font
+    }
+    return {
+        width: (font, text) => {
+            const key = font + '\n' + text
+            let width = widths.get(key)
+            if (width == null) {
+                setFont(font)
+                width = ctx.measureText(text).width
+                widths.set(key, width)
+            }
+            return width
         },
-      },
-    ];
-    const chapters = sections.map((section, index) => {
-      return {
-        index,
-        getHtmlBlobUrl: async () => {
-          const src = await section.load();
-          return src;
-          // const currentHTML = await fetch(src).then(res => res.text())
-          // return currentHTML;
+        metrics: (font, size) => {
+            let result = metrics.get(font)
+            if (!result) {
+                setFont(font)
+                const { fontBoundingBoxAscent: ascent,
+                    fontBoundingBoxDescent: descent } = ctx.measureText('x')
+                result = ascent >= 0 && descent >= 0
+                    ? { ascent, descent } : { ascent: size * .8, descent: size * .2 }
+                metrics.set(font, result)
+            }
+            return result
         },
-      };
-    });
-    // TODO: chapter 基本就是除封面后的其他内容
-    // TODO: 初始化书籍，用 bookid 从接口获取
-    coreReader.initBook({ chapters }).then((book) => book.startReading(0, 0));
-  }
+    }
+}
+
+const getLineHeight = (value, size) => value === 'normal' ? size * 1.2
+    : value.endsWith('px') ? parseFloat(value) : parseFloat(value) * size
+
+// the style of a run of text, including what's inherited from inline ancestors
+const getRunStyle = (style, measurer, parent) => {
+    const size = parseFloat(style.fontSize)
+    const font = `${style.fontStyle} ${style.fontWeight} ${size}px ${style.fontFamily}`
+    const { ascent, descent } = measurer.metrics(font, size)
+    const leading = (getLineHeight(style.lineHeight, size) - ascent - descent) / 2
+
+    let decoration = parent?.decoration ?? []
+    let decorationColor = parent?.decorationColor
+    const lines = style.textDecorationLine.split(' ')
+        .filter(x => x === 'underline' || x === 'line-through')
+    if (lines.length) {
+        decoration = [...new Set([...decoration, ...lines])]
+        decorationColor = style.textDecorationColor
+    }
+
+    const parentSize = parent?.size ?? size
+    const { verticalAlign } = style
+    const shift = (parent?.shift ?? 0) + (verticalAlign === 'super' ? -parentSize * .4
+        : verticalAlign === 'sub' ? parentSize * .25
+        : verticalAlign.endsWith('px') ? -parseFloat(verticalAlign) : 0)
+
+    const { whiteSpace } = style
+    return {
+        font, size, color: style.color,
+        ascent: ascent + leading, descent: descent + leading,
+        decoration, decorationColor, shift,
+        transform: style.textTransform,
+        collapse: /^(normal|nowrap|pre-line)$/.test(whiteSpace),
+        newlines: !/^(normal|nowrap)$/.test(whiteSpace),
+    }
+}
+
+const getBox = style => {
+    const n = prop => parseFloat(style[prop]) || 0
+    return {
+        marginTop: n('marginTop'),
+        marginBottom: n('marginBottom'),
+        paddingTop: n('paddingTop') + n('borderTopWidth'),
+        paddingBottom: n('paddingBottom') + n('borderBottomWidth'),
+        left: n('marginLeft') + n('borderLeftWidth') + n('paddingLeft'),
+        right: n('marginRight') + n('borderRightWidth') + n('paddingRight'),
+    }
+}
+
+const isBlock = display => !display.startsWith('inline')
+    && !display.startsWith('ruby') && display !== 'contents'
+const isPageBreak = value => /^(always|page|left|right|recto|verso|column)$/.test(value)
+
+const toRoman = n => [
+    [1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+    [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i'],
+].reduce((str, [value, numeral]) => {
+    for (; n >= value; n -= value) str += numeral
+    return str
+}, '')
+const toAlpha = n => n > 26 ? toAlpha(Math.floor((n - 1) / 26)) + toAlpha((n - 1) % 26 + 1)
+    : String.fromCharCode(96 + n)
+
+const getMarker = (el, type) => {
+    switch (type) {
+        case 'none': return ''
+        case 'disc': return '•'
+        case 'circle': return '◦'
+        case 'square': return '▪'
+    }
+    const list = el.parentElement
+    const items = Array.from(list?.children ?? [el]).filter(x => x.localName === 'li')
+    const reversed = list?.hasAttribute('reversed')
+    let n = parseInt(list?.getAttribute('start'))
+    if (isNaN(n)) n = reversed ? items.length : 1
+    for (const item of items) {
+        const value = parseInt(item.getAttribute('value'))
+        if (!isNaN(value)) n = value
+        if (item === el) break
+        n += reversed ? -1 : 1
+    }
+    switch (type) {
+        case 'lower-alpha': case 'lower-latin': return toAlpha(n) + '.'
+        case 'upper-alpha': case 'upper-latin': return toAlpha(n).toUpperCase() + '.'
+        case 'lower-roman': return toRoman(n) + '.'
+        case 'upper-roman': return toRoman(n).toUpperCase() + '.'
+        case 'decimal-leading-zero': return String(n).padStart(2, '0') + '.'
+        default: return n + '.'
+    }
+}
+
+// flatten the document into a list of blocks, which are paragraphs
+// of inline content, images, rules, page breaks, and vertical space
+const flatten = (doc, { measurer, getLayoutRect, images }) => {
+    const win = doc.defaultView
+    const blocks = []
+    let para = null
+    // pending vertical space; adjacent margins are collapsed
+    let space = 0
+    const addMargin = size => space = Math.max(space, size)
+    const addPadding = size => {
+        if (!size) return
+        blocks.push({ type: 'space', size: space + size })
+        space = 0
+    }
+    const push = block => {
+        if (space) blocks.push({ type: 'space', size: space })
+        space = 0
+        blocks.push(block)
+    }
+    const addBreak = () => {
+        blocks.push({ type: 'break' })
+        space = 0
+    }
+    const flush = () => {
+        if (para?.pieces.some(piece => piece.type !== 'space')) push(para)
+        para = null
+    }
+    const getPara = ({ block, left, right }) => {
+        if (para) return para
+        para = {
+            type: 'para', pieces: [], left, right,
+            align: block.align, indent: block.indent, dir: block.dir,
+            wrap: block.wrap, strut: block.run, marker: block.marker,
+        }
+        // only the first line of the block is indented or has the marker
+        block.indent = 0
+        block.marker = null
+        return para
+    }
+
+    const addText = (node, { run }, ctx) => {
+        let str = node.data
+        const transformed = run.transform === 'uppercase' ? str.toUpperCase()
+            : run.transform === 'lowercase' ? str.toLowerCase() : str
+        if (transformed.length === str.length) str = transformed
+        const pieces = tokenize(str, run)
+        if (!pieces.length) return
+        const { pieces: list } = getPara(ctx)
+        let prev = list[list.length - 1]
+        for (const piece of pieces) {
+            if (piece.collapsible && (!prev || prev.type === 'space' || prev.type === 'br'))
+                continue
+            piece.node = node
+            piece.style = run
+            if (piece.type === 'text' && prev?.type === 'text' && !prev.breakAfter
+            && canBreakBetween(Array.from(prev.text).pop(), piece.text[0]))
+                prev.breakAfter = true
+            list.push(piece)
+            prev = piece
+        }
+    }
+
+    const walk = (node, ctx) => {
+        if (node.nodeType === 3 || node.nodeType === 4) return addText(node, ctx, ctx)
+        if (node.nodeType !== 1) return
+        const name = node.localName
+        if (/^(script|style|template|head|rt|rp)$/.test(name)) return
+        const style = win.getComputedStyle(node)
+        if (style.display === 'none') return
+        const run = getRunStyle(style, measurer, ctx.run)
+        if (name === 'br') {
+            getPara(ctx).pieces.push({ type: 'br', node, start: 0, end: 1, style: run })
+            return
+        }
+
+        const block = isBlock(style.display)
+        const box = block ? getBox(style) : null
+        if (block) {
+            flush()
+            if (isPageBreak(style.breakBefore) || isPageBreak(style.pageBreakBefore)) addBreak()
+            addMargin(box.marginTop)
+            addPadding(box.paddingTop)
+        }
+
+        if (name === 'hr') push({
+            type: 'rule', left: ctx.left, right: ctx.right,
+            color: style.borderTopColor,
+            size: Math.max(1, box.paddingTop + box.paddingBottom),
+        })
+        else if (name === 'img' || name === 'svg') {
+            const { width, height, left } = getLayoutRect(node)
+            const source = name === 'img' ? node : images.get(node)
+            if (width && height && source) {
+                const piece = {
+                    type: 'image', node, source, width, height,
+                    start: 0, end: 1, style: run, breakAfter: true,
+                }
+                if (block) push({ type: 'image', piece, x: left, left: ctx.left, right: ctx.right })
+                else getPara(ctx).pieces.push(piece)
+            }
+        }
+        else {
+            const inner = { ...ctx, run }
+            if (block) {
+                inner.left = ctx.left + box.left
+                inner.right = ctx.right + box.right
+                inner.block = {
+                    run,
+                    align: style.textAlign,
+                    indent: parseFloat(style.textIndent) || 0,
+                    dir: style.direction,
+                    wrap: !/^(nowrap|pre)$/.test(style.whiteSpace),
+                    marker: style.display === 'list-item'
+                        ? getMarker(node, style.listStyleType) : null,
+                }
+            }
+            for (const child of node.childNodes) walk(child, inner)
+        }
+
+        if (block) {
+            flush()
+            addPadding(box.paddingBottom)
+            addMargin(box.marginBottom)
+            if (isPageBreak(style.breakAfter) || isPageBreak(style.pageBreakAfter)) addBreak()
+        }
+    }
+    walk(doc.body, { left: 0, right: 0, run: null, block: null })
+    flush()
+    return blocks
+}
+
+const getAlign = (value, rtl) => {
+    if (value === 'left') return rtl ? 'end' : 'start'
+    if (value === 'right') return rtl ? 'start' : 'end'
+    if (value === 'center' || value === '-webkit-center') return 'center'
+    if (value === 'end' || value === 'justify') return value
+    return 'start'
+}
+
+const explode = (piece, measurer) => {
+    let offset = 0
+    return graphemes(piece.text).map((text, i, arr) => {
+        const start = piece.start + offset
+        offset += text.length
+        return {
+            ...piece, text, start, end: start + text.length,
+            width: measurer.width(piece.style.font, text),
+            breakAfter: i < arr.length - 1 || piece.breakAfter,
+        }
+    })
+}
+
+// break a paragraph into lines, greedily, and position the pieces in them;
+// positions are relative to the column, in which the lines are drawn
+const breakLines = (para, { width: columnWidth, imageHeight }, measurer) => {
+    const { pieces, indent, strut, marker, wrap } = para
+    const rtl = para.dir === 'rtl'
+    const [start, end] = rtl ? [para.right, para.left] : [para.left, para.right]
+    const available = columnWidth - start - end
+    const getLimit = i => available - (i ? 0 : indent)
+    const getHyphenWidth = piece => measurer.width(piece.style.font, '-')
+
+    for (const piece of pieces) {
+        if (piece.type === 'text') piece.width = measurer.width(piece.style.font, piece.text)
+        else if (piece.type === 'space')
+            piece.width = measurer.width(piece.style.font, piece.text.replace(/\t/g, '    '))
+        else if (piece.type === 'image') {
+            const scale = Math.min(1, available / piece.width, imageHeight / piece.height)
+            piece.width *= scale
+            piece.height *= scale
+        }
+        else piece.width = 0
+    }
+
+    const lines = []
+    let line
+    const newLine = () => lines.push(line = { pieces: [], width: 0, hang: 0 })
+    newLine()
+    const add = piece => {
+        if (piece.collapsible && !line.pieces.length) return
+        line.pieces.push(piece)
+        line.width += piece.width
+        // trailing spaces hang, i.e., they don't count when fitting the line
+        line.hang = piece.type === 'space' ? line.hang + piece.width : 0
+    }
+    const addWord = word => {
+        if (!word.length) return
+        let width = 0, trailing = 0
+        for (const piece of word) {
+            width += piece.width
+            trailing = piece.type === 'space' ? trailing + piece.width : 0
+        }
+        const last = word[word.length - 1]
+        width += -trailing + (last.type === 'shy' ? getHyphenWidth(last) : 0)
+        const limit = getLimit(lines.length - 1)
+        // break words that don't fit in a line by themselves
+        if (wrap && width > limit) {
+            const exploded = word.flatMap(piece =>
+                piece.type === 'text' ? explode(piece, measurer) : [piece])
+            if (exploded.length > 1) {
+                // as with `overflow-wrap: break-word`, start on a new line first
+                if (line.pieces.length) newLine()
+                for (const piece of exploded) addWord([piece])
+                return
+            }
+        }
+        if (wrap && line.pieces.length && line.width + width > limit) newLine()
+        for (const piece of word) add(piece)
+    }
+
+    let word = []
+    for (const piece of pieces) {
+        if (piece.type === 'br') {
+            addWord(word)
+            word = []
+            line.br = true
+            newLine()
+            continue
+        }
+        word.push(piece)
+        if (piece.breakAfter) {
+            addWord(word)
+            word = []
+        }
+    }
+    addWord(word)
+    if (lines.length > 1 && !line.pieces.length) lines.pop()
+
+    const align = getAlign(para.align, rtl)
+    return lines.map((line, i) => {
+        const { pieces } = line
+        const isLast = i === lines.length - 1 || line.br
+        const lastPiece = pieces[pieces.length - 1]
+        const hyphen = !isLast && lastPiece?.type === 'shy'
+        const hyphenWidth = hyphen ? getHyphenWidth(lastPiece) : 0
+        let trailing = 0
+        while (trailing < pieces.length && pieces[pieces.length - 1 - trailing].type === 'space')
+            trailing++
+        const internal = pieces.length - trailing
+
+        const extra = getLimit(i) - (line.width - line.hang + hyphenWidth)
+        const offset = align === 'center' ? extra / 2 : align === 'end' ? extra : 0
+        const spaces = align === 'justify' && !isLast && extra > 0
+            ? pieces.filter((piece, j) => piece.type === 'space' && j < internal).length : 0
+        const spacing = spaces ? extra / spaces : 0
+
+        let ascent = strut.ascent, descent = strut.descent
+        for (const { type, style, height } of pieces) {
+            if (type === 'image') ascent = Math.max(ascent, height - style.shift)
+            else {
+                ascent = Math.max(ascent, style.ascent - style.shift)
+                descent = Math.max(descent, style.descent + style.shift)
+            }
+        }
+
+        // `x` is the logical position, from the start edge
+        let x = start + (i ? 0 : indent) + offset
+        const fragments = pieces.map((piece, j) => {
+            let width = piece.width
+            let text = piece.type === 'text' ? piece.text : ''
+            if (spacing && piece.type === 'space' && j < internal) width += spacing
+            if (hyphen && piece === lastPiece) {
+                text = '-'
+                width = hyphenWidth
+            }
+            const fragment = {
+                piece, text, width,
+                x: rtl ? columnWidth - x - width : x,
+                dir: isRTLText(text) ? 'rtl' : 'ltr',
+            }
+            x += width
+            return fragment
+        })
+
+        const result = { height: ascent + descent, baseline: ascent, fragments }
+        if (i === 0 && marker) {
+            const width = measurer.width(strut.font, marker)
+            const x = start - width - strut.size * .5
+            result.marker = { text: marker, style: strut, x: rtl ? columnWidth - x - width : x }
+        }
+        return result
+    })
+}
+
+// put blocks in pages of the given size; in scrolled mode,
+// there is only one page, of infinite height
+const paginate = (blocks, { width, height, imageHeight, scrolled }, measurer) => {
+    const pages = [[]]
+    let y = 0
+    const newPage = () => {
+        pages.push([])
+        y = 0
+    }
+    const place = line => {
+        if (y + line.height > height && y > 0) newPage()
+        line.page = pages.length - 1
+        line.top = y
+        y += line.height
+        pages[line.page].push(line)
+    }
+    for (const block of blocks) switch (block.type) {
+        case 'space':
+            if (y > 0) y = Math.min(y + block.size, height)
+            break
+        case 'break':
+            if (!scrolled && y > 0) newPage()
+            break
+        case 'rule':
+            place({
+                height: block.size, baseline: 0, fragments: [], rule: {
+                    x: block.left, width: width - block.left - block.right, color: block.color,
+                },
+            })
+            break
+        case 'image': {
+            const { piece, left, right } = block
+            const scale = Math.min(1, (width - left - right) / piece.width,
+                imageHeight / piece.height)
+            piece.width *= scale
+            piece.height *= scale
+            const x = Math.max(0, Math.min(block.x, width - piece.width))
+            place({
+                height: piece.height, baseline: piece.height,
+                fragments: [{ piece, text: '', x, width: piece.width, dir: 'ltr' }],
+            })
+            break
+        }
+        default:
+            for (const line of breakLines(block, { width, imageHeight }, measurer)) place(line)
+    }
+    if (pages.length > 1 && !pages[pages.length - 1].length) pages.pop()
+
+    // fragments in document order, and by node
+    const fragments = []
+    const nodes = new Map()
+    for (const lines of pages) for (const line of lines) for (const fragment of line.fragments) {
+        fragment.line = line
+        fragment.i = fragments.length
+        fragments.push(fragment)
+        const { node } = fragment.piece
+        if (nodes.has(node)) nodes.get(node).push(fragment)
+        else nodes.set(node, [fragment])
+    }
+    return { pages, fragments, nodes, height: scrolled ? y : height }
+}
+
+const drawImage = (ctx, source, x, y, width, height) => {
+    const w = source.naturalWidth || source.width || width
+    const h = source.naturalHeight || source.height || height
+    const scale = Math.min(width / w, height / h)
+    try {
+        ctx.drawImage(source, x + (width - w * scale) / 2, y + (height - h * scale) / 2,
+            w * scale, h * scale)
+    } catch (e) {
+        console.warn(e)
+    }
+}
+
+const drawLine = (ctx, line, x, y) => {
+    const top = y + line.top
+    const baseline = top + line.baseline
+    ctx.textAlign = 'left'
+    ctx.textBaseline = 'alphabetic'
+    if (line.rule) {
+        ctx.fillStyle = line.rule.color
+        ctx.fillRect(x + line.rule.x, top, line.rule.width, line.height)
+    }
+    if (line.marker) {
+        const { text, style, x: markerX } = line.marker
+        ctx.font = style.font
+        ctx.fillStyle = style.color
+        ctx.direction = 'ltr'
+        ctx.fillText(text, x + markerX, baseline)
+    }
+    for (const { piece, text, width, x: fragmentX, dir } of line.fragments) {
+        const left = x + fragmentX
+        const { style } = piece
+        const base = baseline + style.shift
+        if (piece.type === 'image') {
+            drawImage(ctx, piece.source, left, base - piece.height, width, piece.height)
+            continue
+        }
+        if (text) {
+            ctx.font = style.font
+            ctx.fillStyle = style.color
+            ctx.direction = dir
+            ctx.fillText(text, left, base)
+        }
+        for (const decoration of style.decoration) {
+            ctx.fillStyle = style.decorationColor
+            const dy = decoration === 'underline' ? style.size * .12 : -style.size * .3
+            ctx.fillRect(left, base + dy, width, Math.max(1, style.size / 16))
+        }
+    }
+}
+
+// the first node after `node` in document order
+const nextNode = (node, skipChildren) => {
+    if (!skipChildren && node.firstChild) return node.firstChild
+    for (; node; node = node.parentNode) if (node.nextSibling) return node.nextSibling
+    return null
+}
+
+const indexOf = node => Array.prototype.indexOf.call(node.parentNode.childNodes, node)
+
+// make the geometry of ranges and elements in the document be that of the layout
+const patchGeometry = (doc, getClientRects) => {
+    const { Range, Element, DOMRect } = doc.defaultView
+    function getBoundingClientRect() {
+        const rects = getClientRects(this)
+        if (!rects.length) return new DOMRect()
+        const left = Math.min(...rects.map(r => r.left))
+        const top = Math.min(...rects.map(r => r.top))
+        const right = Math.max(...rects.map(r => r.right))
+        const bottom = Math.max(...rects.map(r => r.bottom))
+        return new DOMRect(left, top, right - left, bottom - top)
+    }
+    for (const { prototype } of [Range, Element]) {
+        prototype.getClientRects = function () {
+            return getClientRects(this)
+        }
+        prototype.getBoundingClientRect = getBoundingClientRect
+    }
+}
+
+const loadImage = src => new Promise(resolve => {
+    const img = new Image()
+    img.onload = () => resolve(img)
+    img.onerror = () => resolve(null)
+    img.src = src
+})
+
+// images in SVGs used as images aren't loaded, so for the common case
+// of an SVG wrapping an image, e.g. covers, use the image itself
+const loadSVGImage = svg => {
+    const images = svg.getElementsByTagNameNS(SVG_NS, 'image')
+    if (images.length === 1) {
+        const href = images[0].getAttribute('href')
+            ?? images[0].getAttributeNS(XLINK_NS, 'href')
+        if (href) return loadImage(new URL(href, svg.ownerDocument.baseURI).href)
+    }
+    const str = new XMLSerializer().serializeToString(svg)
+    return loadImage('data:image/svg+xml;charset=utf-8,' + encodeURIComponent(str))
+}
+
+const getFontFaceRules = doc => {
+    const rules = []
+    const walk = list => {
+        for (const rule of list) {
+            if (rule instanceof doc.defaultView.CSSFontFaceRule) rules.push(rule)
+            else if (rule.styleSheet) walk(rule.styleSheet.cssRules)
+            else if (rule.cssRules) walk(rule.cssRules)
+        }
+    }
+    for (const sheet of doc.styleSheets) try {
+        walk(sheet.cssRules)
+    } catch (e) {
+        console.warn(e)
+    }
+    return rules
+}
+
+// fonts loaded in the document aren't available to the canvas,
+// so they are recreated in the main document from `@font-face` rules
+const makeFontFace = (rule, baseURI) => {
+    const { style } = rule
+    const family = style.getPropertyValue('font-family').replace(/^(['"])(.*)\1$/, '$2')
+    const base = rule.parentStyleSheet?.href ?? baseURI
+    const src = style.getPropertyValue('src').replace(/url\((['"]?)(.*?)\1\)/g,
+        (_, __, url) => `url("${new URL(url, base).href}")`)
+    const descriptors = {}
+    for (const [key, prop] of [
+        ['style', 'font-style'], ['weight', 'font-weight'],
+        ['stretch', 'font-stretch'], ['unicodeRange', 'unicode-range'],
+    ]) {
+        const value = style.getPropertyValue(prop)
+        if (value) descriptors[key] = value
+    }
+    const key = JSON.stringify([family, src, descriptors])
+    return { key, face: new FontFace(family, src, descriptors) }
+}
+
+const getBackground = doc => {
+    const bodyStyle = doc.defaultView.getComputedStyle(doc.body)
+    return bodyStyle.backgroundColor === 'rgba(0, 0, 0, 0)'
+        && bodyStyle.backgroundImage === 'none'
+        ? doc.defaultView.getComputedStyle(doc.documentElement).background
+        : bodyStyle.background
+}
+
+const isRTLDocument = doc => doc.body.dir === 'rtl'
+    || doc.documentElement.dir === 'rtl'
+    || doc.defaultView.getComputedStyle(doc.body).direction === 'rtl'
+
+const makeMarginals = (length, part) => Array.from({ length }, () => {
+    const div = document.createElement('div')
+    const child = document.createElement('div')
+    div.append(child)
+    child.setAttribute('part', part)
+    return div
+})
+
+const setStylesImportant = (el, styles) => {
+    const { style } = el
+    for (const [k, v] of Object.entries(styles)) style.setProperty(k, v, 'important')
+}
+
+const setSelectionTo = target => {
+    const doc = target.ownerDocument ?? target.startContainer?.ownerDocument
+    let range
+    if (target.startContainer) range = target.cloneRange()
+    else if (target.nodeType) {
+        range = doc.createRange()
+        range.selectNode(target)
+    }
+    if (!range) return
+    const sel = doc.defaultView.getSelection()
+    sel.removeAllRanges()
+    sel.addRange(range)
+}
+
+const setStart = (range, { piece }) => piece.type === 'image'
+    ? range.setStartBefore(piece.node) : range.setStart(piece.node, piece.start)
+const setEnd = (range, { piece }) => piece.type === 'image'
+    ? range.setEndAfter(piece.node) : range.setEnd(piece.node, piece.end)
+
+export class CanvasPaginator extends HTMLElement {
+    static observedAttributes = [
+        'flow', 'gap', 'margin',
+        'max-inline-size', 'max-block-size', 'max-column-count',
+    ]
+    #root = this.attachShadow({ mode: 'open' })
+    #observer = new ResizeObserver(() => this.render())
+    #top
+    #background
+    #container
+    #view
+    #canvas
+    #spacer
+    #header
+    #footer
+    #iframe
+    #overlayer
+    #layout
+    #getLayoutRect
+    #fonts = []
+    #images = new Map()
+    #rtl = false
+    #index = -1
+    #column = 0 // the first column in view, in paginated mode
+    #anchor = 0 // anchor view to a fraction (0-1), Range, or Element
+    #justAnchored = false
+    #pointer
+    #frame
+    locked = false // while true, prevent any further navigation
+    #styles
+    #styleMap = new WeakMap()
+    #mediaQuery = matchMedia('(prefers-color-scheme: dark)')
+    #mediaQueryListener
+    sections = []
+    constructor() {
+        super()
+        this.#root.innerHTML = `<style>
+        :host {
+            display: block;
+            container-type: size;
+        }
+        :host, #top {
+            box-sizing: border-box;
+            position: relative;
+            overflow: hidden;
+            width: 100%;
+            height: 100%;
+        }
+        #top {
+            --_gap: 7%;
+            --_margin: 48px;
+            --_max-inline-size: 720px;
+            --_max-block-size: 1440px;
+            --_max-column-count: 2;
+            --_max-column-count-portrait: 1;
+            --_max-column-count-spread: var(--_max-column-count);
+            --_half-gap: calc(var(--_gap) / 2);
+            --_max-width: calc(var(--_max-inline-size) * var(--_max-column-count-spread));
+            --_max-height: var(--_max-block-size);
+            display: grid;
+            grid-template-columns:
+                minmax(var(--_half-gap), 1fr)
+                var(--_half-gap)
+                minmax(0, calc(var(--_max-width) - var(--_gap)))
+                var(--_half-gap)
+                minmax(var(--_half-gap), 1fr);
+            grid-template-rows:
+                minmax(var(--_margin), 1fr)
+                minmax(0, var(--_max-height))
+                minmax(var(--_margin), 1fr);
+            @container (orientation: portrait) {
+                & {
+                    --_max-column-count-spread: var(--_max-column-count-portrait);
+                }
+            }
+        }
+        #background {
+            grid-column: 1 / -1;
+            grid-row: 1 / -1;
+        }
+        #container {
+            grid-column: 2 / 5;
+            grid-row: 2;
+            overflow: hidden;
+        }
+        :host([flow="scrolled"]) #container {
+            grid-column: 1 / -1;
+            grid-row: 1 / -1;
+            overflow: auto;
+        }
+        #view {
+            position: sticky;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            overflow: hidden;
+            outline: none;
+            touch-action: pinch-zoom;
+            cursor: text;
+        }
+        :host([flow="scrolled"]) #view {
+            touch-action: auto;
+        }
+        #view > canvas {
+            position: absolute;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+        }
+        #view > iframe {
+            position: absolute;
+            top: 0;
+            left: 0;
+            border: 0;
+            visibility: hidden;
+            pointer-events: none;
+        }
+        #header {
+            grid-column: 3 / 4;
+            grid-row: 1;
+        }
+        #footer {
+            grid-column: 3 / 4;
+            grid-row: 3;
+            align-self: end;
+        }
+        #header, #footer {
+            display: grid;
+            height: var(--_margin);
+        }
+        :is(#header, #footer) > * {
+            display: flex;
+            align-items: center;
+            min-width: 0;
+        }
+        :is(#header, #footer) > * > * {
+            width: 100%;
+            overflow: hidden;
+            white-space: nowrap;
+            text-overflow: ellipsis;
+            text-align: center;
+            font-size: .75em;
+            opacity: .6;
+        }
+        </style>
+        <div id="top">
+            <div id="background" part="filter"></div>
+            <div id="header"></div>
+            <div id="container">
+                <div id="view" tabindex="0"><canvas part="filter"></canvas></div>
+                <div id="spacer"></div>
+            </div>
+            <div id="footer"></div>
+        </div>
+        `
+
+        this.#top = this.#root.getElementById('top')
+        this.#background = this.#root.getElementById('background')
+        this.#container = this.#root.getElementById('container')
+        this.#view = this.#root.getElementById('view')
+        this.#canvas = this.#view.querySelector('canvas')
+        this.#spacer = this.#root.getElementById('spacer')
+        this.#header = this.#root.getElementById('header')
+        this.#footer = this.#root.getElementById('footer')
+
+        this.#observer.observe(this.#container)
+        this.#container.addEventListener('scroll', () => {
+            this.dispatchEvent(new Event('scroll'))
+            if (this.scrolled) this.#requestDraw()
+        })
+        this.#container.addEventListener('scroll', debounce(() => {
+            if (this.scrolled) {
+                if (this.#justAnchored) this.#justAnchored = false
+                else this.#afterScroll('scroll')
+            }
+        }, 250))
+
+        this.#view.addEventListener('pointerdown', this.#onPointerDown.bind(this))
+        this.#view.addEventListener('pointermove', this.#onPointerMove.bind(this))
+        this.#view.addEventListener('pointerup', this.#onPointerUp.bind(this))
+        this.#view.addEventListener('pointercancel', () => this.#pointer = null)
+        this.#view.addEventListener('dblclick', this.#onDoubleClick.bind(this))
+        // clicks are dispatched in the document on pointer up, so the native
+        // ones, which would be handled twice, or which end drags, are stopped
+        this.#view.addEventListener('click', e => e.stopPropagation())
+        // the document doesn't have focus, so forward keyboard events to it
+        for (const type of ['keydown', 'keyup']) this.#view.addEventListener(type, e => {
+            const doc = this.#iframe?.contentDocument
+            if (!doc) return
+            const event = new doc.defaultView.KeyboardEvent(type, e)
+            if (!(doc.activeElement ?? doc.body).dispatchEvent(event)) e.preventDefault()
+        })
+
+        this.addEventListener('relocate', ({ detail }) => {
+            if (detail.reason === 'selection') setSelectionTo(this.#anchor)
+        })
+
+        this.#mediaQueryListener = () => {
+            const doc = this.#iframe?.contentDocument
+            if (!doc) return
+            this.#background.style.background = getBackground(doc)
+            this.render()
+        }
+        this.#mediaQuery.addEventListener('change', this.#mediaQueryListener)
+    }
+    attributeChangedCallback(name, _, value) {
+        switch (name) {
+            case 'flow':
+                this.render()
+                break
+            case 'gap':
+            case 'margin':
+            case 'max-block-size':
+            case 'max-column-count':
+                this.#top.style.setProperty('--_' + name, value)
+                break
+            case 'max-inline-size':
+                // needs explicit `render()` as it doesn't necessarily resize
+                this.#top.style.setProperty('--_' + name, value)
+                this.render()
+                break
+        }
+    }
+    open(book) {
+        this.bookDir = book.dir
+        this.sections = book.sections
+        book.transformTarget?.addEventListener('data', ({ detail }) => {
+            if (detail.type !== 'text/css') return
+            const w = innerWidth
+            const h = innerHeight
+            detail.data = Promise.resolve(detail.data).then(data => data
+                // unprefix as most of the props are (only) supported unprefixed
+                .replace(/(?<=[{\s;])-epub-/gi, '')
+                // replace vw and vh as they cause problems with layout
+                .replace(/(\d*\.?\d+)vw/gi, (_, d) => parseFloat(d) * w / 100 + 'px')
+                .replace(/(\d*\.?\d+)vh/gi, (_, d) => parseFloat(d) * h / 100 + 'px'))
+        })
+    }
+    get #doc() {
+        return this.#iframe?.contentDocument
+    }
+    get scrolled() {
+        return this.getAttribute('flow') === 'scrolled'
+    }
+    #beforeRender() {
+        const { scrolled } = this
+        const { clientWidth: width, clientHeight: height } = this.#container
+        const style = getComputedStyle(this.#top)
+        const maxInlineSize = parseFloat(style.getPropertyValue('--_max-inline-size'))
+        const maxColumnCount = parseInt(style.getPropertyValue('--_max-column-count-spread'))
+        const margin = parseFloat(style.getPropertyValue('--_margin'))
+        // see `paginator.js` for how the gap is calculated
+        const g = parseFloat(style.getPropertyValue('--_gap')) / 100
+        const gap = -g / (g - 1) * width
+        this.setAttribute('dir', this.#rtl ? 'rtl' : 'ltr')
+
+        if (scrolled) {
+            this.heads = null
+            this.feet = null
+            this.#header.replaceChildren()
+            this.#footer.replaceChildren()
+            const columnWidth = Math.min(maxInlineSize, width - gap * 2)
+            return { scrolled, width, height, margin, gap, columns: 1, columnWidth }
+        }
+
+        const columns = Math.max(1, Math.min(maxColumnCount, Math.ceil(width / maxInlineSize)))
+        const columnWidth = width / columns - gap
+        const marginalStyle = {
+            gridTemplateColumns: `repeat(${columns}, 1fr)`,
+            gap: `${gap}px`,
+            direction: this.bookDir === 'rtl' ? 'rtl' : 'ltr',
+        }
+        Object.assign(this.#header.style, marginalStyle)
+        Object.assign(this.#footer.style, marginalStyle)
+        const heads = makeMarginals(columns, 'head')
+        const feet = makeMarginals(columns, 'foot')
+        this.heads = heads.map(el => el.children[0])
+        this.feet = feet.map(el => el.children[0])
+        this.#header.replaceChildren(...heads)
+        this.#footer.replaceChildren(...feet)
+        return { scrolled, width, height, margin, gap, columns, columnWidth }
+    }
+    #makeLayout() {
+        const doc = this.#doc
+        const geometry = this.#beforeRender()
+        const { scrolled, columnWidth, height, margin } = geometry
+        const imageHeight = scrolled ? height - margin * 2 : height
+
+        // the document is laid out in a column, for sizing images
+        Object.assign(this.#iframe.style, {
+            width: `${columnWidth}px`,
+            height: `${imageHeight}px`,
+        })
+        setStylesImportant(doc.documentElement, {
+            'margin': '0', 'padding': '0', 'border': '0',
+            'width': 'auto', 'height': 'auto', 'overflow': 'hidden',
+            'max-width': 'none', 'max-height': 'none',
+        })
+        for (const el of doc.body.querySelectorAll('img, svg, video')) {
+            const { maxWidth } = doc.defaultView.getComputedStyle(el)
+            setStylesImportant(el, {
+                'max-height': `${imageHeight}px`,
+                'max-width': maxWidth !== 'none' && maxWidth !== '0px' ? maxWidth : '100%',
+                'object-fit': 'contain',
+                'box-sizing': 'border-box',
+            })
+        }
+
+        const measurer = makeMeasurer()
+        const blocks = flatten(doc, {
+            measurer,
+            getLayoutRect: this.#getLayoutRect,
+            images: this.#images,
+        })
+        const layout = paginate(blocks, {
+            width: columnWidth,
+            height: scrolled ? Infinity : height,
+            imageHeight, scrolled,
+        }, measurer)
+        this.#spacer.style.height = scrolled
+            ? `${Math.max(0, layout.height + margin * 2 - height)}px` : '0'
+        return { ...layout, geometry, measurer }
+    }
+    render() {
+        if (!this.#layout) return
+        this.#layout = this.#makeLayout()
+        this.#scrollToAnchor(this.#anchor)
+    }
+    // the position of the top left corner of a page, relative to the view
+    #getOrigin(page) {
+        const { gap, width, columnWidth, margin, scrolled } = this.#layout.geometry
+        if (scrolled) return {
+            x: (width - columnWidth) / 2,
+            y: margin - this.#container.scrollTop,
+        }
+        const x = gap / 2 + (page - this.#column) * (columnWidth + gap)
+        return { x: this.#rtl ? width - x - columnWidth : x, y: 0 }
+    }
+    #getVisiblePages() {
+        const { pages, geometry } = this.#layout
+        if (geometry.scrolled) {
+            const origin = this.#getOrigin(0)
+            const { clientHeight } = this.#container
+            const lines = pages[0].filter(line => origin.y + line.top + line.height > 0
+                && origin.y + line.top < clientHeight)
+            return [{ page: 0, lines, ...origin }]
+        }
+        return pages.slice(this.#column, this.#column + geometry.columns)
+            .map((lines, i) => ({ page: this.#column + i, lines, ...this.#getOrigin(this.#column + i) }))
+    }
+    // the horizontal position of an offset in a fragment
+    #getX({ piece, text, width, dir }, offset) {
+        const p = Math.max(0, Math.min(offset, piece.end) - piece.start)
+        const x = piece.type === 'text'
+            ? this.#layout.measurer.width(piece.style.font, text.slice(0, p))
+            : width * p / ((piece.end - piece.start) || 1)
+        return dir === 'rtl' ? width - x : x
+    }
+    // the first laid out position at or after a boundary point,
+    // as the index of the fragment and the offset in its node
+    #locate(container, offset) {
+        const { nodes } = this.#layout
+        let node
+        if (container.nodeType === 3 || container.nodeType === 4) {
+            const list = nodes.get(container)
+            if (list) {
+                const last = list[list.length - 1]
+                const fragment = list.find(f => offset < f.piece.end)
+                    ?? (offset <= last.piece.end ? last : null)
+                if (fragment) return {
+                    i: fragment.i,
+                    offset: Math.max(offset, fragment.piece.start),
+                }
+            }
+            node = nextNode(container, true)
+        }
+        else node = container.childNodes[offset] ?? nextNode(container, true)
+        for (; node; node = nextNode(node)) {
+            const list = nodes.get(node)
+            if (list) return { i: list[0].i, offset: list[0].piece.start }
+        }
+    }
+    #getClientRects(target) {
+        const layout = this.#layout
+        const doc = this.#doc
+        if (!layout || (target.ownerDocument ?? target.startContainer.ownerDocument) !== doc)
+            return []
+        let range = target
+        if (target.nodeType) {
+            if (!target.parentNode) return []
+            range = doc.createRange()
+            range.selectNode(target)
+        }
+        const { fragments } = layout
+        const start = this.#locate(range.startContainer, range.startOffset)
+        if (!start) return []
+        const end = this.#locate(range.endContainer, range.endOffset)
+            ?? { i: fragments.length, offset: 0 }
+        const rects = []
+        let last
+        for (let i = start.i; i <= Math.min(end.i, fragments.length - 1); i++) {
+            const fragment = fragments[i]
+            const { piece, line } = fragment
+            const from = i === start.i ? start.offset : piece.start
+            const to = i === end.i ? end.offset : piece.end
+            if (to <= from && !(i === start.i && (range.collapsed || !rects.length && i === end.i)))
+                continue
+            const a = this.#getX(fragment, from)
+            const b = this.#getX(fragment, to)
+            const { x, y } = this.#getOrigin(line.page)
+            const left = x + fragment.x + Math.min(a, b)
+            const right = x + fragment.x + Math.max(a, b)
+            // merge the rects in the same line
+            if (last?.line === line) {
+                last.left = Math.min(last.left, left)
+                last.right = Math.max(last.right, right)
+            }
+            else rects.push(last = { line, left, right, top: y + line.top })
+        }
+        return rects.map(({ line, left, right, top }) =>
+            new DOMRect(left, top, right - left, line.height))
+    }
+    #getVisibleRange() {
+        const doc = this.#doc
+        const range = doc.createRange()
+        const fragments = this.#getVisiblePages()
+            .flatMap(({ lines }) => lines.flatMap(line => line.fragments))
+        if (!fragments.length) {
+            range.selectNodeContents(doc.body)
+            range.collapse(true)
+            return range
+        }
+        setStart(range, fragments[0])
+        setEnd(range, fragments[fragments.length - 1])
+        return range
+    }
+    // find the fragment nearest to a point in the view
+    #hitTest(x, y) {
+        const pages = this.#layout ? this.#getVisiblePages() : []
+        if (!pages.length) return
+        const { columnWidth } = this.#layout.geometry
+        const distance = (a, b, v) => v < a ? a - v : v > b ? v - b : 0
+        const page = pages.reduce((a, b) => distance(b.x, b.x + columnWidth, x)
+            < distance(a.x, a.x + columnWidth, x) ? b : a)
+        let result, min = Infinity
+        for (const line of page.lines) {
+            const dy = distance(page.y + line.top, page.y + line.top + line.height, y)
+            for (const fragment of line.fragments) {
+                const dx = distance(page.x + fragment.x, page.x + fragment.x + fragment.width, x)
+                // prefer the nearest line, then the nearest fragment in it
+                const d = dy * 1e6 + dx
+                if (d < min) {
+                    min = d
+                    result = { fragment, page, exact: !dx && !dy }
+                }
+            }
+        }
+        return result
+    }
+    #getCaret(x, y) {
+        const hit = this.#hitTest(x, y)
+        if (!hit) return
+        const { fragment, page } = hit
+        const { piece } = fragment
+        const local = x - page.x - fragment.x
+        if (piece.type === 'image') return {
+            node: piece.node.parentNode,
+            offset: indexOf(piece.node) + (local > fragment.width / 2 ? 1 : 0),
+        }
+        const offsets = [piece.start]
+        if (piece.type === 'text') for (const str of graphemes(piece.text))
+            offsets.push(offsets[offsets.length - 1] + str.length)
+        else offsets.push(piece.end)
+        let offset = piece.start, min = Infinity
+        for (const o of offsets) {
+            const d = Math.abs(this.#getX(fragment, o) - local)
+            if (d < min) {
+                min = d
+                offset = o
+            }
+        }
+        return { node: piece.node, offset }
+    }
+    #draw() {
+        const canvas = this.#canvas
+        const { clientWidth: width, clientHeight: height } = this.#view
+        const dpr = devicePixelRatio || 1
+        if (canvas.width !== Math.round(width * dpr)) canvas.width = Math.round(width * dpr)
+        if (canvas.height !== Math.round(height * dpr)) canvas.height = Math.round(height * dpr)
+        const ctx = canvas.getContext('2d')
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
+        ctx.clearRect(0, 0, width, height)
+        if (!this.#layout) return
+
+        const sel = this.#doc?.getSelection()
+        if (sel?.rangeCount && !sel.isCollapsed) {
+            ctx.fillStyle = SELECTION_COLOR
+            for (const { left, top, width, height } of this.#getClientRects(sel.getRangeAt(0)))
+                ctx.fillRect(left, top, width, height)
+        }
+        for (const { x, y, lines } of this.#getVisiblePages())
+            for (const line of lines) drawLine(ctx, line, x, y)
+    }
+    #requestDraw() {
+        if (this.#frame) return
+        this.#frame = requestAnimationFrame(() => {
+            this.#frame = null
+            this.#draw()
+            this.#overlayer?.redraw()
+        })
+    }
+    #update(reason) {
+        this.#draw()
+        this.#overlayer?.redraw()
+        this.#afterScroll(reason)
+    }
+    get #spreads() {
+        const { pages, geometry } = this.#layout
+        return Math.ceil(pages.length / geometry.columns)
+    }
+    #afterScroll(reason) {
+        if (!this.#layout) return
+        const range = this.#getVisibleRange()
+        // don't set new anchor if relocation was to scroll to anchor
+        if (reason !== 'selection' && reason !== 'navigation' && reason !== 'anchor' && reason !== 'highlight')
+            this.#anchor = range
+        else this.#justAnchored = true
+
+        const index = this.#index
+        const detail = { reason, range, index }
+        if (this.scrolled) detail.fraction = this.#layout.height
+            ? this.#container.scrollTop / this.#layout.height : 0
+        else {
+            const spreads = this.#spreads
+            detail.fraction = this.#column / this.#layout.geometry.columns / spreads
+            detail.size = 1 / spreads
+        }
+        this.dispatchEvent(new CustomEvent('relocate', { detail }))
+    }
+    async scrollToAnchor(anchor, reason) {
+        return this.#scrollToAnchor(anchor, reason)
+    }
+    async #scrollToAnchor(anchor, reason = 'anchor') {
+        this.#anchor = anchor
+        const layout = this.#layout
+        if (!layout) return
+        const { scrolled, columns } = layout.geometry
+        let line
+        if (anchor?.startContainer) {
+            const target = this.#locate(anchor.startContainer, anchor.startOffset)
+            line = layout.fragments[target?.i ?? layout.fragments.length - 1]?.line
+        } else if (anchor?.nodeType) {
+            const target = anchor.parentNode
+                ? this.#locate(anchor.parentNode, indexOf(anchor)) : null
+            line = layout.fragments[target?.i ?? layout.fragments.length - 1]?.line
+        }
+        if (line) {
+            if (scrolled) this.#container.scrollTop = line.top
+            else this.#column = Math.floor(line.page / columns) * columns
+        } else if (typeof anchor === 'number') {
+            if (scrolled) this.#container.scrollTop = anchor * layout.height
+            else this.#column = Math.round(anchor * (this.#spreads - 1)) * columns
+        }
+        this.#update(reason)
+    }
+    #createFrame(src) {
+        const iframe = document.createElement('iframe')
+        // `allow-scripts` is needed for events because of WebKit bug
+        // https://bugs.webkit.org/show_bug.cgi?id=218086
+        iframe.setAttribute('sandbox', 'allow-same-origin allow-scripts')
+        iframe.setAttribute('scrolling', 'no')
+        iframe.setAttribute('aria-hidden', 'true')
+        return new Promise(resolve => {
+            iframe.addEventListener('load', () => resolve(iframe), { once: true })
+            iframe.src = src
+            this.#view.prepend(iframe)
+        })
+    }
+    async #loadFonts() {
+        const doc = this.#doc
+        if (!doc) return
+        const keys = new Set(this.#fonts.map(({ key }) => key))
+        for (const rule of getFontFaceRules(doc)) try {
+            const font = makeFontFace(rule, doc.baseURI)
+            if (keys.has(font.key)) continue
+            keys.add(font.key)
+            this.#fonts.push(font)
+            document.fonts.add(font.face)
+        } catch (e) {
+            console.warn(e)
+        }
+        await Promise.all(this.#fonts.map(({ face }) => face.load().catch(e => console.warn(e))))
+    }
+    #unloadFonts() {
+        for (const { face } of this.#fonts) document.fonts.delete(face)
+        this.#fonts = []
+    }
+    async #loadImages() {
+        const doc = this.#doc
+        const images = new Map()
+        this.#images = images
+        await Promise.all([
+            ...Array.from(doc.images, img => {
+                img.loading = 'eager'
+                return img.decode().catch(() => {})
+            }),
+            ...Array.from(doc.getElementsByTagNameNS(SVG_NS, 'svg'))
+                // only outermost SVGs are laid out as images
+                .filter(svg => !svg.parentElement?.closest('svg'))
+                .map(svg => loadSVGImage(svg).then(img => img && images.set(svg, img))),
+        ])
+    }
+    async #display(promise) {
+        const { index, src, anchor, onLoad, select } = await promise
+        this.#index = index
+        const hasFocus = this.#root.activeElement === this.#view
+        if (src) {
+            const iframe = await this.#createFrame(src)
+            this.#iframe?.remove()
+            this.#overlayer?.element?.remove()
+            this.#overlayer = null
+            this.#iframe = iframe
+            this.#layout = null
+            this.#column = 0
+            this.#unloadFonts()
+            this.#requestDraw()
+
+            const doc = iframe.contentDocument
+            // the real layout of the document is still needed for sizing images
+            const { getBoundingClientRect } = doc.defaultView.Element.prototype
+            this.#getLayoutRect = el => getBoundingClientRect.call(el)
+            patchGeometry(doc, target => this.#getClientRects(target))
+
+            if (doc.head) {
+                const $styleBefore = doc.createElement('style')
+                doc.head.prepend($styleBefore)
+                const $style = doc.createElement('style')
+                doc.head.append($style)
+                this.#styleMap.set(doc, [$styleBefore, $style])
+            }
+            this.#rtl = this.bookDir === 'rtl' || isRTLDocument(doc)
+            doc.addEventListener('selectionchange', () => this.#requestDraw())
+            onLoad?.({ doc, index })
+
+            await Promise.all([this.#loadFonts(), this.#loadImages()])
+            // another section has been loaded in the meantime
+            if (this.#iframe !== iframe) return
+            this.#background.style.background = getBackground(doc)
+            this.#layout = this.#makeLayout()
+            this.dispatchEvent(new CustomEvent('create-overlayer', {
+                detail: {
+                    doc, index,
+                    attach: overlayer => {
+                        this.#overlayer = overlayer
+                        this.#view.append(overlayer.element)
+                    },
+                },
+            }))
+        }
+        await this.scrollToAnchor((typeof anchor === 'function'
+            ? anchor(this.#doc) : anchor) ?? 0, select ? 'selection' : 'navigation')
+        if (hasFocus) this.focusView()
+    }
+    #canGoToIndex(index) {
+        return index >= 0 && index <= this.sections.length - 1
+    }
+    async #goTo({ index, anchor, select }) {
+        if (index === this.#index) await this.#display({ index, anchor, select })
+        else {
+            const oldIndex = this.#index
+            const onLoad = detail => {
+                this.sections[oldIndex]?.unload?.()
+                this.setStyles(this.#styles)
+                this.dispatchEvent(new CustomEvent('load', { detail }))
+            }
+            await this.#display(Promise.resolve(this.sections[index].load())
+                .then(src => ({ index, src, anchor, onLoad, select }))
+                .catch(e => {
+                    console.warn(e)
+                    console.warn(new Error(`Failed to load section ${index}`))
+                    return {}
+                }))
+        }
+    }
+    async goTo(target) {
+        if (this.locked) return
+        const resolved = await target
+        if (this.#canGoToIndex(resolved.index)) return this.#goTo(resolved)
+    }
+    #scrollPrev(distance) {
+        if (!this.#layout) return true
+        if (this.scrolled) {
+            const { scrollTop, clientHeight } = this.#container
+            if (scrollTop > 0) {
+                this.#container.scrollTop = Math.max(0, scrollTop - (distance ?? clientHeight))
+                return
+            }
+            return true
+        }
+        if (this.atStart) return
+        if (this.#column <= 0) return true
+        this.#column = Math.max(0, this.#column - this.#layout.geometry.columns)
+        this.#update('page')
+    }
+    #scrollNext(distance) {
+        if (!this.#layout) return true
+        if (this.scrolled) {
+            const { scrollTop, scrollHeight, clientHeight } = this.#container
+            if (scrollHeight - scrollTop - clientHeight > 2) {
+                this.#container.scrollTop = scrollTop + (distance ?? clientHeight)
+                return
+            }
+            return true
+        }
+        if (this.atEnd) return
+        const column = this.#column + this.#layout.geometry.columns
+        if (column >= this.#layout.pages.length) return true
+        this.#column = column
+        this.#update('page')
+    }
+    get atStart() {
+        if (this.#adjacentIndex(-1) != null || !this.#layout) return false
+        return this.scrolled ? this.#container.scrollTop <= 0 : this.#column <= 0
+    }
+    get atEnd() {
+        if (this.#adjacentIndex(1) != null || !this.#layout) return false
+        if (this.scrolled) {
+            const { scrollTop, scrollHeight, clientHeight } = this.#container
+            return scrollHeight - scrollTop - clientHeight <= 2
+        }
+        return this.#column + this.#layout.geometry.columns >= this.#layout.pages.length
+    }
+    #adjacentIndex(dir) {
+        for (let index = this.#index + dir; this.#canGoToIndex(index); index += dir)
+            if (this.sections[index]?.linear !== 'no') return index
+    }
+    async #turnPage(dir, distance) {
+        if (this.locked) return
+        this.locked = true
+        const prev = dir === -1
+        const shouldGo = await (prev ? this.#scrollPrev(distance) : this.#scrollNext(distance))
+        if (shouldGo) await this.#goTo({
+            index: this.#adjacentIndex(dir),
+            anchor: prev ? () => 1 : () => 0,
+        })
+        await wait(100)
+        this.locked = false
+    }
+    prev(distance) {
+        return this.#turnPage(-1, distance)
+    }
+    next(distance) {
+        return this.#turnPage(1, distance)
+    }
+    prevSection() {
+        return this.goTo({ index: this.#adjacentIndex(-1) })
+    }
+    nextSection() {
+        return this.goTo({ index: this.#adjacentIndex(1) })
+    }
+    firstSection() {
+        const index = this.sections.findIndex(section => section.linear !== 'no')
+        return this.goTo({ index })
+    }
+    lastSection() {
+        const index = this.sections.findLastIndex(section => section.linear !== 'no')
+        return this.goTo({ index })
+    }
+    #getPoint({ clientX, clientY }) {
+        const rect = this.#view.getBoundingClientRect()
+        return { x: clientX - rect.left, y: clientY - rect.top }
+    }
+    #onPointerDown(e) {
+        if (!this.#layout || e.button !== 0) return
+        this.#pointer = {
+            id: e.pointerId, type: e.pointerType,
+            start: this.#getPoint(e), dragging: false,
+        }
+    }
+    #onPointerMove(e) {
+        const pointer = this.#pointer
+        if (!pointer || pointer.id !== e.pointerId || pointer.type === 'touch') return
+        const point = this.#getPoint(e)
+        if (!pointer.dragging) {
+            const { start } = pointer
+            if (Math.hypot(point.x - start.x, point.y - start.y) < DRAG_THRESHOLD) return
+            pointer.dragging = true
+            pointer.caret = this.#getCaret(start.x, start.y)
+            this.#view.setPointerCapture(e.pointerId)
+        }
+        const { caret } = pointer
+        const focus = this.#getCaret(point.x, point.y)
+        if (caret && focus) this.#doc.getSelection()
+            .setBaseAndExtent(caret.node, caret.offset, focus.node, focus.offset)
+    }
+    #onPointerUp(e) {
+        const pointer = this.#pointer
+        this.#pointer = null
+        if (!pointer || pointer.id !== e.pointerId || pointer.dragging) return
+        const { start } = pointer
+        const point = this.#getPoint(e)
+        const dx = point.x - start.x
+        const dy = point.y - start.y
+        if (pointer.type === 'touch' && !this.scrolled
+        && Math.abs(dx) > SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+            // pages are turned toward the left in RTL
+            if (dx < 0 !== this.#rtl) this.next()
+            else this.prev()
+        }
+        else if (Math.hypot(dx, dy) < DRAG_THRESHOLD) this.#click(e, point)
+    }
+    // clicks on the canvas are dispatched to the element in the document
+    #click(e, { x, y }) {
+        const doc = this.#doc
+        const hit = this.#hitTest(x, y)
+        const caret = this.#getCaret(x, y)
+        if (caret) doc.getSelection().collapse(caret.node, caret.offset)
+        else doc.getSelection().removeAllRanges()
+        const node = hit?.exact ? hit.fragment.piece.node : null
+        const target = (node?.nodeType === 1 ? node : node?.parentElement) ?? doc.body
+        target.dispatchEvent(new doc.defaultView.MouseEvent('click', {
+            bubbles: true, cancelable: true, detail: 1,
+            clientX: x, clientY: y, screenX: e.screenX, screenY: e.screenY,
+            ctrlKey: e.ctrlKey, shiftKey: e.shiftKey, altKey: e.altKey, metaKey: e.metaKey,
+            button: e.button, buttons: e.buttons,
+        }))
+    }
+    #onDoubleClick(e) {
+        if (!this.#layout) return
+        const { x, y } = this.#getPoint(e)
+        const caret = this.#getCaret(x, y)
+        if (caret?.node?.nodeType !== 3) return
+        const { node, offset } = caret
+        const segmenter = new Intl.Segmenter(this.#doc.documentElement.lang || undefined,
+            { granularity: 'word' })
+        const segment = segmenter.segment(node.data).containing(Math.min(offset, node.length - 1))
+        if (!segment?.isWordLike) return
+        this.#doc.getSelection().setBaseAndExtent(node, segment.index,
+            node, segment.index + segment.segment.length)
+    }
+    getContents() {
+        if (this.#iframe) return [{
+            index: this.#index,
+            overlayer: this.#overlayer,
+            doc: this.#doc,
+        }]
+        return []
+    }
+    setStyles(styles) {
+        this.#styles = styles
+        const $$styles = this.#styleMap.get(this.#doc)
+        if (!$$styles) return
+        const [$beforeStyle, $style] = $$styles
+        if (Array.isArray(styles)) {
+            const [beforeStyle, style] = styles
+            $beforeStyle.textContent = beforeStyle
+            $style.textContent = style
+        } else $style.textContent = styles
 
-  destroy() {}
+        // NOTE: needs `requestAnimationFrame` in Chromium
+        requestAnimationFrame(() => {
+            if (this.#doc) this.#background.style.background = getBackground(this.#doc)
+        })
+        // the styles may add fonts, and they change the layout
+        this.#loadFonts().then(() => this.render())
+    }
+    focusView() {
+        this.#view.focus()
+    }
+    destroy() {
+        this.#observer.unobserve(this.#container)
+        if (this.#frame) cancelAnimationFrame(this.#frame)
+        this.#unloadFonts()
+        this.#overlayer?.element?.remove()
+        this.#iframe?.remove()
+        this.#iframe = null
+        this.#layout = null
+        this.sections[this.#index]?.unload?.()
+        this.#mediaQuery.removeEventListener('change', this.#mediaQueryListener)
+    }
 }
 
-customElements.define('foliate-paginator', Paginator);
+customElements.define('foliate-canvas-paginator', CanvasPaginator)
@@ -1,3 +1,5 @@
+import { PageTurn, effects, prefersReducedMotion } from './page-turn.js'
+
 const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
 /**
  * @typedef {Promise<{index: number, src: string, anchor: () => number, onLoad: (detail: {doc: Document, index: number}) => void, select: boolean}>} SectionLoad
@@ -17,6 +19,9 @@ const debounce = (f, wait, immediate) => {
     }
 }
 
+// total size of sections (as in `section.size`) that can be prerendered
+const DEFAULT_MAX_PRERENDER_SIZE = 1024 * 1024
+
 const lerp = (min, max, x) => x * (max - min) + min
 const easeOutQuad = x => 1 - (1 - x) * (1 - x)
 
@@ -207,6 +212,10 @@ const makeMarginals = (length, part) => Array.from({ length }, () => {
     return div
 })
 
+// fill in `{name}` or `{object.name}` in a template
+const fillTemplate = (template, values) => template.replace(/\{([\w.]+)\}/g,
+    (_, path) => path.split('.').reduce((x, key) => x?.[key], values) ?? '')
+
 const setStylesImportant = (el, styles) => {
     const { style } = el
     for (const [k, v] of Object.entries(styles)) style.setProperty(k, v, 'important')
@@ -225,6 +234,7 @@ class View {
     #rtl = false
     #column = true
     #size
+    #expandedSize = 0
     #layout = {}
     constructor({ container, onExpand }) {
         this.container = container
@@ -258,6 +268,11 @@ class View {
     get document() {
         return this.#iframe.contentDocument
     }
+    // the size of the element, including the padding, as set by `expand()`;
+    // unlike its bounding rect, it isn't clamped when the view is offscreen
+    get expandedSize() {
+        return this.#expandedSize
+    }
     /**
      * 
      * @param {string} src 是 zipLoader 提供的 blob 链接
@@ -392,6 +407,7 @@ class View {
             this.#element.style.padding = '0'
             this.#iframe.style[side] = `${expandedSize}px`
             this.#element.style[side] = `${expandedSize + this.#size * 2}px`
+            this.#expandedSize = expandedSize + this.#size * 2
             this.#iframe.style[otherSide] = '100%'
             this.#element.style[otherSide] = '100%'
             documentElement.style[side] = `${this.#size}px`
@@ -412,6 +428,7 @@ class View {
             this.#element.style.padding = padding
             this.#iframe.style[side] = `${expandedSize}px`
             this.#element.style[side] = `${expandedSize}px`
+            this.#expandedSize = expandedSize + margin * 2
             this.#iframe.style[otherSide] = '100%'
             this.#element.style[otherSide] = '100%'
             if (this.#overlayer) {
@@ -448,8 +465,9 @@ class View {
  */
 export class Paginator extends HTMLElement {
     static observedAttributes = [
-        'flow', 'gap', 'margin',
+        'flow', 'gap', 'margin', 'continuous',
         'max-inline-size', 'max-block-size', 'max-column-count',
+        'max-prerender-size', 'count-pages',
     ]
     #root = this.attachShadow({ mode: 'open' })
     #observer = new ResizeObserver(() => this.render())
@@ -462,6 +480,34 @@ export class Paginator extends HTMLElement {
      * @type {View}
      */
     #view
+    /**
+     * 连续滚动模式下已加载的章节，按索引
+     * @type {Map<number, View>}
+     */
+    #views = new Map()
+    #loading = new Set()
+    #generation = 0
+    /**
+     * 预渲染的相邻章节，按索引
+     * @type {Map<number, {view: View, promise: Promise<boolean>, src?: boolean, loaded?: boolean}>}
+     */
+    #prerendered = new Map()
+    #schedulePrerender = debounce(() => this.#prerender(), 500)
+    // the last layout, for rendering views other than the current one
+    #layout
+    /**
+     * 各布局下每个章节的页数
+     * @type {Map<string, Map<number, number>>}
+     */
+    #pageCounts = new Map()
+    #countToken
+    #scheduleCount = debounce(() => this.#countPages(), 1000)
+    #lastRelocateDetail
+    #marginals
+    #clockTimeout
+    // offset of the current view in the container, to keep it in place
+    // when views before it are added, removed, or resized
+    #viewOffset = 0
     /**
      * NOTE: 是否垂直书写
      */
@@ -489,6 +535,8 @@ export class Paginator extends HTMLElement {
     #scrollBounds
     #touchState
     #touchScrolled
+    // the page turn being dragged
+    #pageTurn
     /**
      * 上拉
      */
@@ -562,11 +610,25 @@ export class Paginator extends HTMLElement {
             grid-column: 2 / 5;
             grid-row: 2;
             overflow: hidden;
+            position: relative;
+        }
+        /* views that are laid out, but don't take up space or overflow,
+        for prerendering sections and counting pages */
+        #container > .offscreen {
+            position: absolute !important;
+            top: 0;
+            left: 0;
+            max-width: 100%;
+            max-height: 100%;
+            visibility: hidden;
+            pointer-events: none;
         }
         :host([flow="scrolled"]) #container {
             grid-column: 1 / -1;
             grid-row: 1 / -1;
             overflow: auto;
+            /* scroll position is kept by the paginator in continuous mode */
+            overflow-anchor: none;
         }
         #header {
             grid-column: 3 / 4;
@@ -581,6 +643,14 @@ export class Paginator extends HTMLElement {
             display: grid;
             height: var(--_margin);
         }
+        /* in scrolled mode, they're shown over the content */
+        :host([flow="scrolled"]) :is(#header, #footer) {
+            grid-column: 1 / -1;
+            z-index: 1;
+        }
+        :host([flow="scrolled"]) #header {
+            align-self: start;
+        }
         :is(#header, #footer) > * {
             display: flex;
             align-items: center;
@@ -611,7 +681,10 @@ export class Paginator extends HTMLElement {
         this.#footer = this.#root.getElementById('footer')
 
         this.#observer.observe(this.#container)
-        this.#container.addEventListener('scroll', () => this.dispatchEvent(new Event('scroll')))
+        this.#container.addEventListener('scroll', () => {
+            this.dispatchEvent(new Event('scroll'))
+            if (this.#continuous) this.#loadNearby()
+        })
         this.#container.addEventListener('scroll', debounce(() => {
             if (this.scrolled) {
                 if (this.#justAnchored) this.#justAnchored = false
@@ -686,6 +759,7 @@ export class Paginator extends HTMLElement {
     attributeChangedCallback(name, _, value) {
         switch (name) {
             case 'flow':
+            case 'continuous':
                 this.render()
                 break
             case 'gap':
@@ -699,6 +773,12 @@ export class Paginator extends HTMLElement {
                 this.#top.style.setProperty('--_' + name, value)
                 this.render()
                 break
+            case 'max-prerender-size':
+                this.#schedulePrerender()
+                break
+            case 'count-pages':
+                this.#scheduleCount()
+                break
         }
     }
     open(book) {
@@ -722,16 +802,140 @@ export class Paginator extends HTMLElement {
         })
     }
     #createView() {
-        if (this.#view) {
-            this.#view.destroy()
-            this.#container.removeChild(this.#view.element)
+        this.#generation++
+        for (const [index, view] of this.#views) {
+            // the current section is unloaded when the new one is loaded
+            if (view !== this.#view) this.sections[index]?.unload?.()
+            view.destroy()
         }
-        this.#view = new View({
+        this.#views.clear()
+        // also removes views of adjacent sections that are still loading
+        for (const el of [...this.#container.children])
+            if (!el.classList.contains('offscreen')) el.remove()
+        const view = new View({
             container: this,
-            onExpand: () => this.#scrollToAnchor(this.#anchor),
+            onExpand: () => this.#onExpand(view),
         })
-        this.#container.append(this.#view.element)
-        return this.#view
+        this.#view = view
+        this.#views.set(this.#index, view)
+        this.#viewOffset = 0
+        this.#container.append(view.element)
+        return view
+    }
+    #onExpand(view) {
+        if (view === this.#view) this.#scrollToAnchor(this.#anchor)
+        else this.#restoreViewOffset()
+    }
+    /**
+     * 连续滚动模式，只支持横排
+     */
+    get #continuous() {
+        return this.scrolled && !this.#vertical && this.hasAttribute('continuous')
+    }
+    #getViewBounds(view = this.#view) {
+        if (!this.#continuous || !view) return [0, this.viewSize]
+        const { top, bottom } = view.element.getBoundingClientRect()
+        const offset = this.#container.scrollTop - this.#container.getBoundingClientRect().top
+        return [top + offset, bottom + offset]
+    }
+    #restoreViewOffset() {
+        if (!this.#continuous || !this.#view) return
+        const [offset] = this.#getViewBounds()
+        this.#container.scrollTop += offset - this.#viewOffset
+        this.#viewOffset = offset
+    }
+    #setCurrentView(index) {
+        this.#index = index
+        this.#view = this.#views.get(index)
+        this.#viewOffset = this.#getViewBounds()[0]
+        this.#background.style.background = getBackground(this.#view.document)
+    }
+    #removeView(index) {
+        const view = this.#views.get(index)
+        view.destroy()
+        this.#container.removeChild(view.element)
+        this.#views.delete(index)
+        this.sections[index]?.unload?.()
+    }
+    // make the section that takes up most of the viewport the current one,
+    // and unload sections far from the viewport
+    #updateViews() {
+        const { start, end, size } = this
+        const bounds = new Map(Array.from(this.#views,
+            ([index, view]) => [index, this.#getViewBounds(view)]))
+        let max = 0
+        let current = this.#index
+        for (const [index, [top, bottom]] of bounds) {
+            const visible = Math.min(end, bottom) - Math.max(start, top)
+            if (visible > max) {
+                max = visible
+                current = index
+            }
+        }
+        if (current !== this.#index) this.#setCurrentView(current)
+
+        // only unload them if they won't be loaded again right away,
+        // i.e., if there's still enough content left to scroll to
+        const indices = [...bounds.keys()].sort((a, b) => a - b)
+        const i = indices.indexOf(current)
+        const removed = [
+            ...indices.slice(0, i).filter(index => bounds.get(index)[1] < start - size * 3),
+            ...indices.slice(i + 1).filter(index => bounds.get(index)[0] > end + size * 3),
+        ]
+        for (const index of removed) this.#removeView(index)
+        if (removed.length) this.#restoreViewOffset()
+    }
+    // load adjacent sections before they're scrolled into view
+    #loadNearby() {
+        const { start, end, size } = this
+        if (start < size) this.#loadAdjacent(-1)
+        if (this.#container.scrollHeight - end < size) this.#loadAdjacent(1)
+    }
+    async #loadAdjacent(dir) {
+        const indices = [...this.#views.keys()]
+        const index = this.#adjacentIndex(dir,
+            dir < 0 ? Math.min(...indices) : Math.max(...indices))
+        if (index == null || this.#loading.has(index)) return false
+        this.#loading.add(index)
+        // the views may be replaced, e.g. by navigating, while loading
+        const generation = this.#generation
+        const isStale = () => generation !== this.#generation || !this.#continuous
+        let view
+        const discard = () => {
+            if (view) {
+                view.destroy()
+                view.element.remove()
+                this.#restoreViewOffset()
+            }
+            this.sections[index]?.unload?.()
+            return false
+        }
+        try {
+            const src = await this.sections[index].load()
+            if (isStale()) return discard()
+            view = new View({
+                container: this,
+                onExpand: () => this.#onExpand(view),
+            })
+            if (dir < 0) this.#container.prepend(view.element)
+            else this.#container.append(view.element)
+            this.#restoreViewOffset()
+            await view.load(src, doc => {
+                this.#addStyles(doc)
+                this.#applyStyles(view)
+                this.dispatchEvent(new CustomEvent('load', { detail: { doc, index } }))
+            }, () => this.#layout)
+            if (isStale()) return discard()
+            this.#views.set(index, view)
+            this.#createOverlayer(view, index)
+            return true
+        } catch (e) {
+            console.warn(e)
+            console.warn(new Error(`Failed to load section ${index}`))
+            return discard()
+        } finally {
+            this.#loading.delete(index)
+        }
     }
     #beforeRender({ vertical, rtl, background }) {
         this.#vertical = vertical
@@ -782,8 +986,19 @@ export class Paginator extends HTMLElement {
             this.feet = null
             this.#header.replaceChildren()
             this.#footer.replaceChildren()
+            if (this.#marginals && this.#marginals.hideInScrolled === false) {
+                const heads = makeMarginals(1, 'head')
+                const feet = makeMarginals(1, 'foot')
+                this.heads = heads.map(el => el.children[0])
+                this.feet = feet.map(el => el.children[0])
+                this.#header.replaceChildren(...heads)
+                this.#footer.replaceChildren(...feet)
+            }
+            for (const el of [this.#header, this.#footer])
+                Object.assign(el.style, { gridTemplateColumns: '', gap: '', background })
 
-            return { flow, margin, gap, columnWidth }
+            this.#layout = { flow, margin, gap, columnWidth }
+            return this.#layout
         }
 
         const divisor = Math.min(maxColumnCount, Math.ceil(size / maxInlineSize))
@@ -798,8 +1013,8 @@ export class Paginator extends HTMLElement {
             gap: `${gap}px`,
             direction: this.bookDir === 'rtl' ? 'rtl' : 'ltr',
         }
-        Object.assign(this.#header.style, marginalStyle)
-        Object.assign(this.#footer.style, marginalStyle)
+        for (const el of [this.#header, this.#footer])
+            Object.assign(el.style, { ...marginalStyle, background: '' })
         const heads = makeMarginals(marginalDivisor, 'head')
         const feet = makeMarginals(marginalDivisor, 'foot')
         this.heads = heads.map(el => el.children[0])
@@ -807,14 +1022,29 @@ export class Paginator extends HTMLElement {
         this.#header.replaceChildren(...heads)
         this.#footer.replaceChildren(...feet)
 
-        return { height, width, margin, gap, columnWidth }
+        this.#layout = { height, width, margin, gap, columnWidth }
+        return this.#layout
     }
     render() {
         if (!this.#view) return
-        this.#view.render(this.#beforeRender({
+        if (!this.#continuous && this.#container.childElementCount > 1) {
+            this.#generation++
+            for (const index of this.#views.keys())
+                if (index !== this.#index) this.#removeView(index)
+            for (const el of [...this.#container.children])
+                if (el !== this.#view.element && !el.classList.contains('offscreen'))
+                    el.remove()
+        }
+        const layout = this.#beforeRender({
             vertical: this.#vertical,
             rtl: this.#rtl,
-        }))
+        })
+        for (const view of this.#views.values()) view.render(layout)
+        for (const { view, loaded } of this.#prerendered.values())
+            if (loaded) view.render(layout)
+        this.#schedulePrerender()
+        this.#scheduleCount()
+        this.#viewOffset = this.#getViewBounds()[0]
         this.#scrollToAnchor(this.#anchor)
     }
     /**
@@ -913,13 +1143,14 @@ export class Paginator extends HTMLElement {
         this.#touchState = {
             x: touch?.screenX,
             y: touch?.screenY,
+            startX: touch?.screenX,
             t: e.timeStamp,
             vx: 0,
             xy: 0,
         }
     }
     #onTouchMove(e) {
-        if (this.locked) return
+        if (this.locked && !this.#pageTurn) return
         const state = this.#touchState
         // NOTE: pinch 捏，双指缩放屏幕
         if (state.pinched) return
@@ -948,10 +1179,53 @@ export class Paginator extends HTMLElement {
         }
         e.preventDefault()
         this.#touchScrolled = true
-        this.scrollBy(dx, dy)
+        const effect = this.#pageTurnEffect
+        if (effect) this.#dragPageTurn(effect, touch)
+        else this.scrollBy(dx, dy)
+    }
+    #dragPageTurn(effect, touch) {
+        const dx = touch.screenX - this.#touchState.startX
+        if (!this.#pageTurn) {
+            if (Math.abs(dx) < 10) return
+            // swipe left to go forward, unless RTL
+            const dir = dx < 0 !== this.#rtl ? 1 : -1
+            if (this.locked || (dir > 0 ? this.atEnd : this.atStart)) return
+            this.locked = true
+            const doc = touch.target.ownerDocument
+            const frameTop = doc === document ? 0
+                : doc?.defaultView?.frameElement?.getBoundingClientRect()?.top ?? 0
+            const { top, height } = this.#top.getBoundingClientRect()
+            const y = Math.max(0, Math.min(1, (touch.clientY + frameTop - top) / height))
+            const turn = this.#createPageTurn(effect, dir, y)
+            const { page } = this
+            const index = this.#index
+            // going back to where the turn started, if it's cancelled
+            const revert = () => this.#index === index
+                ? this.#scrollToPage(page, 'page')
+                : this.#goTo({ index, anchor: dir > 0 ? () => 1 : () => 0 })
+            this.#pageTurn = { turn, dir, revert }
+            turn.start(() => this.#goToAdjacentPage(dir))
+        }
+        const { turn, dir } = this.#pageTurn
+        turn.progress = (dir > 0 !== this.#rtl ? -dx : dx) / this.#top.clientWidth
+    }
+    async #endPageTurn() {
+        const { turn, dir, revert } = this.#pageTurn
+        this.#pageTurn = null
+        // velocity towards the direction of the turn
+        const v = (this.#rtl ? -this.#touchState.vx : this.#touchState.vx) * dir
+        const commit = v > 0.3 || v > -0.3 && turn.progress > 0.5
+        try {
+            await turn.finish(commit, revert)
+        } finally {
+            this.locked = false
+        }
     }
     #onTouchEnd() {
         this.#touchScrolled = false
+        if (this.#pageTurn) return this.#endPageTurn()
+        // sections are loaded as they're scrolled to
+        if (this.#continuous) return
         if (this.scrolled) {
             // NOTE: fraction 阅读进度，0.25 = 阅读到 25%
             // FIXME: 如果是滚动模式，无法滚动到下一章，左右滑动还能滑过来再加载展示，上下滚动无法连续展示
@@ -985,10 +1259,13 @@ export class Paginator extends HTMLElement {
         if (this.scrolled) {
             const size = this.viewSize
             const margin = this.#margin
+            // in continuous mode, the view may not be at the start
+            const [offset] = this.#getViewBounds()
             return this.#vertical
                 ? ({ left, right }) =>
                     ({ left: size - right - margin, right: size - left - margin })
-                : ({ top, bottom }) => ({ left: top + margin, right: bottom + margin })
+                : ({ top, bottom }) =>
+                    ({ left: top + margin + offset, right: bottom + margin + offset })
         }
         const pxSize = this.pages * this.size
         return this.#rtl
@@ -1017,7 +1294,7 @@ export class Paginator extends HTMLElement {
         }
         // FIXME: vertical-rl only, not -lr
         if (this.scrolled && this.#vertical) offset = -offset
-        if ((reason === 'snap' || smooth) && this.hasAttribute('animated')) return animate(
+        if ((reason === 'snap' || smooth) && this.#animated) return animate(
             element[scrollProp], offset, 300, easeOutQuad,
             x => element[scrollProp] = x,
         ).then(() => {
@@ -1046,6 +1323,13 @@ export class Paginator extends HTMLElement {
     }
     async #scrollToAnchor(anchor, reason = 'anchor') {
         this.#anchor = anchor
+        // in continuous mode, the anchor may be in another loaded section
+        const doc = anchor?.startContainer?.ownerDocument ?? anchor?.ownerDocument
+        if (doc && this.#continuous && doc !== this.#view.document) {
+            const index = [...this.#views.keys()]
+                .find(index => this.#views.get(index).document === doc)
+            if (index != null) this.#setCurrentView(index)
+        }
         const rects = uncollapse(anchor)?.getClientRects?.()
         // if anchor is an element or a range
         if (rects) {
@@ -1059,7 +1343,7 @@ export class Paginator extends HTMLElement {
         }
         // if anchor is a fraction
         if (this.scrolled) {
-            await this.#scrollTo(anchor * this.viewSize, reason)
+            await this.#scrollTo(anchor * this.viewSize + this.#getViewBounds()[0], reason)
             return
         }
         const { pages } = this
@@ -1080,6 +1364,7 @@ export class Paginator extends HTMLElement {
      * @param {'selection' | 'navigation' | 'anchor' | 'scroll'} reason
      */
     #afterScroll(reason) {
+        if (this.#continuous && (reason === 'scroll' || reason === 'page')) this.#updateViews()
         const range = this.#getVisibleRange()
         this.#lastVisibleRange = range
         // don't set new anchor if relocation was to scroll to anchor
@@ -1090,14 +1375,43 @@ export class Paginator extends HTMLElement {
         const index = this.#index
         const detail = { reason, range, index }
         // NOTE: fraction 阅读进度，0.25 = 阅读到 25%
-        if (this.scrolled) detail.fraction = this.start / this.viewSize
+        if (this.scrolled) {
+            const [offset] = this.#getViewBounds()
+            detail.fraction = Math.max(0, Math.min(1, (this.start - offset) / this.viewSize))
+        }
         else if (this.pages > 0) {
             const { page, pages } = this
-            this.#header.style.visibility = page > 1 ? 'visible' : 'hidden'
+            // the first page of a section is often its title page
+            const hide = page <= 1
+            const hideOnTitlePage = this.#marginals?.hideOnTitlePage
+            this.#header.style.visibility = hide && (hideOnTitlePage ?? true)
+                ? 'hidden' : 'visible'
+            this.#footer.style.visibility = hide && hideOnTitlePage
+                ? 'hidden' : 'visible'
             detail.fraction = (page - 1) / (pages - 2)
             detail.size = 1 / (pages - 2)
         }
+        detail.page = this.#getPageNumber()
+        this.#lastRelocateDetail = detail
         this.dispatchEvent(new CustomEvent('relocate', { detail }))
+        this.#renderMarginals(detail)
+        if (this.#continuous) this.#loadNearby()
+    }
+    #addStyles(doc) {
+        if (!doc.head) return
+        const $styleBefore = doc.createElement('style')
+        doc.head.prepend($styleBefore)
+        const $style = doc.createElement('style')
+        doc.head.append($style)
+        this.#styleMap.set(doc, [$styleBefore, $style])
+    }
+    #createOverlayer(view, index) {
+        this.dispatchEvent(new CustomEvent('create-overlayer', {
+            detail: {
+                doc: view.document, index,
+                attach: overlayer => view.overlayer = overlayer,
+            },
+        }))
     }
     /**
      * 
@@ -1105,41 +1419,258 @@ export class Paginator extends HTMLElement {
      * @returns
      */
     async #display(promise) {
-        const { index, src, anchor, onLoad, select } = await promise
+        const { index, src, view: prerendered, anchor, onLoad, select } = await promise
+        const oldIndex = this.#index
         this.#index = index
         const hasFocus = this.#view?.document?.hasFocus()
-        if (src) {
+        if (prerendered) this.#showView(prerendered, oldIndex)
+        else if (src) {
             // NOTE: 创建 container 区域
             const view = this.#createView()
             const afterLoad = doc => {
-                if (doc.head) {
-                    const $styleBefore = doc.createElement('style')
-                    doc.head.prepend($styleBefore)
-                    const $style = doc.createElement('style')
-                    doc.head.append($style)
-                    this.#styleMap.set(doc, [$styleBefore, $style])
-                }
+                this.#addStyles(doc)
                 onLoad?.({ doc, index })
             }
             const beforeRender = this.#beforeRender.bind(this)
             await view.load(src, afterLoad, beforeRender)
-            this.dispatchEvent(new CustomEvent('create-overlayer', {
-                detail: {
-                    doc: view.document, index,
-                    attach: overlayer => view.overlayer = overlayer,
-                },
-            }))
+            this.#createOverlayer(view, index)
             this.#view = view
         }
         await this.scrollToAnchor((typeof anchor === 'function'
             ? anchor(this.#view.document) : anchor) ?? 0, select ? 'selection' : 'navigation')
         if (hasFocus) this.focusView()
+        this.#schedulePrerender()
+        this.#scheduleCount()
+    }
+    // swap in a prerendered view, and keep the old one for going back
+    #showView(view, oldIndex) {
+        const old = this.#view
+        if (old) {
+            this.#views.delete(oldIndex)
+            old.element.classList.add('offscreen')
+            this.#prerendered.set(oldIndex, {
+                view: old, promise: Promise.resolve(true), src: true, loaded: true,
+            })
+        }
+        view.element.classList.remove('offscreen')
+        this.#view = view
+        this.#views.set(this.#index, view)
+        this.#viewOffset = 0
+        // the direction of the section may differ, and the marginals need resetting
+        const doc = view.document
+        view.render(this.#beforeRender({ ...getDirection(doc), background: getBackground(doc) }))
+    }
+    get #maxPrerenderSize() {
+        const value = parseInt(this.getAttribute('max-prerender-size'))
+        return isNaN(value) ? DEFAULT_MAX_PRERENDER_SIZE : value
+    }
+    // load and lay out the adjacent sections in hidden views, so that turning
+    // to them is instant, while keeping their total size within the budget
+    #prerender() {
+        const keep = new Set()
+        if (this.#view && !this.#continuous) {
+            let total = 0
+            for (const index of [this.#adjacentIndex(1), this.#adjacentIndex(-1)]) {
+                if (index == null) continue
+                const size = this.sections[index].size ?? 0
+                if (total + size > this.#maxPrerenderSize) continue
+                total += size
+                keep.add(index)
+            }
+        }
+        for (const index of this.#prerendered.keys())
+            if (!keep.has(index)) this.#evict(index)
+        for (const index of keep)
+            if (!this.#prerendered.has(index)) this.#prerenderSection(index)
+    }
+    #prerenderSection(index) {
+        const view = new View({
+            container: this,
+            onExpand: () => this.#onExpand(view),
+        })
+        view.element.classList.add('offscreen')
+        this.#container.append(view.element)
+        const entry = { view }
+        entry.promise = Promise.resolve(this.sections[index].load())
+            .then(src => {
+                entry.src = true
+                if (entry.evicted) throw new Error('Evicted')
+                return view.load(src, doc => {
+                    this.#addStyles(doc)
+                    this.#applyStyles(view)
+                    this.dispatchEvent(new CustomEvent('load', { detail: { doc, index } }))
+                }, () => this.#layout)
+            })
+            .then(() => {
+                if (entry.evicted) return false
+                entry.loaded = true
+                this.#createOverlayer(view, index)
+                return true
+            })
+            .catch(e => {
+                if (entry.evicted) return false
+                console.warn(e)
+                console.warn(new Error(`Failed to prerender section ${index}`))
+                this.#evict(index)
+                return false
+            })
+        this.#prerendered.set(index, entry)
+    }
+    #evict(index) {
+        const entry = this.#prerendered.get(index)
+        if (!entry) return
+        this.#prerendered.delete(index)
+        entry.evicted = true
+        entry.view.destroy()
+        entry.view.element.remove()
+        if (entry.src) this.sections[index]?.unload?.()
+    }
+    // get the prerendered view of a section, waiting for it if it's still loading
+    async #takePrerendered(index) {
+        const entry = this.#prerendered.get(index)
+        if (!entry || !await entry.promise) return
+        if (this.#prerendered.get(index) !== entry) return
+        this.#prerendered.delete(index)
+        return entry.view
+    }
+    get #countingPages() {
+        return this.hasAttribute('count-pages') && !this.#continuous && this.#layout != null
+    }
+    // page counts depend on the layout and the styles
+    #getPageCounts() {
+        const { flow, width, height, gap, columnWidth, margin } = this.#layout
+        const key = JSON.stringify([flow, width, height, gap, columnWidth, margin,
+            this.size, this.#styles])
+        if (!this.#pageCounts.has(key)) this.#pageCounts.set(key, new Map())
+        return this.#pageCounts.get(key)
+    }
+    #getPageCount(view) {
+        const size = view.expandedSize
+        return this.scrolled ? Math.max(1, Math.ceil(size / this.size))
+            : Math.max(1, Math.round(size / this.size) - 2)
+    }
+    // page counts of all sections, with the ones not counted yet estimated by size
+    #getPageCountList() {
+        const counts = this.#getPageCounts()
+        if (this.#view?.document) counts.set(this.#index, this.#getPageCount(this.#view))
+        let countedSize = 0
+        let countedPages = 0
+        for (const [index, count] of counts) {
+            countedSize += this.sections[index]?.size ?? 0
+            countedPages += count
+        }
+        const pagesPerSize = countedSize ? countedPages / countedSize : 0
+        let estimated = false
+        const list = this.sections.map((section, index) => {
+            if (section.linear === 'no') return 0
+            if (counts.has(index)) return counts.get(index)
+            estimated = true
+            return Math.max(1, Math.round((section.size ?? 0) * pagesPerSize))
+        })
+        return { list, estimated }
+    }
+    #getPageNumber() {
+        if (!this.#countingPages || !this.#view) return
+        const { list, estimated } = this.#getPageCountList()
+        const count = list[this.#index]
+        const page = this.scrolled ? Math.floor(this.start / this.size) : this.page - 1
+        const current = list.slice(0, this.#index).reduce((a, b) => a + b, 0)
+            + Math.max(0, Math.min(count - 1, page))
+        const total = list.reduce((a, b) => a + b, 0)
+        return { current, total, estimated }
+    }
+    // lay out every section offscreen, one at a time, to count the pages
+    async #countPages() {
+        const token = {}
+        this.#countToken = token
+        if (!this.#countingPages) return
+        const counts = this.#getPageCounts()
+        for (const [index, section] of this.sections.entries()) {
+            if (counts.has(index) || section.linear === 'no') continue
+            const count = await this.#countSection(index)
+            if (this.#countToken !== token) return
+            if (count == null) continue
+            counts.set(index, count)
+            const detail = this.#lastRelocateDetail
+            if (!detail) continue
+            const newDetail = { ...detail, reason: 'page-count', page: this.#getPageNumber() }
+            this.dispatchEvent(new CustomEvent('relocate', { detail: newDetail }))
+            this.#renderMarginals(newDetail)
+        }
+    }
+    // a view that's shown or prerendered, which is measured as it is, as
+    // loading the section again and unloading it would free what it's using
+    async #getLiveView(index) {
+        const view = this.#views.get(index)
+        if (view) return view.document ? view : null
+        const entry = this.#prerendered.get(index)
+        if (entry && await entry.promise && this.#prerendered.get(index) === entry)
+            return entry.view
+    }
+    #isLive(index) {
+        return this.#views.has(index) || this.#prerendered.has(index)
+    }
+    async #countSection(index) {
+        if (this.#isLive(index)) {
+            const live = await this.#getLiveView(index)
+            return live ? this.#getPageCount(live) : null
+        }
+        const view = new View({ container: this, onExpand: () => {} })
+        view.element.classList.add('offscreen')
+        this.#container.append(view.element)
+        let loaded = false
+        try {
+            const src = await this.sections[index].load()
+            loaded = true
+            await view.load(src, doc => {
+                this.#addStyles(doc)
+                this.#applyStyles(view)
+            }, () => this.#layout)
+            const doc = view.document
+            await doc.fonts.ready
+            await Promise.all(Array.from(doc.images, img => img.decode().catch(() => {})))
+            view.expand()
+            return this.#getPageCount(view)
+        } catch (e) {
+            console.warn(e)
+            console.warn(new Error(`Failed to count pages of section ${index}`))
+            return 0
+        } finally {
+            view.destroy()
+            view.element.remove()
+            // if it's been shown in the meantime, leave it to its view
+            if (loaded && !this.#isLive(index)) this.sections[index].unload?.()
+        }
+    }
+    /**
+     * 跳到全书的某一页
+     * @param {number} page zero-based, as in `page.current` of `relocate`
+     */
+    goToPage(page) {
+        if (!this.#countingPages) return
+        const { list } = this.#getPageCountList()
+        for (const [index, count] of list.entries()) {
+            if (page < count) return this.goTo({
+                index,
+                anchor: this.scrolled ? page / count : count > 1 ? page / (count - 1) : 0,
+            })
+            page -= count
+        }
     }
     #canGoToIndex(index) {
         return index >= 0 && index <= this.sections.length - 1
     }
     async #goTo({ index, anchor, select }) {
         if (index === this.#index) await this.#display({ index, anchor, select })
+        else if (this.#continuous && this.#views.has(index)) {
+            this.#setCurrentView(index)
+            await this.#display({ index, anchor, select })
+        }
+        else if (!this.#continuous && this.#prerendered.has(index)) {
+            const view = await this.#takePrerendered(index)
+            if (view) await this.#display({ index, view, anchor, select })
+            else await this.#goTo({ index, anchor, select })
+        }
         else {
             const oldIndex = this.#index
             const onLoad = detail => {
@@ -1171,6 +1702,8 @@ export class Paginator extends HTMLElement {
         if (this.scrolled) {
             if (this.start > 0) return this.#scrollTo(
                 Math.max(0, this.start - (distance ?? this.size)), null, true)
+            if (this.#continuous) return this.#loadAdjacent(-1)
+                .then(loaded => loaded ? this.#scrollPrev(distance) : true)
             return true
         }
         if (this.atStart) return
@@ -1180,8 +1713,12 @@ export class Paginator extends HTMLElement {
     #scrollNext(distance) {
         if (!this.#view) return true
         if (this.scrolled) {
-            if (this.viewSize - this.end > 2) return this.#scrollTo(
-                Math.min(this.viewSize, distance ? this.start + distance : this.end), null, true)
+            const size = this.#continuous ? this.#container.scrollHeight : this.viewSize
+            if (size - this.end > 2) return this.#scrollTo(
+                Math.min(size, distance ? this.start + distance : this.end), null, true)
+            // load the next section instead of replacing the current one
+            if (this.#continuous) return this.#loadAdjacent(1)
+                .then(loaded => loaded ? this.#scrollNext(distance) : true)
             return true
         }
         if (this.atEnd) return
@@ -1200,20 +1737,51 @@ export class Paginator extends HTMLElement {
      * @param {number} dir
      * @returns
      */
-    #adjacentIndex(dir) {
-        for (let index = this.#index + dir; this.#canGoToIndex(index); index += dir)
+    #adjacentIndex(dir, from = this.#index) {
+        for (let index = from + dir; this.#canGoToIndex(index); index += dir)
             if (this.sections[index]?.linear !== 'no') return index
     }
-    async #turnPage(dir, distance) {
-        if (this.locked) return
-        this.locked = true
+    // whether to animate scrolling, which is how pages are turned by default
+    get #animated() {
+        if (prefersReducedMotion()) return false
+        const name = this.getAttribute('page-turn')
+        if (name && !this.scrolled) return name === 'slide'
+        return this.hasAttribute('animated')
+    }
+    // the page turn effect to use instead of scrolling
+    get #pageTurnEffect() {
+        const name = this.getAttribute('page-turn')
+        if (!name || name === 'slide' || this.scrolled
+            || prefersReducedMotion() || !PageTurn.supported) return null
+        return effects[name] ?? null
+    }
+    #createPageTurn(effect, dir, y) {
+        return new PageTurn(this.#top, effect, {
+            forward: dir > 0,
+            rtl: this.#rtl,
+            y,
+            color: getComputedStyle(this.#background).backgroundColor,
+            parent: this.#root,
+        })
+    }
+    async #goToAdjacentPage(dir, distance) {
         const prev = dir === -1
         const shouldGo = await (prev ? this.#scrollPrev(distance) : this.#scrollNext(distance))
         if (shouldGo) await this.#goTo({
             index: this.#adjacentIndex(dir),
             anchor: prev ? () => 1 : () => 0,
         })
-        if (shouldGo || !this.hasAttribute('animated')) await wait(100)
+        return shouldGo
+    }
+    async #turnPage(dir, distance) {
+        if (this.locked) return
+        this.locked = true
+        const effect = this.#pageTurnEffect
+        const shouldGo = effect && !(dir > 0 ? this.atEnd : this.atStart)
+            ? await this.#createPageTurn(effect, dir)
+                .run(() => this.#goToAdjacentPage(dir, distance))
+            : await this.#goToAdjacentPage(dir, distance)
+        if (shouldGo || !this.#animated) await wait(100)
         this.locked = false
     }
     /**
@@ -1250,17 +1818,20 @@ export class Paginator extends HTMLElement {
      * 获取 paginator 的一些私有属性
      */
     getContents() {
-        if (this.#view) return [{
-            index: this.#index,
-            overlayer: this.#view.overlayer,
-            doc: this.#view.document,
-        }]
-        return []
-    }
-    setStyles(styles) {
-        this.#styles = styles
-        const $$styles = this.#styleMap.get(this.#view?.document)
-        if (!$$styles) return
+        const prerendered = Array.from(this.#prerendered)
+            .filter(([, { loaded }]) => loaded)
+            .map(([index, { view }]) => [index, view])
+        // the current section comes first
+        return [...this.#views, ...prerendered].map(([index, view]) => ({
+            index,
+            overlayer: view.overlayer,
+            doc: view.document,
+        })).sort((a, b) => (b.index === this.#index) - (a.index === this.#index))
+    }
+    #applyStyles(view) {
+        const styles = this.#styles
+        const $$styles = this.#styleMap.get(view?.document)
+        if (!$$styles) return false
         const [$beforeStyle, $style] = $$styles
         if (Array.isArray(styles)) {
             const [beforeStyle, style] = styles
@@ -1268,21 +1839,108 @@ export class Paginator extends HTMLElement {
             $style.textContent = style
         } else $style.textContent = styles
 
+        // needed because the resize observer doesn't work in Firefox
+        view.document.fonts?.ready?.then(() => view.expand())
+        return true
+    }
+    setStyles(styles) {
+        this.#styles = styles
+        this.#scheduleCount()
+        for (const view of this.#views.values())
+            if (view !== this.#view) this.#applyStyles(view)
+        for (const { view, loaded } of this.#prerendered.values())
+            if (loaded) this.#applyStyles(view)
+        if (!this.#applyStyles(this.#view)) return
+
         // NOTE: needs `requestAnimationFrame` in Chromium
         requestAnimationFrame(() =>
             this.#background.style.background = getBackground(this.#view.document))
-
-        // needed because the resize observer doesn't work in Firefox
-        this.#view?.document?.fonts?.ready?.then(() => this.#view.expand())
     }
     focusView() {
         this.#view.document.defaultView.focus()
     }
+    /**
+     * 设置页眉页脚的模板，每次 relocate 时更新
+     * @param {{
+     *   head?: string | string[],
+     *   foot?: string | string[],
+     *   hideOnTitlePage?: boolean,
+     *   hideInScrolled?: boolean,
+     *   getContext?: (detail: object) => object,
+     * }} marginals
+     */
+    setMarginals(marginals) {
+        this.#marginals = marginals
+        this.#scheduleClock()
+        this.render()
+    }
+    get #usesClock() {
+        const { head, foot } = this.#marginals ?? {}
+        return [head, foot].flat().some(template => template?.includes('{clock}'))
+    }
+    // update the clock at the start of every minute
+    #scheduleClock() {
+        clearTimeout(this.#clockTimeout)
+        if (!this.#usesClock) return
+        this.#clockTimeout = setTimeout(() => {
+            this.#renderMarginals()
+            this.#scheduleClock()
+        }, 60 * 1000 - Date.now() % (60 * 1000))
+    }
+    #renderMarginals(detail = this.#lastRelocateDetail) {
+        const marginals = this.#marginals
+        if (!marginals || !detail || !this.#view) return
+        const context = marginals.getContext?.(detail) ?? {}
+        const columns = Math.max(this.heads?.length ?? 0, this.feet?.length ?? 0)
+        if (!columns) return
+        // screens of the section, which is what `page` in `relocate` counts,
+        // and pages, counting each column as a page
+        let screen, screens
+        if (this.scrolled) {
+            const [offset] = this.#getViewBounds()
+            screen = Math.max(0, Math.floor((this.start - offset) / this.size))
+            screens = Math.max(1, Math.ceil(this.viewSize / this.size))
+        } else {
+            screen = Math.max(0, this.page - 1)
+            screens = Math.max(1, this.pages - 2)
+        }
+        const page = screen * columns
+        const pages = screens * columns
+        const clock = new Date().toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+        for (let i = 0; i < columns; i++) {
+            const n = page + i
+            const values = {
+                ...context,
+                page: (detail.page?.current ?? screen) + 1,
+                pages: detail.page?.total ?? screens,
+                pageInChapter: n + 1,
+                pagesInChapter: pages,
+                pagesLeftInChapter: Math.max(0, pages - n - 1),
+                clock,
+            }
+            // an array of templates alternates between pages, e.g. for the
+            // left and right sides of a spread
+            for (const [elements, template] of [
+                [this.heads, marginals.head],
+                [this.feet, marginals.foot],
+            ]) {
+                if (!elements?.[i] || template == null) continue
+                const t = Array.isArray(template) ? template[n % template.length] : template
+                elements[i].textContent = fillTemplate(t ?? '', values)
+            }
+        }
+    }
     destroy() {
+        clearTimeout(this.#clockTimeout)
         this.#observer.unobserve(this)
-        this.#view.destroy()
+        this.#generation++
+        for (const [index, view] of this.#views) {
+            view.destroy()
+            this.sections[index]?.unload?.()
+        }
+        this.#views.clear()
+        for (const index of this.#prerendered.keys()) this.#evict(index)
         this.#view = null
-        this.sections[this.#index]?.unload?.()
         this.#mediaQuery.removeEventListener('change', this.#mediaQueryListener)
     }
 }
@@ -0,0 +1,139 @@
+// detect comic panels by finding gutters, using recursive XY-cut:
+// split the page into rows at horizontal gutters, then split each row into
+// columns at vertical gutters, and so on, until no more gutters can be found
+
+// size of the downscaled image that is analyzed
+const MAX_SIZE = 400
+
+// max difference in luminance from the background for a pixel to be in a gutter
+const TOLERANCE = 24
+
+// fraction of a line that must be background for it to be a gutter
+const GUTTER_RATIO = 0.98
+
+// panels smaller than this fraction of the page (in either dimension) are dropped
+const MIN_PANEL_SIZE = 0.04
+
+const MAX_DEPTH = 6
+
+const getLuminance = (data, width, height) => {
+    const lum = new Uint8Array(width * height)
+    for (let i = 0; i < lum.length; i++) {
+        const j = i * 4
+        // treat transparent pixels as white
+        lum[i] = data[j + 3] < 128 ? 255
+            : (data[j] * 299 + data[j + 1] * 587 + data[j + 2] * 114) / 1000
+    }
+    return lum
+}
+
+// the most common luminance along the edges of the page
+const getBackground = (lum, width, height) => {
+    const histogram = new Uint32Array(256)
+    for (let x = 0; x < width; x++) {
+        histogram[lum[x]]++
+        histogram[lum[(height - 1) * width + x]]++
+    }
+    for (let y = 0; y < height; y++) {
+        histogram[lum[y * width]]++
+        histogram[lum[y * width + width - 1]]++
+    }
+    return histogram.indexOf(Math.max(...histogram))
+}
+
+// summed-area table of gutter pixels, so that any rectangle can be counted quickly
+const makeCounter = (lum, width, height, background) => {
+    const w = width + 1
+    const table = new Uint32Array(w * (height + 1))
+    for (let y = 0; y < height; y++) {
+        let row = 0
+        for (let x = 0; x < width; x++) {
+            if (Math.abs(lum[y * width + x] - background) <= TOLERANCE) row++
+            table[(y + 1) * w + x + 1] = table[y * w + x + 1] + row
+        }
+    }
+    return (x0, y0, x1, y1) => table[y1 * w + x1] - table[y0 * w + x1]
+        - table[y1 * w + x0] + table[y0 * w + x0]
+}
+
+/**
+ * Detect panels in a comic page.
+ * @param {CanvasImageSource} image
+ * @param {{ rtl?: boolean }} [options]
+ * @returns {{ x: number, y: number, width: number, height: number }[]}
+ * rectangles in reading order, in fractions of the page size
+ */
+export const detectPanels = (image, { rtl = false } = {}) => {
+    const naturalWidth = image.naturalWidth ?? image.width
+    const naturalHeight = image.naturalHeight ?? image.height
+    if (!naturalWidth || !naturalHeight) return [{ x: 0, y: 0, width: 1, height: 1 }]
+    const scale = Math.min(1, MAX_SIZE / Math.max(naturalWidth, naturalHeight))
+    const width = Math.max(1, Math.round(naturalWidth * scale))
+    const height = Math.max(1, Math.round(naturalHeight * scale))
+
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    const ctx = canvas.getContext('2d', { willReadFrequently: true })
+    ctx.drawImage(image, 0, 0, width, height)
+    const lum = getLuminance(ctx.getImageData(0, 0, width, height).data, width, height)
+    const count = makeCounter(lum, width, height, getBackground(lum, width, height))
+
+    const minWidth = width * MIN_PANEL_SIZE
+    const minHeight = height * MIN_PANEL_SIZE
+
+    // shrink a rectangle to exclude gutters around it
+    const trim = ({ x0, y0, x1, y1 }) => {
+        const isEmptyRow = y => count(x0, y, x1, y + 1) === x1 - x0
+        const isEmptyColumn = x => count(x, y0, x + 1, y1) === y1 - y0
+        while (y0 < y1 && isEmptyRow(y0)) y0++
+        while (y1 > y0 && isEmptyRow(y1 - 1)) y1--
+        while (x0 < x1 && isEmptyColumn(x0)) x0++
+        while (x1 > x0 && isEmptyColumn(x1 - 1)) x1--
+        return { x0, y0, x1, y1 }
+    }
+
+    // split a rectangle at gutters, either horizontal or vertical
+    const split = (rect, horizontal) => {
+        const { x0, y0, x1, y1 } = rect
+        const [start, end] = horizontal ? [y0, y1] : [x0, x1]
+        const isGutter = horizontal
+            ? y => count(x0, y, x1, y + 1) >= (x1 - x0) * GUTTER_RATIO
+            : x => count(x, y0, x + 1, y1) >= (y1 - y0) * GUTTER_RATIO
+        const min = horizontal ? minHeight : minWidth
+        const parts = []
+        let partStart = null
+        for (let i = start; i <= end; i++) {
+            if (i < end && !isGutter(i)) {
+                partStart ??= i
+                continue
+            }
+            if (partStart != null && i - partStart >= min) parts.push(horizontal
+                ? { x0, y0: partStart, x1, y1: i }
+                : { x0: partStart, y0, x1: i, y1 })
+            partStart = null
+        }
+        return parts
+    }
+
+    const cut = (rect, depth) => {
+        rect = trim(rect)
+        if (rect.x1 - rect.x0 < minWidth || rect.y1 - rect.y0 < minHeight) return []
+        if (depth < MAX_DEPTH) for (const horizontal of [true, false]) {
+            const parts = split(rect, horizontal)
+            if (parts.length < 2) continue
+            if (!horizontal && rtl) parts.reverse()
+            return parts.flatMap(part => cut(part, depth + 1))
+        }
+        return [rect]
+    }
+
+    const panels = cut({ x0: 0, y0: 0, x1: width, y1: height }, 0)
+        .map(({ x0, y0, x1, y1 }) => ({
+            x: x0 / width,
+            y: y0 / height,
+            width: (x1 - x0) / width,
+            height: (y1 - y0) / height,
+        }))
+    return panels.length ? panels : [{ x: 0, y: 0, width: 1, height: 1 }]
+}
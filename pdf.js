@@ -1,3 +1,5 @@
+import { reflow as reflowPages } from './reflow.js'
+
 const pdfjsPath = path => new URL(`vendor/pdfjs/${path}`, import.meta.url).toString()
 
 import './vendor/pdfjs/pdf.mjs'
@@ -12,27 +14,49 @@ const textLayerBuilderCSS = await fetchText(pdfjsPath('text_layer_builder.css'))
 // https://github.com/mozilla/pdf.js/blob/642b9a5ae67ef642b9a8808fd9efd447e8c350e2/web/annotation_layer_builder.css
 const annotationLayerBuilderCSS = await fetchText(pdfjsPath('annotation_layer_builder.css'))
 
-const render = async (page, doc, zoom) => {
+// pdf.js's `TextLayer` stops after this many items
+const MAX_TEXT_DIVS = 100000
+
+const getPageHTML = viewport => `
+    <!DOCTYPE html>
+    <html lang="en">
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=${viewport.width}, height=${viewport.height}">
+    <style>
+    html, body {
+        margin: 0;
+        padding: 0;
+    }
+    ${textLayerBuilderCSS}
+    ${annotationLayerBuilderCSS}
+    </style>
+    <div id="canvas"></div>
+    <div class="textLayer"></div>
+    <div class="annotationLayer"></div>
+`
+
+const setScale = (doc, zoom) => {
     const scale = zoom * devicePixelRatio
     doc.documentElement.style.transform = `scale(${1 / devicePixelRatio})`
     doc.documentElement.style.transformOrigin = 'top left'
     doc.documentElement.style.setProperty('--scale-factor', scale)
-    const viewport = page.getViewport({ scale })
+    return scale
+}
 
-    // the canvas must be in the `PDFDocument`'s `ownerDocument`
-    // (`globalThis.document` by default); that's where the fonts are loaded
-    const canvas = document.createElement('canvas')
-    canvas.height = viewport.height
-    canvas.width = viewport.width
-    const canvasContext = canvas.getContext('2d')
-    await page.render({ canvasContext, viewport }).promise
-    doc.querySelector('#canvas').replaceChildren(doc.adoptNode(canvas))
+// the text and annotation layers are rendered only once for each document,
+// and merely updated on zoom, so that ranges in them (e.g. highlights) stay valid
+const layers = new WeakMap()
 
+const renderLayers = async (page, doc) => {
+    const viewport = page.getViewport({ scale: setScale(doc, 1) })
     const container = doc.querySelector('.textLayer')
     const textLayer = new pdfjsLib.TextLayer({
         textContentSource: await page.streamTextContent(),
         container, viewport,
     })
+    const div = doc.querySelector('.annotationLayer')
+    const annotationLayer = new pdfjsLib.AnnotationLayer({ page, viewport, div })
+    layers.set(doc, { textLayer, annotationLayer })
     await textLayer.render()
 
     // hide "offscreen" canvases appended to docuemnt when rendering text layer
@@ -56,17 +80,35 @@ const render = async (page, doc, zoom) => {
     container.onpointerdown = () => container.classList.add('selecting')
     container.onpointerup = () => container.classList.remove('selecting')
 
-    const div = doc.querySelector('.annotationLayer')
-    await new pdfjsLib.AnnotationLayer({ page, viewport, div }).render({
+    await annotationLayer.render({
         annotations: await page.getAnnotations(),
         linkService: {
             goToDestination: () => {},
             getDestinationHash: dest => JSON.stringify(dest),
+            getAnchorUrl: () => '#',
             addLinkAttributes: (link, url) => link.href = url,
+            executeNamedAction: () => {},
+            executeSetOCGState: () => {},
         },
     })
 }
 
+const render = async (page, doc, zoom) => {
+    const viewport = page.getViewport({ scale: setScale(doc, zoom) })
+    const { textLayer, annotationLayer } = layers.get(doc) ?? {}
+    textLayer?.update({ viewport })
+    annotationLayer?.update({ viewport })
+
+    // the canvas must be in the `PDFDocument`'s `ownerDocument`
+    // (`globalThis.document` by default); that's where the fonts are loaded
+    const canvas = document.createElement('canvas')
+    canvas.height = viewport.height
+    canvas.width = viewport.width
+    const canvasContext = canvas.getContext('2d')
+    await page.render({ canvasContext, viewport }).promise
+    doc.querySelector('#canvas').replaceChildren(doc.adoptNode(canvas))
+}
+
 const renderPage = async (page, getImageBlob) => {
     const viewport = page.getViewport({ scale: 1 })
     if (getImageBlob) {
@@ -77,46 +119,278 @@ const renderPage = async (page, getImageBlob) => {
         await page.render({ canvasContext, viewport }).promise
         return new Promise(resolve => canvas.toBlob(resolve))
     }
-    const src = URL.createObjectURL(new Blob([`
-        <!DOCTYPE html>
-        <html lang="en">
-        <meta charset="utf-8">
-        <meta name="viewport" content="width=${viewport.width}, height=${viewport.height}">
-        <style>
-        html, body {
-            margin: 0;
-            padding: 0;
-        }
-        ${textLayerBuilderCSS}
-        ${annotationLayerBuilderCSS}
-        </style>
-        <div id="canvas"></div>
-        <div class="textLayer"></div>
-        <div class="annotationLayer"></div>
-    `], { type: 'text/html' }))
+    const src = URL.createObjectURL(new Blob([getPageHTML(viewport)], { type: 'text/html' }))
+    const onLoad = ({ doc }) => renderLayers(page, doc)
     const onZoom = ({ doc, scale }) => render(page, doc, scale)
-    return { src, onZoom }
+    return { src, onLoad, onZoom }
+}
+
+// make a document with the text of the page, structured in the same way as
+// the text layer rendered by `TextLayer`, so that ranges in it map to the page
+const makeDocument = async page => {
+    const doc = new DOMParser().parseFromString(
+        getPageHTML(page.getViewport({ scale: 1 })), 'text/html')
+    const container = doc.querySelector('.textLayer')
+    const { items } = await page.getTextContent()
+    for (const { str, dir, hasEOL } of items.slice(0, MAX_TEXT_DIVS + 1)) {
+        if (str) {
+            const span = doc.createElement('span')
+            span.setAttribute('role', 'presentation')
+            span.textContent = str
+            span.dir = dir
+            container.append(span)
+        }
+        if (hasEOL) {
+            const br = doc.createElement('br')
+            br.setAttribute('role', 'presentation')
+            container.append(br)
+        }
+    }
+    const endOfContent = doc.createElement('div')
+    endOfContent.className = 'endOfContent'
+    container.append(endOfContent)
+    return doc
+}
+
+// https://opensource.adobe.com/dc-acrobat-sdk-docs/standards/pdfstandards/pdf/PDF32000_2008.pdf#G11.2027085
+const ANNOTATION_TYPES = {
+    1: 'note', // Text
+    9: 'highlight',
+    10: 'underline',
+    11: 'squiggly',
+    12: 'strikethrough', // StrikeOut
+    15: 'ink',
+}
+
+const getDate = str => {
+    try {
+        return pdfjsLib.PDFDateString.toDateObject(str)?.toISOString()
+    } catch {
+        return
+    }
 }
 
+// get annotations stored in the file, with coordinates in fractions of the page
+const getAnnotations = async page => {
+    const viewport = page.getViewport({ scale: 1 })
+    const toPoint = (x, y) => {
+        const [vx, vy] = viewport.convertToViewportPoint(x, y)
+        return { x: vx / viewport.width, y: vy / viewport.height }
+    }
+    const toRect = points => {
+        const xs = points.map(p => p.x), ys = points.map(p => p.y)
+        const x = Math.min(...xs), y = Math.min(...ys)
+        return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y }
+    }
+    const toPoints = arr => Array.from({ length: arr.length / 2 },
+        (_, i) => toPoint(arr[i * 2], arr[i * 2 + 1]))
+    return (await page.getAnnotations()).flatMap(data => {
+        const type = ANNOTATION_TYPES[data.annotationType]
+        // skip those with the "Hidden" or "NoView" flags
+        if (!type || data.annotationFlags & 0x22) return []
+        const { id, rect, quadPoints, inkLists, color } = data
+        // each quadrilateral is a line or part of a line of marked text
+        const rects = quadPoints?.length
+            ? Array.from({ length: quadPoints.length / 8 }, (_, i) =>
+                toRect(toPoints(quadPoints.subarray(i * 8, i * 8 + 8))))
+            : [toRect(toPoints(rect))]
+        return [{
+            id, type, rects,
+            paths: type === 'ink' ? inkLists?.map(toPoints) : undefined,
+            color: color ? `rgb(${Array.from(color).join(', ')})` : undefined,
+            note: data.contentsObj?.str || undefined,
+            author: data.titleObj?.str || undefined,
+            modified: getDate(data.modificationDate),
+        }]
+    })
+}
+
+const getColor = color => color && Array.from(color).some(x => x)
+    ? `rgb(${Array.from(color).join(', ')})` : undefined
+
 const makeTOCItem = item => ({
     label: item.title,
-    href: JSON.stringify(item.dest),
+    href: item.dest ? JSON.stringify(item.dest) : item.url ?? undefined,
     subitems: item.items.length ? item.items.map(makeTOCItem) : null,
+    // a positive count means the item is expanded by default
+    open: item.items.length ? item.count > 0 : undefined,
+    bold: item.bold || undefined,
+    italic: item.italic || undefined,
+    color: getColor(item.color),
 })
 
-export const makePDF = async file => {
+// get the vertical position of a destination, as a fraction of the page
+const getDestFraction = (page, [, { name } = {}, ...args]) => {
+    const top = name === 'XYZ' ? args[1]
+        : name === 'FitH' || name === 'FitBH' ? args[0]
+        : name === 'FitR' ? args[3] : null
+    if (typeof top !== 'number') return
+    const viewport = page.getViewport({ scale: 1 })
+    const [, y] = viewport.convertToViewportPoint(0, top)
+    return Math.max(0, Math.min(1, y / viewport.height))
+}
+
+// images smaller than this fraction of the page are skipped when reflowing
+const MIN_IMAGE_SIZE = 0.03
+// resolution of images cropped from pages when reflowing
+const IMAGE_SCALE = 2
+// when reflowing, pages are grouped into sections, so that paragraphs can
+// continue across pages; sections start at top level outline items
+const MAX_PAGES_PER_SECTION = 20
+
+// pages without text, such as scanned pages, still count for something
+const MIN_PAGE_SIZE = 500
+
+const getPageSize = async page => {
+    const { items } = await page.getTextContent()
+    return Math.max(MIN_PAGE_SIZE, items.reduce((n, item) => n + (item.str?.length ?? 0), 0))
+}
+
+// get text runs and images of a page for reflowing, in viewport coordinates
+const getPageContent = async page => {
+    const { Util, OPS } = pdfjsLib
+    const viewport = page.getViewport({ scale: 1 })
+    const { width, height } = viewport
+
+    const { items, styles } = await page.getTextContent()
+    const runs = []
+    let space = false
+    for (const item of items) {
+        if (item.str === undefined) continue
+        if (!item.str.trim()) {
+            space = true
+            continue
+        }
+        const tx = Util.transform(viewport.transform, item.transform)
+        const fontSize = Math.hypot(tx[2], tx[3])
+        const style = styles[item.fontName]
+        // only horizontal text is supported
+        if (style?.vertical || tx[0] <= 0 || Math.abs(tx[1]) > fontSize * 0.01) {
+            space = false
+            continue
+        }
+        const [x, baseline] = [tx[4], tx[5]]
+        runs.push({
+            str: item.str, space, fontSize, baseline,
+            x0: x, x1: x + item.width * viewport.scale,
+            y0: baseline - fontSize * (style?.ascent || 0.8),
+            y1: baseline - fontSize * (style?.descent || -0.2),
+            rtl: item.dir === 'rtl',
+        })
+        space = item.hasEOL || /\s$/.test(item.str)
+    }
+
+    // images are drawn in the unit square of the current transformation matrix
+    const { fnArray, argsArray } = await page.getOperatorList({
+        annotationMode: pdfjsLib.AnnotationMode.DISABLE })
+    const stack = []
+    let ctm = viewport.transform
+    let boxes = []
+    for (const [i, fn] of fnArray.entries()) switch (fn) {
+        case OPS.save:
+            stack.push(ctm)
+            break
+        case OPS.restore:
+            ctm = stack.pop() ?? ctm
+            break
+        case OPS.transform:
+            ctm = Util.transform(ctm, argsArray[i])
+            break
+        case OPS.paintFormXObjectBegin:
+            stack.push(ctm)
+            if (argsArray[i][0]) ctm = Util.transform(ctm, argsArray[i][0])
+            break
+        case OPS.paintFormXObjectEnd:
+            ctm = stack.pop() ?? ctm
+            break
+        case OPS.paintImageXObject:
+        case OPS.paintInlineImageXObject:
+        case OPS.paintImageMaskXObject: {
+            const [x0, y0, x1, y1] = Util.getAxialAlignedBoundingBox([0, 0, 1, 1], ctm)
+            boxes.push({
+                x0: Math.max(0, x0), y0: Math.max(0, y0),
+                x1: Math.min(width, x1), y1: Math.min(height, y1),
+            })
+        }
+    }
+    // skip tiny images, and images covering the page if there's text,
+    // which are most likely scans with OCR'd text
+    boxes = boxes.filter(({ x0, y0, x1, y1 }) =>
+        x1 - x0 > width * MIN_IMAGE_SIZE && y1 - y0 > height * MIN_IMAGE_SIZE
+        && !(runs.length && (x1 - x0) * (y1 - y0) > width * height * 0.8))
+    // skip images inside other images, as they're cropped from the rendered page anyway;
+    // of identical boxes, e.g. an image and its mask, keep the first one
+    const contains = (a, b) => a.x0 <= b.x0 && a.y0 <= b.y0 && a.x1 >= b.x1 && a.y1 >= b.y1
+    const images = boxes.filter((a, i) => !boxes.some((b, j) => j !== i
+        && contains(b, a) && !(j > i && contains(a, b))))
+
+    const rtl = runs.filter(run => run.rtl).length > runs.length / 2
+    return { width, height, runs, images, rtl }
+}
+
+// render the page, and cut the images out of it
+const cropImages = async (page, images) => {
+    const viewport = page.getViewport({ scale: IMAGE_SCALE })
+    const canvas = document.createElement('canvas')
+    canvas.width = viewport.width
+    canvas.height = viewport.height
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise
+    return Promise.all(images.map(({ x0, y0, x1, y1 }) => {
+        const crop = document.createElement('canvas')
+        crop.width = Math.round((x1 - x0) * IMAGE_SCALE)
+        crop.height = Math.round((y1 - y0) * IMAGE_SCALE)
+        crop.getContext('2d').drawImage(canvas, x0 * IMAGE_SCALE, y0 * IMAGE_SCALE,
+            crop.width, crop.height, 0, 0, crop.width, crop.height)
+        return new Promise(resolve => crop.toBlob(resolve))
+    }))
+}
+
+const getReflowHTML = body => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<style>
+figure {
+    margin: 1em 0;
+    text-align: center;
+}
+img {
+    max-width: 100%;
+    height: auto;
+}
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`
+
+export const makePDF = async (file, { getPassword, reflow } = {}) => {
     const transport = new pdfjsLib.PDFDataRangeTransport(file.size, [])
     transport.requestDataRange = (begin, end) => {
         file.slice(begin, end).arrayBuffer().then(chunk => {
             transport.onDataRange(begin, chunk)
         })
     }
-    const pdf = await pdfjsLib.getDocument({
+    const task = pdfjsLib.getDocument({
         range: transport,
         cMapUrl: pdfjsPath('cmaps/'),
         standardFontDataUrl: pdfjsPath('standard_fonts/'),
         isEvalSupported: false,
-    }).promise
+    })
+    const pdf = await new Promise((resolve, reject) => {
+        // this is called again if the password is incorrect
+        if (getPassword) task.onPassword = (updatePassword, reason) => {
+            getPassword(reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD
+                ? 'incorrect' : 'required')
+                .then(updatePassword)
+                .catch(e => {
+                    task.destroy()
+                    reject(e)
+                })
+        }
+        task.promise.then(resolve, reject)
+    })
 
     const book = { rendition: { layout: 'pre-paginated' } }
 
@@ -138,6 +412,130 @@ export const makePDF = async file => {
     const outline = await pdf.getOutline()
     book.toc = outline?.map(makeTOCItem)
 
+    // page labels are the printed page numbers, e.g. roman numerals for front matter
+    const labels = await pdf.getPageLabels()
+    book.pageList = Array.from({ length: pdf.numPages }, (_, i) => ({
+        label: labels?.[i] || String(i + 1),
+        href: JSON.stringify(i),
+    }))
+
+    // pages count as `MIN_PAGE_SIZE` until they're measured, which is done
+    // one page at a time, so as not to block opening or flood the worker
+    const sizes = new Array(pdf.numPages).fill(MIN_PAGE_SIZE)
+    let destroyed = false
+    let measuring
+    book.measureSizes = () => measuring ??= (async () => {
+        for (let i = 0; i < pdf.numPages && !destroyed; i++)
+            sizes[i] = await pdf.getPage(i + 1).then(getPageSize)
+                .catch(() => MIN_PAGE_SIZE)
+    })()
+
+    book.isExternal = uri => /^\w+:/i.test(uri)
+    // `href` is either the JSON of a destination, which may be a named one,
+    // or the index of a page, as used in the page list
+    const resolveDest = async href => {
+        const parsed = JSON.parse(href)
+        if (typeof parsed === 'number') return { index: parsed }
+        const dest = typeof parsed === 'string'
+            ? await pdf.getDestination(parsed) : parsed
+        if (!Array.isArray(dest)) throw new Error(`Could not resolve destination ${href}`)
+        const [ref] = dest
+        const index = Number.isInteger(ref) ? ref : await pdf.getPageIndex(ref)
+        return { index, dest }
+    }
+    book.getCover = async () => renderPage(await pdf.getPage(1), true)
+    book.destroy = () => {
+        destroyed = true
+        return pdf.destroy()
+    }
+
+    if (reflow) {
+        const starts = new Set()
+        for (const item of outline ?? []) {
+            if (!item.dest) continue
+            try {
+                starts.add((await resolveDest(JSON.stringify(item.dest))).index)
+            } catch (e) {
+                console.warn(e)
+            }
+        }
+        const groups = []
+        for (let i = 0; i < pdf.numPages; i++) {
+            const last = groups[groups.length - 1]
+            if (!last || starts.has(i) || last.length >= MAX_PAGES_PER_SECTION) groups.push([i])
+            else last.push(i)
+        }
+        const sectionOf = []
+        for (const [i, group] of groups.entries())
+            for (const page of group) sectionOf[page] = i
+
+        // images are only cropped for rendering; they're left empty for searching
+        const reflowGroup = (group, urls) => Promise.all(group.map(async i => {
+            const page = await pdf.getPage(i + 1)
+            const content = await getPageContent(page)
+            const blobs = urls && content.images.length
+                ? await cropImages(page, content.images) : []
+            const images = content.images.map((image, j) => {
+                if (!blobs[j]) return image
+                const src = URL.createObjectURL(blobs[j])
+                urls.push(src)
+                return { ...image, src }
+            })
+            return { ...content, images, id: `page-${i}`, label: book.pageList[i].label }
+        })).then(pages => getReflowHTML(reflowPages(pages).html))
+
+        const cache = new Map()
+        book.rendition = { layout: 'reflowable' }
+        book.sections = groups.map((group, i) => ({
+            id: i,
+            load: () => {
+                if (cache.has(i)) return cache.get(i).promise
+                const urls = []
+                const promise = reflowGroup(group, urls).then(html => {
+                    const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }))
+                    urls.push(url)
+                    return url
+                }).catch(e => {
+                    // don't keep the failure, so that loading can be retried
+                    for (const url of urls) URL.revokeObjectURL(url)
+                    if (cache.get(i)?.promise === promise) cache.delete(i)
+                    throw e
+                })
+                cache.set(i, { promise, urls })
+                return promise
+            },
+            unload: () => {
+                for (const url of cache.get(i)?.urls ?? []) URL.revokeObjectURL(url)
+                cache.delete(i)
+            },
+            createDocument: async () => new DOMParser()
+                .parseFromString(await reflowGroup(group), 'text/html'),
+            get size() {
+                return group.reduce((n, page) => n + sizes[page], 0)
+            },
+        }))
+        book.resolveHref = async href => {
+            const { index } = await resolveDest(href)
+            const id = `page-${index}`
+            return { index: sectionOf[index], anchor: doc => doc.getElementById(id) }
+        }
+        book.splitTOCHref = async href => {
+            try {
+                const { index } = await resolveDest(href)
+                return [sectionOf[index], `page-${index}`]
+            } catch {
+                return null
+            }
+        }
+        book.getTOCFragment = (doc, id) => doc.getElementById(id)
+        const destroy = book.destroy
+        book.destroy = () => {
+            for (const i of cache.keys()) book.sections[i].unload()
+            return destroy()
+        }
+        return book
+    }
+
     const cache = new Map()
     book.sections = Array.from({ length: pdf.numPages }).map((_, i) => ({
         id: i,
@@ -148,25 +546,25 @@ export const makePDF = async file => {
             cache.set(i, url)
             return url
         },
-        size: 1000,
+        createDocument: async () => makeDocument(await pdf.getPage(i + 1)),
+        getAnnotations: async () => getAnnotations(await pdf.getPage(i + 1)),
+        get size() {
+            return sizes[i]
+        },
     }))
-    book.isExternal = uri => /^\w+:/i.test(uri)
     book.resolveHref = async href => {
-        const parsed = JSON.parse(href)
-        const dest = typeof parsed === 'string'
-            ? await pdf.getDestination(parsed) : parsed
-        const index = await pdf.getPageIndex(dest[0])
-        return { index }
+        const { index, dest } = await resolveDest(href)
+        const anchor = dest ? getDestFraction(await pdf.getPage(index + 1), dest) : undefined
+        return { index, anchor }
     }
     book.splitTOCHref = async href => {
-        const parsed = JSON.parse(href)
-        const dest = typeof parsed === 'string'
-            ? await pdf.getDestination(parsed) : parsed
-        const index = await pdf.getPageIndex(dest[0])
-        return [index, null]
+        try {
+            const { index } = await resolveDest(href)
+            return [index, null]
+        } catch {
+            return null
+        }
     }
     book.getTOCFragment = doc => doc.documentElement
-    book.getCover = async () => renderPage(await pdf.getPage(1), true)
-    book.destroy = () => pdf.destroy()
     return book
 }
@@ -57,9 +57,13 @@ export class TOCProgress {
 
 export class SectionProgress {
     constructor(sections, sizePerLoc, sizePerTimeUnit) {
-        this.sizes = sections.map(s => s.linear != 'no' && s.size > 0 ? s.size : 0)
         this.sizePerLoc = sizePerLoc
         this.sizePerTimeUnit = sizePerTimeUnit
+        this.update(sections)
+    }
+    // recompute everything from the sizes of the sections, if they've changed
+    update(sections) {
+        this.sizes = sections.map(s => s.linear != 'no' && s.size > 0 ? s.size : 0)
         this.sizeTotal = this.sizes.reduce((a, b) => a + b, 0)
         this.sectionFractions = this.#getSectionFractions()
     }
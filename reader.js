@@ -3,10 +3,11 @@ import { createTOCView } from './ui/tree.js'
 import { createMenu } from './ui/menu.js'
 import { Overlayer } from './overlayer.js'
 
-const getCSS = ({ spacing, justify, hyphenate }) => `
+const getCSS = ({ spacing, justify, hyphenate, scale }) => `
     @namespace epub "http://www.idpf.org/2007/ops";
     html {
         /* color-scheme: light dark; */
+        font-size: ${scale * 100}%;
     }
     /* https://github.com/whatwg/html/issues/5426 */
     @media (prefers-color-scheme: dark) {
@@ -68,6 +69,7 @@ class Reader {
         spacing: 1.4,
         justify: true,
         hyphenate: true,
+        scale: 1,
     }
     annotations = new Map()
     annotationsByValue = new Map()
@@ -105,9 +107,9 @@ class Reader {
     }
     async open(file) {
         this.view = document.createElement('foliate-view')
+        this.view.setAttribute('handle-input', '')
         document.body.append(this.view)
         await this.view.open(file)
-        this.view.addEventListener('load', this.#onLoad.bind(this))
         this.view.addEventListener('relocate', this.#onRelocate.bind(this))
 
         const { book } = this.view
@@ -118,6 +120,10 @@ class Reader {
             })
         })
         this.view.renderer.setStyles?.(getCSS(this.style))
+        this.view.addEventListener('scale', ({ detail }) => {
+            this.style.scale = detail.scale
+            this.view.renderer.setStyles?.(getCSS(this.style))
+        })
         this.view.renderer.next()
 
         $('#header-bar').style.visibility = 'visible'
@@ -187,13 +193,12 @@ class Reader {
         }
     }
     #handleKeydown(event) {
+        // keys in the view are handled by the view itself
+        if (event.target === this.view) return
         const k = event.key
         if (k === 'ArrowLeft' || k === 'h') this.view.goLeft()
         else if(k === 'ArrowRight' || k === 'l') this.view.goRight()
     }
-    #onLoad({ detail: { doc } }) {
-        doc.addEventListener('keydown', this.#handleKeydown.bind(this))
-    }
     #onRelocate({ detail }) {
         const { fraction, location, tocItem, pageItem } = detail
         const percent = percentFormat.format(fraction)
@@ -0,0 +1,282 @@
+// reconstruct reflowable text from text runs positioned on pages, e.g. in PDFs:
+// runs are joined into lines; lines and images are put in reading order by
+// recursively cutting the page into rows and columns; and lines are then
+// joined into paragraphs and headings
+
+const escapeHTML = str => str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+// the following are in units of the font size
+
+// runs farther apart than this are not in the same line;
+// this is also the minimum width of the gutter between columns
+const MAX_WORD_GAP = 1.2
+// runs farther apart than this are separated by a space
+const MIN_SPACE_GAP = 0.15
+// lines farther apart than this are in different paragraphs
+const MAX_LINE_GAP = 0.8
+// lines indented more than this start new paragraphs
+const MIN_INDENT = 0.8
+// lines shorter than the paragraph by this much can end the paragraph
+const MIN_SHORTFALL = 2
+
+// fraction of the page height where running heads and page numbers are
+const MARGIN = 0.07
+
+// minimum font size, relative to the body text, for headings of each level
+const HEADING_RATIOS = [1.8, 1.4, 1.15]
+const MAX_HEADING_LENGTH = 200
+
+const isCJK = str =>
+    /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(str)
+const endsSentence = str => /[.!?:;。！？…"'”’)\]]$/.test(str)
+
+// the font size used by most of the text
+const getBodySize = lines => {
+    const sorted = lines.slice().sort((a, b) => a.fontSize - b.fontSize)
+    const total = sorted.reduce((n, line) => n + line.text.length, 0)
+    let sum = 0
+    for (const line of sorted) if ((sum += line.text.length) >= total / 2) return line.fontSize
+    return sorted[0]?.fontSize ?? 0
+}
+
+const joinRuns = runs => {
+    let text = ''
+    let prev
+    for (const run of runs) {
+        const gap = prev ? run.x0 - prev.x1 : 0
+        if (prev && (run.space || gap > MIN_SPACE_GAP * run.fontSize)
+        && !(isCJK(text.slice(-1)) && isCJK(run.str[0]))) text += ' '
+        text += run.str
+        prev = run
+    }
+    return text.replace(/\s+/g, ' ').trim()
+}
+
+// group runs into lines, by their baselines and horizontal distances
+const makeLines = runs => {
+    const lines = []
+    const sorted = runs.slice().sort((a, b) => a.baseline - b.baseline || a.x0 - b.x0)
+    for (const run of sorted) {
+        let line
+        for (let i = lines.length - 1; i >= 0; i--) {
+            const size = Math.max(lines[i].maxSize, run.fontSize)
+            if (lines[i].baseline < run.baseline - size) break
+            const maxGap = size * MAX_WORD_GAP
+            if (Math.abs(lines[i].baseline - run.baseline) < size / 2
+            && run.x0 - lines[i].x1 < maxGap && lines[i].x0 - run.x1 < maxGap) {
+                line = lines[i]
+                break
+            }
+        }
+        if (line) {
+            line.runs.push(run)
+            line.x0 = Math.min(line.x0, run.x0)
+            line.x1 = Math.max(line.x1, run.x1)
+            line.y0 = Math.min(line.y0, run.y0)
+            line.y1 = Math.max(line.y1, run.y1)
+            line.maxSize = Math.max(line.maxSize, run.fontSize)
+        }
+        else lines.push({
+            runs: [run], baseline: run.baseline, maxSize: run.fontSize,
+            x0: run.x0, x1: run.x1, y0: run.y0, y1: run.y1,
+        })
+    }
+    for (const line of lines) {
+        line.runs.sort((a, b) => a.x0 - b.x0)
+        line.text = joinRuns(line.runs)
+        // the size of most of the characters, ignoring e.g. superscripts
+        const sizes = new Map()
+        for (const run of line.runs)
+            sizes.set(run.fontSize, (sizes.get(run.fontSize) ?? 0) + run.str.length)
+        line.fontSize = [...sizes].reduce((a, b) => b[1] > a[1] ? b : a)[0]
+    }
+    return lines.filter(line => line.text)
+}
+
+// get the gaps between the horizontal extents of the boxes
+const getGaps = (boxes, min) => {
+    const sorted = boxes.slice().sort((a, b) => a.x0 - b.x0)
+    const gaps = []
+    let end = sorted[0].x1
+    for (const { x0, x1 } of sorted.slice(1)) {
+        if (x0 - end >= min) gaps.push([end, x0])
+        end = Math.max(end, x1)
+    }
+    return gaps
+}
+
+// get the parts of the gap that are not covered by the boxes
+const narrowGap = ([a, b], boxes, min) => {
+    const result = []
+    let start = a
+    for (const { x0, x1 } of boxes
+        .filter(box => box.x1 > a && box.x0 < b)
+        .sort((p, q) => p.x0 - q.x0)) {
+        if (x0 - start >= min) result.push([start, x0])
+        start = Math.max(start, x1)
+    }
+    if (b - start >= min) result.push([start, b])
+    return result
+}
+
+// split boxes into rows, with gaps between them
+const getRows = boxes => {
+    const rows = []
+    let row, end = -Infinity
+    for (const box of boxes.slice().sort((a, b) => a.y0 - b.y0)) {
+        if (box.y0 >= end) rows.push(row = [])
+        row.push(box)
+        end = Math.max(end, box.y1)
+    }
+    return rows
+}
+
+// put boxes in reading order; consecutive rows sharing the same gutters
+// are grouped together, and then split into columns at the gutters,
+// which avoids splitting columns at paragraph breaks that happen to align
+const order = (boxes, min, rtl) => {
+    const groups = []
+    for (const row of getRows(boxes)) {
+        const last = groups[groups.length - 1]
+        if (last?.gaps.length) {
+            const gaps = last.gaps.flatMap(gap => narrowGap(gap, row, min))
+            if (gaps.length) {
+                last.boxes.push(...row)
+                last.gaps = gaps
+                continue
+            }
+        }
+        groups.push({ boxes: row, gaps: getGaps(row, min) })
+    }
+    return groups.flatMap(({ boxes, gaps }) => {
+        if (!gaps.length) return boxes.sort((a, b) => a.y0 - b.y0
+            || (rtl ? b.x0 - a.x0 : a.x0 - b.x0))
+        const columns = gaps.map(() => []).concat([[]])
+        for (const box of boxes) columns[gaps.filter(([a]) => box.x0 >= a).length].push(box)
+        if (rtl) columns.reverse()
+        return columns.flatMap(column => order(column, min, rtl))
+    })
+}
+
+// remove running heads and page numbers, i.e., lines in the margins
+// that are either numbers, or repeated on other pages (ignoring numbers)
+const removeRunningHeads = pages => {
+    const normalize = text => text.replace(/\d+/g, '#').trim()
+    const isMargin = (line, height) => line.y1 < height * MARGIN
+        || line.y0 > height * (1 - MARGIN)
+    const counts = new Map()
+    for (const { lines, height } of pages) {
+        const set = new Set(lines.filter(line => isMargin(line, height))
+            .map(line => normalize(line.text)))
+        for (const text of set) counts.set(text, (counts.get(text) ?? 0) + 1)
+    }
+    for (const page of pages) page.lines = page.lines.filter(line =>
+        !isMargin(line, page.height) || !(/^[#\s.\-–—]*$|^[ivxlcdm]+$/i.test(line.text)
+            || counts.get(normalize(line.text)) > 1))
+}
+
+const joinLines = (a, b) => {
+    if (/\p{L}-$/u.test(a) && /^\p{Ll}/u.test(b)) return a.slice(0, -1) + b
+    if (isCJK(a.slice(-1)) && isCJK(b[0])) return a + b
+    return a + ' ' + b
+}
+
+// whether a line continues the paragraph
+const continues = (para, line) => {
+    const { last } = para
+    const size = last.fontSize
+    if (Math.abs(line.fontSize - size) > size * 0.15) return false
+    // continued in the next column or page
+    if (para.broken || line.y0 < last.y0) return !endsSentence(last.text)
+    if (line.y0 - last.y1 > size * MAX_LINE_GAP) return false
+    if (line.x0 - last.x0 > size * MIN_INDENT) return false
+    if (last.x1 < Math.max(para.x1, line.x1) - size * MIN_SHORTFALL
+        && endsSentence(last.text)) return false
+    return true
+}
+
+/**
+ * Make reflowable HTML from pages.
+ * @param {{
+ *     id: string, label?: string, width: number, height: number, rtl?: boolean,
+ *     runs: {
+ *         str: string, space?: boolean, fontSize: number, baseline: number,
+ *         x0: number, y0: number, x1: number, y1: number,
+ *     }[],
+ *     images: { src?: string, x0: number, y0: number, x1: number, y1: number }[],
+ * }[]} pages in page coordinates, with y pointing downwards;
+ * `space` means that there's whitespace before the run
+ * @returns {{ html: string, length: number }} `html` is the content of the body
+ */
+export const reflow = pages => {
+    pages = pages.map(page => ({ ...page, lines: makeLines(page.runs) }))
+    removeRunningHeads(pages)
+    const bodySize = getBodySize(pages.flatMap(page => page.lines))
+
+    // lines, images, and page breaks, in reading order
+    const items = pages.flatMap(({ id, label, lines, images, rtl }) => {
+        const boxes = [...lines, ...images.map(image => ({ ...image, image: true }))]
+        if (!boxes.length) return [{ id, label }]
+        const size = getBodySize(lines) || bodySize
+        return [{ id, label }, ...order(boxes, size * MAX_WORD_GAP, rtl)]
+    })
+
+    const blocks = []
+    let para = null
+    const flush = () => {
+        if (para) blocks.push(para)
+        para = null
+    }
+    for (const item of items) {
+        if (item.id) {
+            const html = `<span id="${escapeHTML(item.id)}" role="doc-pagebreak"${item.label
+                ? ` aria-label="${escapeHTML(item.label)}"` : ''}></span>`
+            if (para) {
+                para.parts.push({ html })
+                para.broken = true
+            }
+            else blocks.push({ html })
+        }
+        else if (item.image) {
+            flush()
+            const width = Math.round((item.x1 - item.x0) * 4 / 3)
+            blocks.push({ html: `<figure><img src="${escapeHTML(item.src ?? '')}" alt="" style="width: ${width}px"></figure>` })
+        }
+        else if (para && continues(para, item)) {
+            const { parts } = para
+            const i = parts.findLastIndex(part => typeof part === 'string')
+            const joined = joinLines(parts[i], item.text)
+            if (i === parts.length - 1) parts[i] = joined
+            else {
+                // keep the page break between the lines
+                parts[i] = joined.slice(0, joined.length - item.text.length)
+                parts.push(item.text)
+            }
+            para.last = item
+            para.x1 = Math.max(para.x1, item.x1)
+            para.broken = false
+        }
+        else {
+            flush()
+            para = { parts: [item.text], last: item, x1: item.x1, fontSize: item.fontSize }
+        }
+    }
+    flush()
+
+    let length = 0
+    const html = blocks.map(block => {
+        if (block.html) return block.html
+        const text = block.parts.filter(part => typeof part === 'string').join('')
+        length += text.length
+        const level = HEADING_RATIOS.findIndex(ratio => block.fontSize >= bodySize * ratio)
+        const tag = level >= 0 && text.length <= MAX_HEADING_LENGTH ? `h${level + 1}` : 'p'
+        const content = block.parts.map(part =>
+            typeof part === 'string' ? escapeHTML(part) : part.html).join('')
+        return `<${tag} dir="auto">${content}</${tag}>`
+    }).join('\n')
+    return { html, length }
+}
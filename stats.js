@@ -0,0 +1,139 @@
+// tracks the time spent reading and the reading speed, for estimating the time
+// left and for keeping daily statistics
+
+// after this long without any activity, the reader is considered to be away
+const IDLE_TIMEOUT = 5 * 60 * 1000
+
+// moving forward by more than this many characters at once is a jump, not reading
+const MAX_PAGE_SIZE = 10000
+
+// the assumed speed, in characters per minute, before there's enough data
+const DEFAULT_SPEED = 1600
+
+// how many minutes of reading the assumed speed counts as
+const PRIOR_MINUTES = 10
+
+// relocations that happen as pages are read; other than these, relocations
+// that don't move the location, e.g. after resizing, are ignored, and the
+// rest are jumps
+const READING_REASONS = ['page', 'snap', 'scroll']
+const IGNORED_REASONS = ['anchor', 'page-count']
+
+const getDay = (date = new Date()) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+].join('-')
+
+export class ReadingStats extends EventTarget {
+    #sectionProgress
+    // characters read, and the time it took, in milliseconds, for the speed
+    #chars = 0
+    #time = 0
+    #days = {}
+    #lastActivity
+    #visible = document.visibilityState !== 'hidden'
+    #position
+    // time spent on the current page, which is invalid if the reader was away
+    #pageTime = 0
+    #pageValid = false
+    #onVisibilityChange = () => {
+        if (document.visibilityState === 'hidden') {
+            this.activity()
+            this.#visible = false
+            this.#pageValid = false
+        } else {
+            this.#visible = true
+            this.#lastActivity = Date.now()
+        }
+    }
+    /**
+     * @param {{sizes: number[], sizeTotal: number}} sectionProgress read on
+     * every update, so that it can change
+     */
+    constructor(sectionProgress) {
+        super()
+        this.#sectionProgress = sectionProgress
+        document.addEventListener('visibilitychange', this.#onVisibilityChange)
+    }
+    // a serializable object for saving and restoring the statistics of the book
+    get state() {
+        return {
+            chars: this.#chars,
+            time: this.#time,
+            days: structuredClone(this.#days),
+        }
+    }
+    set state(state) {
+        this.#chars = state?.chars ?? 0
+        this.#time = state?.time ?? 0
+        this.#days = structuredClone(state?.days ?? {})
+    }
+    // characters per minute
+    get speed() {
+        return (this.#chars + DEFAULT_SPEED * PRIOR_MINUTES)
+            / (this.#time / (60 * 1000) + PRIOR_MINUTES)
+    }
+    // the statistics of a day, in the format `YYYY-MM-DD`, in local time;
+    // `time` is in milliseconds
+    getDay(day = getDay()) {
+        return { time: 0, chars: 0, pages: 0, ...this.#days[day] }
+    }
+    #getPosition(index, fraction) {
+        const { sizes } = this.#sectionProgress
+        const sizeBefore = sizes.slice(0, index).reduce((a, b) => a + b, 0)
+        return sizeBefore + fraction * (sizes[index] ?? 0)
+    }
+    // minutes left in the section and the book
+    getTimeLeft(index, fraction) {
+        const { speed } = this
+        const { sizes, sizeTotal } = this.#sectionProgress
+        return {
+            section: (1 - fraction) * (sizes[index] ?? 0) / speed,
+            total: (sizeTotal - this.#getPosition(index, fraction)) / speed,
+        }
+    }
+    #update() {
+        const day = getDay()
+        this.dispatchEvent(new CustomEvent('update', {
+            detail: { speed: this.speed, day, stats: this.getDay(day) },
+        }))
+    }
+    // to be called whenever there's user activity
+    activity() {
+        const now = Date.now()
+        const last = this.#lastActivity
+        this.#lastActivity = now
+        if (!this.#visible || last == null) return
+        const time = now - last
+        if (time > IDLE_TIMEOUT) {
+            this.#pageValid = false
+            return
+        }
+        const day = this.#days[getDay()] ??= { time: 0, chars: 0, pages: 0 }
+        day.time += time
+        this.#pageTime += time
+    }
+    // to be called on `relocate`, with the event's detail
+    relocate({ reason, index, fraction }) {
+        if (IGNORED_REASONS.includes(reason)) return
+        this.activity()
+        const position = this.#getPosition(index, fraction ?? 0)
+        const chars = position - this.#position
+        if (READING_REASONS.includes(reason) && this.#pageValid
+        && chars > 0 && chars <= MAX_PAGE_SIZE) {
+            this.#chars += chars
+            this.#time += this.#pageTime
+            const day = this.#days[getDay()] ??= { time: 0, chars: 0, pages: 0 }
+            day.chars += chars
+            day.pages++
+        }
+        this.#position = position
+        this.#pageTime = 0
+        this.#pageValid = this.#visible
+        this.#update()
+    }
+    destroy() {
+        document.removeEventListener('visibilitychange', this.#onVisibilityChange)
+    }
+}
@@ -0,0 +1,83 @@
+const BLOCK_SIZE = 512
+
+const decoder = new TextDecoder()
+const readString = bytes => {
+    const end = bytes.indexOf(0)
+    return decoder.decode(end < 0 ? bytes : bytes.subarray(0, end))
+}
+
+const readNumber = bytes => {
+    // GNU extension for large numbers: base-256, flagged by the high bit
+    if (bytes[0] & 0x80) {
+        let n = bytes[0] & 0x7f
+        for (const byte of bytes.subarray(1)) n = n * 256 + byte
+        return n
+    }
+    return parseInt(readString(bytes).trim(), 8) || 0
+}
+
+// records are in the form of "<length> <key>=<value>\n"
+const parsePAX = bytes => {
+    const str = decoder.decode(bytes)
+    const map = new Map()
+    for (const [, key, value] of str.matchAll(/^\d+ ([^=]+)=(.*)$/gm))
+        map.set(key, value)
+    return map
+}
+
+const isZeroBlock = bytes => bytes.every(byte => byte === 0)
+
+/**
+ * Read a tar archive. Only the headers are read in advance,
+ * and files are sliced out of the blob on demand.
+ * @param {Blob} file
+ */
+export const makeTarLoader = async file => {
+    const map = new Map()
+    const read = async (start, end) =>
+        new Uint8Array(await file.slice(start, end).arrayBuffer())
+
+    let offset = 0
+    let longName = null
+    let pax = new Map()
+    while (offset + BLOCK_SIZE <= file.size) {
+        const header = await read(offset, offset + BLOCK_SIZE)
+        if (isZeroBlock(header)) break
+        const size = Number(pax.get('size') ?? readNumber(header.subarray(124, 136)))
+        const type = String.fromCharCode(header[156])
+        const start = offset + BLOCK_SIZE
+        offset = start + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE
+
+        // GNU long name
+        if (type === 'L') {
+            longName = readString(await read(start, start + size))
+            continue
+        }
+        // PAX extended header for the next file
+        if (type === 'x') {
+            pax = parsePAX(await read(start, start + size))
+            continue
+        }
+        // regular files; also include contiguous files, which are treated the same
+        if (type === '0' || type === '\0' || type === '7') {
+            // only POSIX ustar has the prefix field; GNU uses the space for other things
+            const isUstar = readString(header.subarray(257, 263)) === 'ustar'
+                && header[262] === 0
+            const prefix = isUstar ? readString(header.subarray(345, 500)) : ''
+            const name = pax.get('path') ?? longName
+                ?? (prefix ? prefix + '/' : '') + readString(header.subarray(0, 100))
+            map.set(name.replace(/^\.\//, ''), { start, size })
+        }
+        longName = null
+        pax = new Map()
+    }
+
+    const entries = Array.from(map.keys(), filename => ({ filename }))
+    const loadBlob = (name, type) => {
+        const entry = map.get(name)
+        return entry ? file.slice(entry.start, entry.start + entry.size, type) : null
+    }
+    const loadText = name => loadBlob(name)?.text() ?? null
+    const getSize = name => map.get(name)?.size ?? 0
+    return { entries, loadText, loadBlob, getSize }
+}
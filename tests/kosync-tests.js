@@ -0,0 +1,172 @@
+import * as CFI from '../epubcfi.js'
+import {
+    KOSync, KOSyncError, toXPointer, fromXPointer, getXPointerIndex,
+    xPointerToCFI, cfiToXPointer,
+} from '../kosync.js'
+
+const parser = new DOMParser()
+const XHTML = str => parser.parseFromString(str, 'application/xhtml+xml')
+
+const page = XHTML(`<html xmlns="http://www.w3.org/1999/xhtml">
+<head>
+    <title>…</title>
+</head>
+<body>
+    <div>
+        <p>Lorem ipsum</p>
+        <p>dolor <em>sit</em> amet, <b>consectetur</b> adipiscing</p>
+    </div>
+    <p>😀 elit, sed do</p>
+    <p><span>eiusmod</span></p>
+</body>
+</html>`)
+
+{
+    const [, p2] = page.querySelectorAll('div > p')
+    const [, , p3] = page.querySelectorAll('p')
+    const span = page.querySelector('span')
+    const at = (node, offset) => {
+        const range = page.createRange()
+        range.setStart(node, offset)
+        return range
+    }
+    for (const [range, xpointer] of [
+        [at(p2.firstChild, 3), '/body/DocFragment[3]/body/div/p[2]/text()[1].3'],
+        [at(p2.childNodes[2], 2), '/body/DocFragment[3]/body/div/p[2]/text()[2].2'],
+        [at(p2.querySelector('b').firstChild, 0), '/body/DocFragment[3]/body/div/p[2]/b/text().0'],
+        // offsets are in code points
+        [at(p3.firstChild, 3), '/body/DocFragment[3]/body/p[1]/text().2'],
+    ]) {
+        const a = toXPointer(2, range)
+        console.assert(a === xpointer, `expected ${xpointer}, got ${a}`)
+        const b = fromXPointer(page, xpointer)
+        console.assert(b.compareBoundaryPoints(Range.START_TO_START, range) === 0,
+            `${xpointer} resolved to ${b.startContainer.nodeName} at ${b.startOffset}`)
+    }
+
+    // points before elements are at the elements
+    const c = toXPointer(2, at(span.parentNode, 0))
+    console.assert(c === '/body/DocFragment[3]/body/p[2]/span', `got ${c}`)
+    const d = fromXPointer(page, c)
+    console.assert(d.startContainer === span && d.startOffset === 0)
+
+    // elements added by CREngine are skipped, and paths that can't be
+    // followed to the end resolve to the deepest element found
+    const a = fromXPointer(page, '/body/DocFragment[3]/body/div/autoBoxing/p[2]/em/text().1')
+    console.assert(a.startContainer === p2.querySelector('em').firstChild && a.startOffset === 1)
+    const b = fromXPointer(page, '/body/DocFragment[3]/body/div/p[5]/text().1')
+    console.assert(b.startContainer === page.querySelector('div') && b.startOffset === 0)
+
+    console.assert(getXPointerIndex('/body/DocFragment[3]/body/p') === 2)
+    console.assert(getXPointerIndex('/body/DocFragment/body/p') === 0)
+    console.assert(getXPointerIndex('12') === 11)
+}
+
+{
+    // converting to and from CFIs
+    const book = {
+        sections: [0, 1, 2].map(() => ({ createDocument: () => page })),
+    }
+    for (const xpointer of [
+        '/body/DocFragment[3]/body/div/p[2]/text()[2].2',
+        '/body/DocFragment[2]/body/p[1]/text().2',
+        '/body/DocFragment[1]/body/p[2]/span/text().4',
+    ]) {
+        const cfi = await xPointerToCFI(book, xpointer)
+        console.assert(CFI.isCFI.test(cfi), `expected a CFI, got ${cfi}`)
+        const a = await cfiToXPointer(book, cfi)
+        console.assert(a === xpointer, `expected ${xpointer}, got ${a} from ${cfi}`)
+    }
+
+    // pages of PDFs and comics
+    const paged = {
+        rendition: { layout: 'pre-paginated' },
+        sections: [{}, {}, {}],
+    }
+    const cfi = await xPointerToCFI(paged, '2')
+    console.assert(cfi === CFI.fake.fromIndex(1), `expected page 2, got ${cfi}`)
+    const n = await cfiToXPointer(paged, cfi)
+    console.assert(n === '2', `expected 2, got ${n}`)
+}
+
+{
+    // register, authorize, push, and pull, with a stand-in for the server
+    const users = new Map()
+    const progress = new Map()
+    const server = (method, path, headers, body) => {
+        if (headers['Accept'] !== 'application/vnd.koreader.v1+json')
+            return [412, { code: 101, message: 'Invalid Accept header format.' }]
+        if (method === 'POST' && path === '/users/create') {
+            if (users.has(body.username))
+                return [402, { code: 2002, message: 'Username is already registered.' }]
+            users.set(body.username, body.password)
+            return [201, { username: body.username }]
+        }
+        if (users.get(headers['x-auth-user']) !== headers['x-auth-key'])
+            return [401, { code: 2001, message: 'Unauthorized' }]
+        if (method === 'GET' && path === '/users/auth') return [200, { authorized: 'OK' }]
+        if (method === 'PUT' && path === '/syncs/progress') {
+            progress.set(body.document, { ...body, timestamp: 1 })
+            return [200, { document: body.document, timestamp: 1 }]
+        }
+        const document = path.match(/^\/syncs\/progress\/(.+)$/)?.[1]
+        if (method === 'GET' && document)
+            return [200, progress.get(decodeURIComponent(document)) ?? {}]
+        return [404, {}]
+    }
+    const { fetch } = globalThis
+    globalThis.fetch = async (url, { method, headers, body }) => {
+        const { pathname } = new URL(url)
+        const [status, json] = server(method, pathname.replace(/^\/kosync/, ''),
+            headers, body ? JSON.parse(body) : null)
+        return new Response(JSON.stringify(json), { status })
+    }
+    try {
+        const options = {
+            server: 'https://example.com/kosync/',
+            username: 'reader', document: 'abc', delay: 0,
+        }
+        const sync = new KOSync({ ...options, password: 'secret', deviceId: 'A' })
+        await sync.register()
+        // the password is sent as its MD5
+        console.assert(users.get('reader') === '5ebe2294ecd0e0f08eab7690d2a6ee69')
+        try {
+            await sync.register()
+            console.assert(false, 'expected registering twice to fail')
+        } catch (e) {
+            console.assert(e instanceof KOSyncError && e.status === 402 && e.code === 2002)
+        }
+        console.assert(await sync.authorize())
+        console.assert(await sync.getProgress() === null)
+
+        const book = { sections: [0, 1, 2].map(() => ({ createDocument: () => page })) }
+        const range = page.createRange()
+        range.setStart(page.querySelector('em').firstChild, 1)
+        sync.schedulePush(book, { index: 1, range, fraction: 0.5 })
+        await sync.flush()
+        const json = await sync.getProgress()
+        console.assert(json.progress === '/body/DocFragment[2]/body/div/p[2]/em/text().1'
+            && json.percentage === 0.5 && json.device_id === 'A', JSON.stringify(json))
+
+        // progress from the same device is marked as such
+        console.assert((await sync.pull(book)).self)
+        const other = new KOSync({ ...options, userkey: users.get('reader'), deviceId: 'B' })
+        const pulled = await other.pull(book)
+        console.assert(!pulled.self && pulled.fraction === 0.5 && pulled.deviceId === 'A')
+        const parts = CFI.parse(pulled.cfi)
+        const index = CFI.fake.toIndex((parts.parent ?? parts).shift())
+        const resolved = CFI.toRange(page, parts)
+        console.assert(index === 1 && resolved.startContainer === range.startContainer
+            && resolved.startOffset === 1, `got ${index}, ${resolved}`)
+
+        const wrong = new KOSync({ ...options, password: 'wrong' })
+        try {
+            await wrong.authorize()
+            console.assert(false, 'expected a wrong password to fail')
+        } catch (e) {
+            console.assert(e instanceof KOSyncError && e.status === 401)
+        }
+    } finally {
+        globalThis.fetch = fetch
+    }
+}
@@ -0,0 +1,109 @@
+import { countChars, indexDocument, getOffset, getPoint, Locations } from '../locations.js'
+
+const parser = new DOMParser()
+const XHTML = str => parser.parseFromString(str, 'application/xhtml+xml')
+
+const page = XHTML(`<html xmlns="http://www.w3.org/1999/xhtml">
+<head>
+    <title>Not counted</title>
+</head>
+<body>
+    <h1>  Lorem   ipsum </h1>
+	<p>dolor <em>sit <b>amet,</b></em>
+		consectetur<span> </span> <i>adipiscing</i>elit,</p>
+
+    <p><span><a href="#">sed</a></span>  do&#160;eiusmod <code>tempor</code></p>
+</body>
+</html>`)
+
+const textNodes = doc => {
+    const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_TEXT)
+    const nodes = []
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) nodes.push(node)
+    return nodes
+}
+
+{
+    // each run of whitespace is one character, and `space` carries over
+    for (const [str, space, count, endsWithSpace] of [
+        ['', false, 0, false],
+        ['', true, 0, true],
+        ['abc', false, 3, false],
+        ['a  \n\tb', false, 3, false],
+        ['  a ', false, 3, true],
+        ['  a ', true, 2, true],
+        [' \n ', true, 0, true],
+        [' \n ', false, 1, true],
+        ['a b', false, 3, false],
+    ]) {
+        const [a, b] = countChars(str, space)
+        console.assert(a === count && b === endsWithSpace,
+            `countChars(${JSON.stringify(str)}, ${space}): expected ${[count, endsWithSpace]}, got ${[a, b]}`)
+    }
+}
+
+{
+    // the count doesn't depend on markup or on how whitespace is formatted
+    const index = indexDocument(page)
+    const text = page.body.textContent.replace(/\s+/g, ' ')
+    console.assert(index.count === text.length,
+        `expected ${text.length} characters, got ${index.count}`)
+
+    // going from a point to an offset and back lands on the same offset
+    for (const node of textNodes(page)) {
+        for (let i = 0; i <= node.length; i++) {
+            const offset = getOffset(index, node, i)
+            const point = getPoint(index, offset)
+            const b = getOffset(index, ...point)
+            console.assert(offset === b,
+                `round trip of ${JSON.stringify(node.nodeValue)} at ${i}: expected ${offset}, got ${b}`)
+        }
+    }
+
+    // offsets only increase through the document
+    let last = 0
+    for (const node of textNodes(page)) {
+        for (let i = 0; i <= node.length; i++) {
+            const offset = getOffset(index, node, i)
+            console.assert(offset >= last, `offset went back at ${JSON.stringify(node.nodeValue)}`)
+            last = offset
+        }
+    }
+    console.assert(last === index.count, `expected to end at ${index.count}, got ${last}`)
+
+    // points between elements are at the start of the next text
+    const p = page.querySelector('p')
+    const a = getOffset(index, p, 0)
+    const b = getOffset(index, p.firstChild, 0)
+    console.assert(a === b, `expected ${b}, got ${a}`)
+}
+
+{
+    // resolving a location and getting the location of the result gives the
+    // same block
+    const book = {
+        metadata: {},
+        sections: [{ createDocument: () => page }],
+    }
+    const size = 7
+    const locations = await new Locations(book, { size }).init()
+    const { count } = indexDocument(page)
+    console.assert(locations.total === Math.ceil(count / size),
+        `expected ${Math.ceil(count / size)} locations, got ${locations.total}`)
+    for (let location = 0; location < locations.total; location++) {
+        const { index, anchor } = locations.resolve(location)
+        const range = anchor(page)
+        const { current } = locations.getLocation(index, range)
+        console.assert(current === location, `expected location ${location}, got ${current}`)
+    }
+    for (const node of textNodes(page)) {
+        for (let i = 0; i <= node.length; i++) {
+            const range = page.createRange()
+            range.setStart(node, i)
+            const { current } = locations.getLocation(0, range)
+            const resolved = locations.getLocation(0, locations.resolve(current).anchor(page))
+            console.assert(resolved.current === current,
+                `expected location ${current}, got ${resolved.current}`)
+        }
+    }
+}
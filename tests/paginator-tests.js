@@ -0,0 +1,28 @@
+import '../paginator.js'
+
+const text = Array.from({ length: 60 }, (_, i) =>
+    `<p>${i} Lorem ipsum dolor sit amet, consectetur adipiscing elit, sed do eiusmod tempor.</p>`)
+    .join('')
+const html = `<html xmlns="http://www.w3.org/1999/xhtml"><body>${text}</body></html>`
+const url = URL.createObjectURL(new Blob([html], { type: 'application/xhtml+xml' }))
+
+{
+    // a section counted offscreen has as many pages as when it's shown
+    const paginator = document.createElement('foliate-paginator')
+    paginator.setAttribute('count-pages', '')
+    paginator.setAttribute('max-prerender-size', '0')
+    Object.assign(paginator.style, { display: 'block', width: '600px', height: '400px' })
+    document.body.append(paginator)
+    const section = { load: () => url, size: html.length, linear: 'yes' }
+    paginator.open({ sections: [section, { ...section }] })
+    const counted = new Promise(resolve => paginator.addEventListener('relocate', e => {
+        if (e.detail.reason === 'page-count' && !e.detail.page?.estimated) resolve(e.detail.page)
+    }))
+    await paginator.goTo({ index: 0 })
+    const { total } = await counted
+    const shown = paginator.pages - 2
+    console.assert(shown > 1, `expected more than one page, got ${shown}`)
+    console.assert(total === shown * 2, `expected ${shown * 2} pages in total, got ${total}`)
+    paginator.remove()
+    URL.revokeObjectURL(url)
+}
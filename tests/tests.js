@@ -1 +1,4 @@
 import './epubcfi-tests.js'
+import './locations-tests.js'
+import './kosync-tests.js'
+import './paginator-tests.js'
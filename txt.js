@@ -0,0 +1,228 @@
+const MIME = {
+    XHTML: 'application/xhtml+xml',
+}
+
+// number of bytes to look at when guessing the encoding
+const SAMPLE_SIZE = 64 * 1024
+
+// sections without headings are split into chunks of roughly this size
+const MAX_SECTION_LENGTH = 100_000
+
+const escapeHTML = str => str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+// characters that aren't allowed in XML; page breaks become line breaks,
+// lone surrogates become replacement characters, and the rest are dropped
+const toXMLChars = str => str
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\x0b\x0c]/g, '\n')
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\x00-\x08\x0e-\x1f\ufffe\uffff]/g, '')
+    .replace(/[\ud800-\udbff](?![\udc00-\udfff])|(?<![\ud800-\udbff])[\udc00-\udfff]/g, '\ufffd')
+
+const count = (str, regex) => str.match(regex)?.length ?? 0
+
+// legacy encodings are scored by how much of the decoded sample
+// falls into the script that the encoding is normally used for;
+// kana counts twice, as Japanese decoded as GBK still looks like hanzi
+const CANDIDATES = [
+    ['gbk', str => count(str, /[\u4e00-\u9fff\u3000-\u303f\uff00-\uffef]/g)],
+    ['shift_jis', str => count(str, /[\u4e00-\u9fff\u3000-\u303f]/g) + 2 * count(str, /[\u3040-\u30ff]/g)],
+    ['windows-1251', str => count(str, /[\u0400-\u04ff]/g)],
+]
+
+const getBOMEncoding = bytes =>
+    bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf ? 'utf-8'
+    : bytes[0] === 0xff && bytes[1] === 0xfe ? 'utf-16le'
+    : bytes[0] === 0xfe && bytes[1] === 0xff ? 'utf-16be' : null
+
+// UTF-16 without BOM: lots of zero bytes in either the odd or even positions
+const getUTF16Encoding = bytes => {
+    let even = 0, odd = 0
+    const length = Math.min(bytes.length, 4096) & ~1
+    for (let i = 0; i < length; i += 2) {
+        if (bytes[i] === 0) even++
+        if (bytes[i + 1] === 0) odd++
+    }
+    const threshold = length / 2 * 0.3
+    return odd > threshold && even < odd / 4 ? 'utf-16le'
+        : even > threshold && odd < even / 4 ? 'utf-16be' : null
+}
+
+const isValid = (encoding, bytes) => {
+    try {
+        new TextDecoder(encoding, { fatal: true }).decode(bytes)
+        return true
+    } catch {
+        return false
+    }
+}
+
+export const detectEncoding = bytes => {
+    const bom = getBOMEncoding(bytes)
+    if (bom) return bom
+    const utf16 = getUTF16Encoding(bytes)
+    if (utf16) return utf16
+    // the sample may end in the middle of a multibyte sequence,
+    // so drop the last few bytes before validating
+    const sample = bytes.length >= SAMPLE_SIZE ? bytes.subarray(0, -4) : bytes
+    if (isValid('utf-8', sample)) return 'utf-8'
+    let best = 'utf-8', bestScore = 0
+    for (const [encoding, getScore] of CANDIDATES) {
+        if (!isValid(encoding, sample)) continue
+        const str = new TextDecoder(encoding).decode(sample)
+        const score = getScore(str) / str.length
+        if (score > bestScore) best = encoding, bestScore = score
+    }
+    return best
+}
+
+export const decodeText = async blob => {
+    const buffer = await blob.arrayBuffer()
+    const bytes = new Uint8Array(buffer)
+    const encoding = detectEncoding(bytes.subarray(0, SAMPLE_SIZE))
+    // `TextDecoder` removes the BOM by itself
+    return { text: new TextDecoder(encoding).decode(bytes), encoding }
+}
+
+const NUMBER = '(?:\\d+|[ivxlcdm]+|one|two|three|four|five|six|seven|eight|nine|ten'
+    + '|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen'
+    + '|nineteen|twenty|thirty|forty|fifty)(?:[- ]\\w+)?'
+const CJK_NUMBER = '[0-9０-９零〇一二两三四五六七八九十百千万]+'
+
+const HEADINGS = [
+    new RegExp(`^(?:chapter|part|book|volume)\\s+${NUMBER}\\b`, 'i'),
+    /^(?:prologue|epilogue|preface|introduction|afterword|interlude)\b/i,
+    new RegExp(`^第${CJK_NUMBER}[章节節回卷部集篇话話幕]`),
+    /^(?:序章|序言|楔子|尾声|后记|終章|あとがき|番外)/,
+    /^(?:глава|часть|книга|том)\s+(?:\d+|[ivxlcdm]+|[а-яё]+)(?=$|[\s.:])/i,
+    /^(?:пролог|эпилог|предисловие|послесловие)(?=$|[\s.:])/i,
+]
+
+const MAX_HEADING_LENGTH = 60
+
+const isHeading = line => line.length <= MAX_HEADING_LENGTH
+    && HEADINGS.some(regex => regex.test(line))
+
+// split text into `{ title, start, end }`, where `start` and `end` are offsets
+// into the text, `title` being null for text not preceded by a heading
+const findChapters = text => {
+    const headings = []
+    const regex = /[^\n]*(?:\n|$)/g
+    let match
+    while ((match = regex.exec(text))[0]) {
+        const line = match[0].trim()
+        if (line && isHeading(line)) headings.push(
+            { title: line, start: match.index, end: regex.lastIndex })
+    }
+    // ignore headings immediately followed by another heading,
+    // which is usually a table of contents at the start of the file
+    const chapters = headings.filter(({ end }, i) => {
+        const next = headings[i + 1]
+        return !next || text.slice(end, next.start).trim()
+    }).map(({ title, start }) => ({ title, start }))
+    if (!chapters.length || chapters[0].start > 0)
+        chapters.unshift({ title: null, start: 0 })
+    for (const [i, chapter] of chapters.entries())
+        chapter.end = chapters[i + 1]?.start ?? text.length
+    return chapters.filter(({ title, start, end }) =>
+        title || text.slice(start, end).trim())
+}
+
+// split overly long chapters at paragraph boundaries
+const splitChapter = (text, { title, start, end }) => {
+    const parts = []
+    while (end - start > MAX_SECTION_LENGTH) {
+        const limit = start + MAX_SECTION_LENGTH
+        const breakAt = text.lastIndexOf('\n', limit)
+        const cut = breakAt > start ? breakAt + 1 : limit
+        parts.push({ title, start, end: cut })
+        title = null
+        start = cut
+    }
+    parts.push({ title, start, end })
+    return parts
+}
+
+const style = URL.createObjectURL(new Blob([`
+h2 {
+    text-align: center;
+    margin: 2em 0;
+}
+p {
+    text-indent: 2em;
+    margin: 0;
+}
+`], { type: 'text/css' }))
+
+const toXHTML = (text, title, lang) => {
+    const paragraphs = text.split(/\n/)
+        .map(line => line.trim())
+        .filter(line => line)
+    // the heading is the first line of the section
+    if (title && paragraphs[0] === title) paragraphs.shift()
+    const body = (title ? `<h2>${escapeHTML(title)}</h2>` : '')
+        + paragraphs.map(p => `<p>${escapeHTML(p)}</p>`).join('\n')
+    return `<?xml version="1.0" encoding="utf-8"?>
+<html xmlns="http://www.w3.org/1999/xhtml"${lang ? ` lang="${lang}" xml:lang="${lang}"` : ''}>
+    <head><title>${escapeHTML(title ?? '')}</title><link href="${style}" rel="stylesheet" type="text/css"/></head>
+    <body>${body}</body>
+</html>`
+}
+
+const LANGUAGES = {
+    'gbk': 'zh',
+    'shift_jis': 'ja',
+    'windows-1251': 'ru',
+}
+
+export const makeTXT = async file => {
+    const { text: raw, encoding } = await decodeText(file)
+    const text = toXMLChars(raw.replace(/\r\n?/g, '\n'))
+    const language = LANGUAGES[encoding]
+
+    const parts = findChapters(text).flatMap(chapter => splitChapter(text, chapter))
+
+    const urls = new Map()
+    const toString = ({ title, start, end }) =>
+        toXHTML(text.slice(start, end), title, language)
+    const load = index => {
+        if (urls.has(index)) return urls.get(index)
+        const url = URL.createObjectURL(
+            new Blob([toString(parts[index])], { type: MIME.XHTML }))
+        urls.set(index, url)
+        return url
+    }
+    const unload = index => {
+        URL.revokeObjectURL(urls.get(index))
+        urls.delete(index)
+    }
+
+    const book = {}
+    book.metadata = {
+        title: file.name?.replace(/\.txt$/i, '') ?? '',
+        language,
+    }
+    book.sections = parts.map((part, index) => ({
+        id: index,
+        load: () => load(index),
+        unload: () => unload(index),
+        createDocument: () => new DOMParser()
+            .parseFromString(toString(part), MIME.XHTML),
+        size: part.end - part.start,
+    }))
+    const toc = parts
+        .map(({ title }, index) => title ? { label: title, href: String(index) } : null)
+        .filter(item => item)
+    book.toc = toc.length ? toc : null
+    book.resolveHref = href => ({ index: Number(href.split('#')[0]) })
+    book.splitTOCHref = href => [Number(href), null]
+    book.getTOCFragment = doc => doc.documentElement
+    book.destroy = () => {
+        for (const url of urls.values()) URL.revokeObjectURL(url)
+    }
+    return book
+}
@@ -1,9 +1,13 @@
 import * as CFI from './epubcfi.js'
 import { TOCProgress, SectionProgress } from './progress.js'
+import { ReadingStats } from './stats.js'
+import { Locations } from './locations.js'
 import { Overlayer } from './overlayer.js'
 import { textWalker } from './text-walker.js'
+import { isMarkdownFile } from './markdown.js'
 
 const SEARCH_PREFIX = 'foliate-search:'
+const EMBEDDED_PREFIX = 'foliate-embedded:'
 
 export const isZip = async file => {
     const arr = new Uint8Array(await file.slice(0, 4).arrayBuffer())
@@ -17,12 +21,54 @@ export const isPDF = async file => {
         && arr[4] === 0x2d
 }
 
+export const is7z = async file => {
+    const arr = new Uint8Array(await file.slice(0, 6).arrayBuffer())
+    return arr[0] === 0x37 && arr[1] === 0x7a
+        && arr[2] === 0xbc && arr[3] === 0xaf && arr[4] === 0x27 && arr[5] === 0x1c
+}
+
+// "ustar" at offset 257; very old archives don't have it, so check the name too
+export const isTar = async file => {
+    const arr = new Uint8Array(await file.slice(257, 262).arrayBuffer())
+    return String.fromCharCode(...arr) === 'ustar'
+}
+
+export const isCBT = ({ name, type }) =>
+    type === 'application/x-cbt' || name.endsWith('.cbt')
+
 export const isCBZ = ({ name, type }) =>
     type === 'application/vnd.comicbook+zip' || name.endsWith('.cbz')
 
 export const isFB2 = ({ name, type }) =>
     type === 'application/x-fictionbook+xml' || name.endsWith('.fb2')
 
+export const isTXT = ({ name, type }) =>
+    type === 'text/plain' || name.endsWith('.txt')
+
+export const isDOCX = ({ name, type }) =>
+    type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    || name.endsWith('.docx')
+
+export const isODT = ({ name, type }) =>
+    type === 'application/vnd.oasis.opendocument.text' || name.endsWith('.odt')
+
+export const isFODT = ({ name, type }) =>
+    type === 'application/vnd.oasis.opendocument.text-flat-xml' || name.endsWith('.fodt')
+
+export const isMarkdown = ({ name, type }) =>
+    type === 'text/markdown' || isMarkdownFile(name)
+
+export const isHTML = ({ name, type }) =>
+    type === 'text/html' || /\.(?:html?|xhtml)$/i.test(name)
+
+export const isMHTML = ({ name, type }) =>
+    type === 'multipart/related' || type === 'message/rfc822'
+    || /\.mht(?:ml)?$/i.test(name)
+
+const isMarkdownArchive = ({ entries }) =>
+    !entries.some(entry => entry.filename === 'META-INF/container.xml')
+    && entries.some(entry => isMarkdownFile(entry.filename))
+
 export const isFBZ = ({ name, type }) =>
     type === 'application/x-zip-compressed-fb2'
     || name.endsWith('.fb2.zip') || name.endsWith('.fbz')
@@ -70,12 +116,24 @@ const makeDirectoryLoader = async entry => {
     const loadText = async name => decode(await getBuffer(name))
     const loadBlob = name => map.get(name)
     const getSize = name => map.get(name)?.size ?? 0
-    return { loadText, loadBlob, getSize }
+    return {
+        loadText, loadBlob, getSize,
+        entries: Array.from(map.keys(), filename => ({ filename })),
+    }
 }
 
 export class ResponseError extends Error {}
 export class NotFoundError extends Error {}
 export class UnsupportedTypeError extends Error {}
+export class PasswordCancelledError extends Error {}
+
+// ask for a password with the app's callback, where `reason` is
+// either `required` or `incorrect` (when retrying after a wrong password)
+const makePasswordPrompt = getPassword => async reason => {
+    const password = await getPassword?.(reason)
+    if (password == null) throw new PasswordCancelledError('Password not provided')
+    return password
+}
 
 const fetchFile = async url => {
     const res = await fetch(url)
@@ -84,20 +142,26 @@ const fetchFile = async url => {
     return new File([await res.blob()], new URL(res.url).pathname)
 }
 
-export const makeBook = async file => {
+export const makeBook = async (file, { getPassword, reflow } = {}) => {
     if (typeof file === 'string') file = await fetchFile(file)
     let book
     if (file.isDirectory) {
         const loader = await makeDirectoryLoader(file)
-        const { EPUB } = await import('./epub.js')
-        book = await new EPUB(loader).init()
+        if (isMarkdownArchive(loader)) {
+            const { makeMarkdown } = await import('./markdown.js')
+            book = await makeMarkdown(loader, file)
+        }
+        else {
+            const { EPUB } = await import('./epub.js')
+            book = await new EPUB(loader).init()
+        }
     }
     else if (!file.size) throw new NotFoundError('File not found')
     else if (await isZip(file)) {
         const loader = await makeZipLoader(file)
         if (isCBZ(file)) {
             const { makeComicBook } = await import('./comic-book.js')
-            book = makeComicBook(loader, file)
+            book = await makeComicBook(loader, file)
         }
         else if (isFBZ(file)) {
             const { makeFB2 } = await import('./fb2.js')
@@ -106,6 +170,18 @@ export const makeBook = async file => {
             const blob = await loader.loadBlob((entry ?? entries[0]).filename)
             book = await makeFB2(blob)
         }
+        else if (isDOCX(file)) {
+            const { makeDOCX } = await import('./docx.js')
+            book = await makeDOCX(loader, file)
+        }
+        else if (isODT(file)) {
+            const { makeODT } = await import('./odt.js')
+            book = await makeODT(loader, file)
+        }
+        else if (isMarkdownArchive(loader)) {
+            const { makeMarkdown } = await import('./markdown.js')
+            book = await makeMarkdown(loader, file)
+        }
         else {
             const { EPUB } = await import('./epub.js')
             book = await new EPUB(loader).init()
@@ -113,7 +189,17 @@ export const makeBook = async file => {
     }
     else if (await isPDF(file)) {
         const { makePDF } = await import('./pdf.js')
-        book = await makePDF(file)
+        book = await makePDF(file, { getPassword: makePasswordPrompt(getPassword), reflow })
+    }
+    else if (await is7z(file)) {
+        const { make7zLoader } = await import('./7z.js')
+        const { makeComicBook } = await import('./comic-book.js')
+        book = await makeComicBook(await make7zLoader(file), file)
+    }
+    else if (isCBT(file) || await isTar(file)) {
+        const { makeTarLoader } = await import('./tar.js')
+        const { makeComicBook } = await import('./comic-book.js')
+        book = await makeComicBook(await makeTarLoader(file), file)
     }
     else {
         const { isMOBI, MOBI } = await import('./mobi.js')
@@ -125,6 +211,26 @@ export const makeBook = async file => {
             const { makeFB2 } = await import('./fb2.js')
             book = await makeFB2(file)
         }
+        else if (isFODT(file)) {
+            const { makeODT } = await import('./odt.js')
+            book = await makeODT(file, file)
+        }
+        else if (isMarkdown(file)) {
+            const { makeMarkdown } = await import('./markdown.js')
+            book = await makeMarkdown(file)
+        }
+        else if (isMHTML(file)) {
+            const { makeHTML } = await import('./html.js')
+            book = await makeHTML(file, { mhtml: true })
+        }
+        else if (isHTML(file)) {
+            const { makeHTML } = await import('./html.js')
+            book = await makeHTML(file)
+        }
+        else if (isTXT(file)) {
+            const { makeTXT } = await import('./txt.js')
+            book = await makeTXT(file)
+        }
     }
     if (!book) throw new UnsupportedTypeError('File type not supported')
     return book
@@ -162,6 +268,165 @@ class CursorAutohider {
     }
 }
 
+// distance to scroll with arrow keys in scrolled mode
+const SCROLL_STEP = 40
+
+const getTouchDistance = ([a, b]) =>
+    Math.hypot(a.screenX - b.screenX, a.screenY - b.screenY)
+
+// handles keys, the wheel, taps, and pinches, on the view and in the loaded
+// documents, when the view has the `handle-input` attribute;
+// inputs are mapped to actions, and before an action is performed, a
+// cancelable `input-action` event is emitted
+class InputController {
+    keys = {
+        ArrowLeft: 'left', h: 'left',
+        ArrowRight: 'right', l: 'right',
+        ArrowUp: 'up', k: 'up',
+        ArrowDown: 'down', j: 'down',
+        PageUp: 'prev', 'Shift+Space': 'prev',
+        PageDown: 'next', Space: 'next',
+        Home: 'first', End: 'last',
+    }
+    // the sizes of the left and right tap zones, as fractions of the width;
+    // taps in between are in the center zone
+    zones = { left: 0.25, right: 0.25 }
+    // the scale set by pinching, for reflowable books, which is left to the
+    // app to apply with the renderer's styles
+    scale = 1
+    #view
+    #emit
+    #lastWheel = 0
+    #pinch
+    constructor(view, emit) {
+        this.#view = view
+        this.#emit = emit
+        this.observe(view)
+    }
+    get #enabled() {
+        return this.#view.hasAttribute('handle-input')
+    }
+    observe(target) {
+        target.addEventListener('keydown', e => this.#onKeydown(e))
+        target.addEventListener('wheel', e => this.#onWheel(e), { passive: false })
+        target.addEventListener('click', e => this.#onClick(e))
+        target.addEventListener('touchstart', e => this.#onTouchStart(e), { passive: true })
+        target.addEventListener('touchmove', e => this.#onTouchMove(e), { passive: false })
+        target.addEventListener('touchend', e => this.#onTouchEnd(e))
+    }
+    #run(action, source, event, detail) {
+        if (!this.#emit('input-action', { action, source, event, ...detail })) return
+        event?.preventDefault()
+        this.#perform(action, source, detail)
+    }
+    // whether pages go from right to left, taking vertical writing into account
+    get #rtl() {
+        const doc = this.#view.renderer?.getContents?.()?.[0]?.doc
+        const writingMode = doc ? doc.defaultView
+            .getComputedStyle(doc.documentElement).writingMode : ''
+        if (writingMode === 'vertical-rl') return true
+        if (writingMode === 'vertical-lr') return false
+        return this.#view.book?.dir === 'rtl'
+    }
+    get #vertical() {
+        const doc = this.#view.renderer?.getContents?.()?.[0]?.doc
+        return doc ? doc.defaultView.getComputedStyle(doc.documentElement)
+            .writingMode.startsWith('vertical') : false
+    }
+    #perform(action, source, detail) {
+        const view = this.#view
+        const scrolled = view.renderer?.getAttribute('flow') === 'scrolled'
+        // arrow keys scroll a little in the direction of scrolling
+        const step = source === 'key' && scrolled ? SCROLL_STEP : undefined
+        switch (action) {
+            case 'left':
+            case 'right': {
+                const distance = this.#vertical ? step : undefined
+                return action === 'left' === this.#rtl
+                    ? view.next(distance) : view.prev(distance)
+            }
+            case 'up': return view.prev(this.#vertical ? undefined : step)
+            case 'down': return view.next(this.#vertical ? undefined : step)
+            case 'prev': return view.prev()
+            case 'next': return view.next()
+            case 'first': return view.goTo(view.book.sections
+                .findIndex(section => section.linear !== 'no'))
+            case 'last': return view.goTo(view.book.sections
+                .findLastIndex(section => section.linear !== 'no'))
+            case 'resize': {
+                this.scale = Math.max(0.5, Math.min(4, this.scale * detail.scale))
+                return this.#emit('scale', { scale: this.scale })
+            }
+        }
+    }
+    #onKeydown(e) {
+        if (!this.#enabled || e.defaultPrevented || e.isComposing
+        || e.ctrlKey || e.altKey || e.metaKey) return
+        const { target } = e
+        if (target.isContentEditable
+        || target.closest?.('input, textarea, select, button')) return
+        const key = e.key === ' ' ? 'Space' : e.key
+        const action = this.keys[e.shiftKey && key.length > 1 ? `Shift+${key}` : key]
+        if (action) this.#run(action, 'key', e)
+    }
+    #onWheel(e) {
+        if (!this.#enabled || e.defaultPrevented || e.ctrlKey) return
+        const { renderer } = this.#view
+        if (!renderer || renderer.getAttribute('flow') === 'scrolled'
+        || renderer.scrollHeight > renderer.clientHeight
+        || renderer.scrollWidth > renderer.clientWidth) return
+        const { deltaX, deltaY } = e
+        if (!deltaX && !deltaY) return
+        e.preventDefault()
+        // a stream of events, e.g. from the inertia of a touchpad, turns one page
+        const now = Date.now()
+        const last = this.#lastWheel
+        this.#lastWheel = now
+        if (now - last < 250) return
+        const action = Math.abs(deltaX) > Math.abs(deltaY)
+            ? (deltaX > 0 ? 'right' : 'left')
+            : (deltaY > 0 ? 'next' : 'prev')
+        this.#run(action, 'wheel', e)
+    }
+    #onClick(e) {
+        if (!this.#enabled || e.defaultPrevented || e.button !== 0) return
+        const { target } = e
+        const doc = target.ownerDocument ?? target
+        if (doc.getSelection?.()?.isCollapsed === false) return
+        if (target.closest?.('a[href], button, input, select, textarea, label, audio, video')) return
+        let x = e.clientX
+        const frame = doc.defaultView?.frameElement
+        if (frame && doc !== document) {
+            const rect = frame.getBoundingClientRect()
+            x = rect.left + x * (rect.width / frame.clientWidth || 1)
+        }
+        const { left, width } = this.#view.getBoundingClientRect()
+        const fraction = (x - left) / width
+        const zone = fraction < this.zones.left ? 'left'
+            : fraction > 1 - this.zones.right ? 'right' : 'center'
+        this.#run(zone === 'center' ? 'menu' : zone, 'tap', e, { zone })
+    }
+    #onTouchStart(e) {
+        if (!this.#enabled || this.#view.isFixedLayout) return
+        if (e.touches.length === 2)
+            this.#pinch = { distance: getTouchDistance(e.touches), scale: 1 }
+    }
+    #onTouchMove(e) {
+        const pinch = this.#pinch
+        if (!pinch || e.touches.length !== 2) return
+        // instead of zooming the page
+        e.preventDefault()
+        pinch.scale = getTouchDistance(e.touches) / pinch.distance
+    }
+    #onTouchEnd(e) {
+        const pinch = this.#pinch
+        if (!pinch || e.touches.length) return
+        this.#pinch = null
+        if (Math.abs(pinch.scale - 1) > 0.05)
+            this.#run('resize', 'pinch', null, { scale: pinch.scale })
+    }
+}
+
 class History extends EventTarget {
     #arr = []
     #index = -1
@@ -218,35 +483,91 @@ const languageInfo = lang => {
     }
 }
 
+const formatLanguageMap = x => {
+    if (!x) return ''
+    if (typeof x === 'string') return x
+    const keys = Object.keys(x)
+    return x[keys[0]]
+}
+
+const formatContributor = contributor => [contributor].flat()
+    .map(x => typeof x === 'string' ? x : formatLanguageMap(x?.name))
+    .filter(x => x).join(', ')
+
+const minuteFormat = new Intl.NumberFormat([], {
+    style: 'unit', unit: 'minute', unitDisplay: 'short', maximumFractionDigits: 0 })
+const hourFormat = new Intl.NumberFormat([], {
+    style: 'unit', unit: 'hour', unitDisplay: 'short', maximumFractionDigits: 0 })
+
+const formatDuration = minutes => {
+    if (minutes == null || isNaN(minutes)) return ''
+    if (minutes < 60) return minuteFormat.format(Math.ceil(minutes))
+    const hours = Math.floor(minutes / 60)
+    const rest = Math.round(minutes % 60)
+    return rest ? `${hourFormat.format(hours)} ${minuteFormat.format(rest)}`
+        : hourFormat.format(hours)
+}
+
+// make an object that can be used in place of a `Range` for the overlayer,
+// from rects in fractions of the page, which fills the fixed layout document
+const makePageRange = (doc, rects) => {
+    const getClientRects = () => {
+        const { innerWidth, innerHeight } = doc.defaultView
+        return rects.map(({ x, y, width, height }) => new DOMRect(
+            x * innerWidth, y * innerHeight, width * innerWidth, height * innerHeight))
+    }
+    const getBoundingClientRect = () => {
+        const arr = getClientRects()
+        const left = Math.min(...arr.map(r => r.left))
+        const top = Math.min(...arr.map(r => r.top))
+        const right = Math.max(...arr.map(r => r.right))
+        const bottom = Math.max(...arr.map(r => r.bottom))
+        return new DOMRect(left, top, right - left, bottom - top)
+    }
+    return { getClientRects, getBoundingClientRect }
+}
+
 export class View extends HTMLElement {
     #root = this.attachShadow({ mode: 'open' })
     #sectionProgress
     #tocProgress
     #pageProgress
     #searchResults = new Map()
+    #embeddedAnnotations = new Map()
     #cursorAutohider = new CursorAutohider(this, () =>
         this.hasAttribute('autohide-cursor'))
+    #marginals
+    input = new InputController(this, (name, detail) => this.#emit(name, detail, true))
     isFixedLayout = false
     lastLocation
     history = new History()
     renderer = null
+    stats = null
+    locations = null
+    sync = null
     constructor() {
         super()
+        this.#observeActivity(this)
         this.history.addEventListener('popstate', ({ detail }) => {
             const resolved = this.resolveNavigation(detail.state)
             this.renderer.goTo(resolved)
         })
     }
-    async open(book) {
+    async open(book, options) {
         if (typeof book === 'string'
         || typeof book.arrayBuffer === 'function'
-        || book.isDirectory) book = await makeBook(book)
+        || book.isDirectory) book = await makeBook(book, options)
         this.book = book
         this.language = languageInfo(book.metadata?.language)
 
         if (book.splitTOCHref && book.getTOCFragment) {
             const ids = book.sections.map(s => s.id)
-            this.#sectionProgress = new SectionProgress(book.sections, 1500, 1600)
+            const sectionProgress = new SectionProgress(book.sections, 1500, 1600)
+            this.#sectionProgress = sectionProgress
+            book.measureSizes?.().then(() => {
+                if (this.#sectionProgress === sectionProgress)
+                    sectionProgress.update(book.sections)
+            })
             const splitHref = book.splitTOCHref.bind(book)
             const getFragment = book.getTOCFragment.bind(book)
             this.#tocProgress = new TOCProgress()
@@ -258,16 +579,19 @@ export class View extends HTMLElement {
         }
 
         this.isFixedLayout = this.book.rendition?.layout === 'pre-paginated'
+        if (this.#sectionProgress && !this.isFixedLayout)
+            this.stats = new ReadingStats(this.#sectionProgress)
         if (this.isFixedLayout) {
             await import('./fixed-layout.js')
             this.renderer = document.createElement('foliate-fxl')
         } else {
-            if (window.appName === 'app') {
-                // await import('./paginator-canvas.js')
+            if (options?.renderer === 'canvas') {
+                await import('./paginator-canvas.js')
+                this.renderer = document.createElement('foliate-canvas-paginator')
             } else {
                 await import('./paginator.js')
+                this.renderer = document.createElement('foliate-paginator')
             }
-            this.renderer = document.createElement('foliate-paginator')
         }
         this.renderer.setAttribute('exportparts', 'head,foot,filter')
         this.renderer.addEventListener('load', e => this.#onLoad(e.detail))
@@ -276,6 +600,7 @@ export class View extends HTMLElement {
             e.detail.attach(this.#createOverlayer(e.detail)))
         this.renderer.open(book)
         this.#root.append(this.renderer)
+        if (this.#marginals) this.setMarginals(this.#marginals)
 
         if (book.sections.some(section => section.mediaOverlay)) {
             const activeClass = book.media.activeClass
@@ -309,9 +634,15 @@ export class View extends HTMLElement {
         this.renderer?.destroy()
         this.renderer?.remove()
         this.#sectionProgress = null
+        this.stats?.destroy()
+        this.stats = null
+        this.locations = null
+        this.sync?.flush()
+        this.sync = null
         this.#tocProgress = null
         this.#pageProgress = null
         this.#searchResults = new Map()
+        this.#embeddedAnnotations = new Map()
         this.lastLocation = null
         this.history.clear()
         this.tts = null
@@ -322,7 +653,11 @@ export class View extends HTMLElement {
             ?.find(m => m.type.includes('bodymatter') || m.type.includes('text'))
             ?.href ?? this.book.sections.findIndex(s => s.linear !== 'no'))
     }
-    async init({ lastLocation, showTextStart }) {
+    async init({ lastLocation, showTextStart, sync }) {
+        if (sync) {
+            lastLocation = await this.#pullProgress(sync, lastLocation)
+            this.sync = sync
+        }
         const resolved = lastLocation ? this.resolveNavigation(lastLocation) : null
         if (resolved) {
             await this.renderer.goTo(resolved)
@@ -334,19 +669,71 @@ export class View extends HTMLElement {
             await this.next()
         }
     }
+    // get the progress from the sync server, and use it instead of
+    // `lastLocation`, unless it's from this device or `sync` is canceled
+    async #pullProgress(sync, lastLocation) {
+        let remote
+        try {
+            remote = await sync.pull(this.book)
+        } catch (e) {
+            console.warn(e)
+        }
+        if (!remote || remote.self) return lastLocation
+        const location = remote.cfi
+            ?? (typeof remote.fraction === 'number' ? { fraction: remote.fraction } : null)
+        if (!location) return lastLocation
+        return this.#emit('sync', { ...remote, lastLocation }, true)
+            ? location : lastLocation
+    }
     #emit(name, detail, cancelable) {
         return this.dispatchEvent(new CustomEvent(name, { detail, cancelable }))
     }
-    #onRelocate({ reason, range, index, fraction, size }) {
+    #onRelocate({ reason, range, index, fraction, size, page }) {
         const progress = this.#sectionProgress?.getProgress(index, fraction, size) ?? {}
+        if (this.stats) {
+            this.stats.relocate({ reason, index, fraction })
+            progress.time = this.stats.getTimeLeft(index, fraction)
+        }
+        const location = this.locations?.getLocation(index, range)
+        if (location) progress.location = location
         const tocItem = this.#tocProgress?.getProgress(index, range)
         const pageItem = this.#pageProgress?.getProgress(index, range)
         const cfi = this.getCFI(index, range)
-        this.lastLocation = { ...progress, tocItem, pageItem, cfi, range }
+        this.lastLocation = { ...progress, page, tocItem, pageItem, cfi, range }
+        if (reason !== 'page-count')
+            this.sync?.schedulePush(this.book, { index, range, fraction: progress.fraction })
         if (reason === 'snap' || reason === 'page' || reason === 'scroll')
             this.history.replaceState(cfi)
         this.#emit('relocate', this.lastLocation)
     }
+    // templates for running heads and feet, filled in with the current location
+    setMarginals(marginals) {
+        this.#marginals = marginals
+        this.renderer?.setMarginals?.({
+            ...marginals,
+            getContext: detail => ({
+                ...this.#getMarginalContext(),
+                ...marginals.getContext?.(detail, this.lastLocation),
+            }),
+        })
+    }
+    #getMarginalContext() {
+        const { metadata } = this.book
+        const { fraction, section, location, time, tocItem, pageItem } = this.lastLocation ?? {}
+        return {
+            book: {
+                title: formatLanguageMap(metadata?.title),
+                author: formatContributor(metadata?.author),
+            },
+            toc: { label: tocItem?.label ?? '' },
+            pageItem: { label: pageItem?.label ?? '' },
+            percent: fraction != null ? Math.round(fraction * 100) : '',
+            section: section ? { current: section.current + 1, total: section.total } : {},
+            location: location ? { current: location.current + 1, total: location.total } : {},
+            timeLeft: formatDuration(time?.section),
+            timeLeftInBook: formatDuration(time?.total),
+        }
+    }
     #onLoad({ doc, index }) {
         // set language and dir if not already set
         doc.documentElement.lang ||= this.language.canonical ?? ''
@@ -355,9 +742,32 @@ export class View extends HTMLElement {
 
         this.#handleLinks(doc, index)
         this.#cursorAutohider.cloneFor(doc.documentElement)
+        this.input.observe(doc)
+        this.#observeActivity(doc)
 
         this.#emit('load', { doc, index })
     }
+    // compute locations that don't depend on the layout, which are then used
+    // for `location` in `relocate`, and for `goTo({ location })`
+    async initLocations(options) {
+        const { book } = this
+        const locations = await new Locations(book, options).init()
+        if (this.book !== book) return
+        this.locations = locations
+        const range = this.lastLocation?.range
+        const doc = range?.startContainer?.ownerDocument
+        const index = this.renderer.getContents().find(x => x.doc === doc)?.index
+        const location = index != null ? locations.getLocation(index, range) : null
+        if (location) {
+            this.lastLocation = { ...this.lastLocation, location }
+            this.#emit('relocate', this.lastLocation)
+        }
+        return locations
+    }
+    #observeActivity(target) {
+        for (const type of ['keydown', 'pointerdown', 'wheel', 'touchstart'])
+            target.addEventListener(type, () => this.stats?.activity(), { passive: true })
+    }
     #handleLinks(doc, index) {
         const { book } = this
         const section = book.sections[index]
@@ -378,6 +788,8 @@ export class View extends HTMLElement {
     }
     async addAnnotation(annotation, remove) {
         const { value } = annotation
+        // annotations embedded in the book are read-only
+        if (value.startsWith(EMBEDDED_PREFIX)) return
         if (value.startsWith(SEARCH_PREFIX)) {
             const cfi = value.replace(SEARCH_PREFIX, '')
             const { index, anchor } = await this.resolveNavigation(cfi)
@@ -425,18 +837,49 @@ export class View extends HTMLElement {
         doc.addEventListener('click', e => {
             const [value, range] = overlayer.hitTest(e)
             if (value && !value.startsWith(SEARCH_PREFIX)) {
-                this.#emit('show-annotation', { value, index, range })
+                // so that it isn't also handled as a tap
+                e.preventDefault()
+                const annotation = this.#embeddedAnnotations.get(value)?.annotation
+                this.#emit('show-annotation', { value, index, range, annotation })
             }
-        }, false)
+        }, true)
 
         const list = this.#searchResults.get(index)
         if (list) for (const item of list) this.addAnnotation(item)
 
+        this.#drawEmbeddedAnnotations(doc, index, overlayer)
+
         this.#emit('create-overlay', { index })
         return overlayer
     }
+    async #drawEmbeddedAnnotations(doc, index, overlayer) {
+        let annotations
+        try {
+            annotations = await this.book.sections[index].getAnnotations?.()
+        } catch (e) {
+            console.warn(e)
+        }
+        if (!annotations) return
+        for (const item of annotations) {
+            const value = `${EMBEDDED_PREFIX}${index}:${item.id}`
+            const annotation = { ...item, value, index, readonly: true }
+            const range = makePageRange(doc, item.rects)
+            this.#embeddedAnnotations.set(value, { annotation, range })
+            const draw = (func, opts) => overlayer.add(value, range, func, opts)
+            this.#emit('draw-annotation', { draw, annotation, doc, range })
+        }
+    }
     async showAnnotation(annotation) {
         const { value } = annotation
+        const embedded = this.#embeddedAnnotations.get(value)
+        if (embedded) {
+            const { index } = embedded.annotation
+            await this.goTo(index)
+            const { range } = this.#embeddedAnnotations.get(value) ?? embedded
+            this.#emit('show-annotation', {
+                value, index, range, annotation: embedded.annotation })
+            return
+        }
         const resolved = await this.goTo(value)
         if (resolved) {
             const { index, anchor } = resolved
@@ -463,6 +906,10 @@ export class View extends HTMLElement {
     resolveNavigation(target) {
         try {
             if (typeof target === 'number') return { index: target }
+            if (typeof target.location === 'number') {
+                if (!this.locations) throw new Error('Locations have not been computed')
+                return this.locations.resolve(target.location)
+            }
             if (typeof target.fraction === 'number') {
                 const [index, anchor] = this.#sectionProgress.getSection(target.fraction)
                 return { index, anchor }
@@ -475,6 +922,13 @@ export class View extends HTMLElement {
         }
     }
     async goTo(target) {
+        // e.g. TOC items of PDFs that link to web pages
+        if (typeof target === 'string' && !CFI.isCFI.test(target)
+        && this.book.isExternal?.(target)) {
+            if (this.#emit('external-link', { href: target }, true))
+                globalThis.open(target, '_blank')
+            return
+        }
         const resolved = this.resolveNavigation(target)
         try {
             await this.renderer.goTo(resolved)